@@ -0,0 +1,40 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * GST Invoice Settings
+ *
+ * Catalogue prices include GST at 18%. The seller and buyers are in the same state,
+ * so the tax is split equally into CGST and SGST.
+ */
+
+export const SELLER = {
+  name: process.env.INVOICE_SELLER_NAME || 'GISACCESS',
+  address: process.env.INVOICE_SELLER_ADDRESS || 'Hyderabad, Telangana',
+  state: process.env.INVOICE_SELLER_STATE || 'Telangana',
+  state_code: process.env.INVOICE_SELLER_STATE_CODE || '36',
+  gstin: process.env.INVOICE_SELLER_GSTIN || ''
+};
+
+// Invoice numbers are PREFIX/YY-YY/NNNNN, within the 16 characters GST allows
+// (invoices.invoice_number is VARCHAR(16))
+const INVOICE_NUMBER_MAX_LENGTH = 16;
+const INVOICE_NUMBER_SUFFIX_LENGTH = '/YY-YY/NNNNN'.length;
+
+export const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'GSA';
+
+// Checked at startup: a number that does not fit would fail every invoice after payment
+const MAX_PREFIX_LENGTH = INVOICE_NUMBER_MAX_LENGTH - INVOICE_NUMBER_SUFFIX_LENGTH;
+if (!/^[A-Za-z0-9-]+$/.test(INVOICE_PREFIX) || INVOICE_PREFIX.length > MAX_PREFIX_LENGTH) {
+  throw new Error(
+    `INVOICE_PREFIX must be 1 to ${MAX_PREFIX_LENGTH} letters, digits or hyphens ` +
+    `(invoice numbers are at most ${INVOICE_NUMBER_MAX_LENGTH} characters), got "${INVOICE_PREFIX}"`
+  );
+}
+
+// SAC for the reports we sell (information services)
+export const SAC_CODE = process.env.INVOICE_SAC_CODE || '998439';
+
+export const CGST_RATE = 9;
+export const SGST_RATE = 9;
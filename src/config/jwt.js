@@ -1,10 +1,13 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// Access tokens are short-lived; sessions are kept alive with refresh tokens
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
 
 export const generateToken = (payload) => {
   return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
@@ -18,5 +21,28 @@ export const verifyToken = (token) => {
   }
 };
 
-export { JWT_SECRET, JWT_EXPIRES_IN };
+/**
+ * Signed token for a one-off action (password reset, email verification)
+ * @param {string} purpose - Checked again on verification
+ */
+export const generateActionToken = ({ userId, purpose, jti }, expiresIn) => {
+  return jwt.sign({ purpose }, JWT_SECRET, { subject: userId, jwtid: jti, expiresIn });
+};
+
+export const verifyActionToken = (token, purpose) => {
+  const decoded = verifyToken(token);
+  return decoded && decoded.purpose === purpose && decoded.sub && decoded.jti ? decoded : null;
+};
+
+/**
+ * Opaque refresh token; only its hash is stored
+ */
+export const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('base64url');
+};
+
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
 
+export { JWT_SECRET, JWT_EXPIRES_IN, REFRESH_TOKEN_TTL_DAYS };
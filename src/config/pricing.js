@@ -0,0 +1,53 @@
+/**
+ * Report Price Catalogue
+ *
+ * Prices are in rupees and include GST. `list_price` is the undiscounted price shown
+ * crossed out in the UI; `price` is what the customer pays before any promo code.
+ * The client only ever sends a product id: amounts are always computed server-side.
+ *
+ * Product types:
+ * - report: unlocks one survey result (the order carries its surveyResultId)
+ * - credit_pack: adds `credits` to the buyer's balance; each new report export uses one
+ * - plan: `monthly_quota` report exports during the next `period_days` days
+ */
+
+export const DEFAULT_PRODUCT_ID = 'survey_report';
+
+export const PRODUCTS = [
+  {
+    id: 'survey_report',
+    type: 'report',
+    name: 'Survey Analysis Report',
+    description: 'Full analysis and PDF report for one survey number',
+    list_price: 699,
+    price: 349
+  },
+  {
+    id: 'credits_10',
+    type: 'credit_pack',
+    name: '10 Report Credits',
+    description: 'Ten report exports, valid for any survey number',
+    list_price: 3490,
+    price: 2990,
+    credits: 10
+  },
+  {
+    id: 'credits_25',
+    type: 'credit_pack',
+    name: '25 Report Credits',
+    description: 'Twenty-five report exports, valid for any survey number',
+    list_price: 8725,
+    price: 6490,
+    credits: 25
+  },
+  {
+    id: 'plan_pro_monthly',
+    type: 'plan',
+    name: 'Pro Monthly Plan',
+    description: 'Up to 50 report exports in 30 days',
+    list_price: 17450,
+    price: 9990,
+    monthly_quota: 50,
+    period_days: 30
+  }
+];
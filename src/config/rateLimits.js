@@ -0,0 +1,60 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Rate Limits
+ *
+ * Each limit allows `max` requests per `windowSeconds`, counted per client IP (`by: 'ip'`)
+ * or per authenticated user (`by: 'user'`). Override a limit with
+ * RATE_LIMIT_<NAME>=<max>/<windowSeconds>, e.g. RATE_LIMIT_ANALYZE=100/3600.
+ * RATE_LIMIT_ENABLED=false turns all limits off.
+ *
+ * Login lockout: LOGIN_LOCKOUT_MAX_FAILURES failed logins for one email from one IP within
+ * LOGIN_LOCKOUT_WINDOW_SECONDS lock that email from that IP for LOGIN_LOCKOUT_SECONDS
+ * (LOGIN_LOCKOUT_MAX_FAILURES=0 disables the lockout).
+ */
+
+const DEFAULT_LIMITS = {
+  // Every /api request, per IP
+  api: { by: 'ip', max: 300, windowSeconds: 60 },
+  login: { by: 'ip', max: 20, windowSeconds: 15 * 60 },
+  register: { by: 'ip', max: 5, windowSeconds: 60 * 60 },
+  // Password reset and verification mails, per IP
+  account_email: { by: 'ip', max: 5, windowSeconds: 60 * 60 },
+  // Analyses call paid Mapbox APIs
+  analyze: { by: 'user', max: 60, windowSeconds: 60 * 60 },
+  // Survey numbers queued in batch analyses (each one is an analysis), per user
+  batch_items: { by: 'user', max: 1000, windowSeconds: 24 * 60 * 60 },
+  export: { by: 'user', max: 60, windowSeconds: 60 * 60 }
+};
+
+export const isRateLimitEnabled = () => process.env.RATE_LIMIT_ENABLED !== 'false';
+
+/**
+ * A limit with its environment override applied
+ * @param {string} name - Key of DEFAULT_LIMITS
+ * @returns {{ name: string, by: string, max: number, windowSeconds: number }}
+ */
+export const getRateLimit = (name) => {
+  const limit = DEFAULT_LIMITS[name];
+  if (!limit) {
+    throw new Error(`Unknown rate limit: ${name}`);
+  }
+
+  const override = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+  const match = override && /^(\d+)\/(\d+)$/.exec(override.trim());
+  if (override && !match) {
+    console.warn(`⚠️  Ignoring RATE_LIMIT_${name.toUpperCase()}=${override} (expected <max>/<windowSeconds>)`);
+  }
+
+  return match
+    ? { name, by: limit.by, max: parseInt(match[1], 10), windowSeconds: parseInt(match[2], 10) || limit.windowSeconds }
+    : { name, ...limit };
+};
+
+export const LOGIN_LOCKOUT = {
+  maxFailures: parseInt(process.env.LOGIN_LOCKOUT_MAX_FAILURES || '5', 10),
+  windowSeconds: parseInt(process.env.LOGIN_LOCKOUT_WINDOW_SECONDS || String(15 * 60), 10),
+  lockSeconds: parseInt(process.env.LOGIN_LOCKOUT_SECONDS || String(15 * 60), 10)
+};
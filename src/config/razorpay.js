@@ -3,10 +3,25 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET,
-});
+// Created on first use so the app (and scripts) can load without Razorpay keys
+let razorpayClient = null;
 
-export default razorpay;
+/**
+ * Get the Razorpay client
+ */
+export function getRazorpay() {
+  if (!razorpayClient) {
+    razorpayClient = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET,
+    });
+  }
+  return razorpayClient;
+}
 
+/**
+ * Replace the Razorpay client (e.g. with a local fake in tests); null restores the real one
+ */
+export function setRazorpay(client) {
+  razorpayClient = client;
+}
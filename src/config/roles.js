@@ -0,0 +1,45 @@
+/**
+ * User Roles
+ *
+ * Roles come from the Django flags on users_user and are carried in the access token
+ * as the `role` claim. Authorisation (requireRole, isStaffCaller) reads the flags from
+ * the database, so role changes apply before the token expires. Each role includes the
+ * ones before it:
+ * - user: any registered account
+ * - staff: is_staff (support and operations; the admin API)
+ * - superuser: is_superuser (may also manage staff accounts)
+ */
+
+export const ROLES = ['user', 'staff', 'superuser'];
+
+/**
+ * Role of a users_user row
+ */
+export const roleOf = (user) => {
+  if (user.is_superuser) return 'superuser';
+  if (user.is_staff) return 'staff';
+  return 'user';
+};
+
+/**
+ * Whether a role includes another (unknown roles never match)
+ */
+export const hasRole = (role, required) => {
+  const index = ROLES.indexOf(role || 'user');
+  const needed = ROLES.indexOf(required);
+  return index !== -1 && needed !== -1 && index >= needed;
+};
+
+/**
+ * Organisation member roles, each including the ones before it:
+ * - member: sees the organisation's analyses and uses its credits and plans
+ * - admin: also invites and removes members, buys for the organisation and sees its usage
+ * - owner: also changes member roles
+ */
+export const ORGANIZATION_ROLES = ['member', 'admin', 'owner'];
+
+export const hasOrganizationRole = (role, required) => {
+  const index = ORGANIZATION_ROLES.indexOf(role);
+  const needed = ORGANIZATION_ROLES.indexOf(required);
+  return index !== -1 && needed !== -1 && index >= needed;
+};
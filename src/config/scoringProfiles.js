@@ -0,0 +1,75 @@
+/**
+ * Development Score Profiles
+ *
+ * Each profile version is immutable once published: results record the profile id and
+ * version they were scored with, so old reports can be reproduced. To change a weighting,
+ * add a new entry with the next version number instead of editing an existing one.
+ *
+ * Component settings (component maxima add up to 100):
+ * - poi: points scale linearly up to `saturation` POIs in the catchment
+ * - amenity: police/hospital/road points, each losing `per_km` points per km of distance
+ * - ftl: full points with no FTL overlap, otherwise max - (FTL % / penalty_divisor)
+ * - business: points scale linearly up to `saturation` supportive businesses
+ * - accessibility: points scale linearly up to `saturation` distinct POI categories
+ */
+
+export const DEFAULT_SCORING_PROFILE_ID = 'default';
+
+export const SCORING_PROFILES = [
+  {
+    id: 'default',
+    version: 1,
+    name: 'General development',
+    description: 'Original development score formula',
+    supportive_categories: ['Retail', 'Health And Medical', 'Accommodation'],
+    components: {
+      poi: { max: 30, saturation: 100 },
+      amenity: { max: 25, per_km: 1, police: 10, hospital: 10, road: 5 },
+      ftl: { max: 20, penalty_divisor: 5 },
+      business: { max: 15, saturation: 20 },
+      accessibility: { max: 10, saturation: 15 }
+    }
+  },
+  {
+    id: 'residential',
+    version: 1,
+    name: 'Residential',
+    description: 'Favours hospitals, flood safety and everyday services',
+    supportive_categories: ['Retail', 'Health And Medical', 'Education', 'Eat And Drink'],
+    components: {
+      poi: { max: 20, saturation: 80 },
+      amenity: { max: 30, per_km: 1, police: 10, hospital: 15, road: 5 },
+      ftl: { max: 30, penalty_divisor: 3 },
+      business: { max: 10, saturation: 15 },
+      accessibility: { max: 10, saturation: 15 }
+    }
+  },
+  {
+    id: 'commercial',
+    version: 1,
+    name: 'Commercial',
+    description: 'Favours footfall, business density and road access',
+    supportive_categories: ['Retail', 'Eat And Drink', 'Financial Service', 'Accommodation'],
+    components: {
+      poi: { max: 35, saturation: 120 },
+      amenity: { max: 20, per_km: 1, police: 5, hospital: 5, road: 10 },
+      ftl: { max: 15, penalty_divisor: 5 },
+      business: { max: 20, saturation: 30 },
+      accessibility: { max: 10, saturation: 15 }
+    }
+  },
+  {
+    id: 'warehousing',
+    version: 1,
+    name: 'Warehousing & logistics',
+    description: 'Favours main road access and flood-free land over footfall',
+    supportive_categories: ['Automotive', 'Business To Business'],
+    components: {
+      poi: { max: 10, saturation: 50 },
+      amenity: { max: 35, per_km: 2, police: 10, hospital: 5, road: 20 },
+      ftl: { max: 30, penalty_divisor: 3 },
+      business: { max: 15, saturation: 10 },
+      accessibility: { max: 10, saturation: 10 }
+    }
+  }
+];
@@ -0,0 +1,338 @@
+import { User } from '../models/User.js';
+import { SurveyResult } from '../models/SurveyResult.js';
+import { Payment } from '../models/Payment.js';
+import { PaymentRefund } from '../models/PaymentRefund.js';
+import { Invoice } from '../models/Invoice.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { ROLES, roleOf, hasRole } from '../config/roles.js';
+import { sessionService } from '../services/sessionService.js';
+import { auditService, AUDIT_ACTIONS } from '../services/auditService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * List Users
+ * Query: search (email, username or name), role (user|staff|superuser),
+ * is_active (true|false), limit, offset
+ */
+export const listUsers = asyncHandler(async (req, res) => {
+  const { search, role, is_active } = req.query;
+
+  const page = parsePage(req.query);
+  if (page.error) {
+    return res.status(400).json({ data: { error: page.error } });
+  }
+  if (role && !ROLES.includes(role)) {
+    return res.status(400).json({ data: { error: `Role must be one of: ${ROLES.join(', ')}` } });
+  }
+  if (is_active !== undefined && is_active !== 'true' && is_active !== 'false') {
+    return res.status(400).json({ data: { error: 'is_active must be true or false' } });
+  }
+
+  const { users, total } = await User.search({
+    search,
+    role,
+    is_active: is_active === undefined ? undefined : is_active === 'true',
+    ...page
+  });
+
+  res.json({
+    data: {
+      success: true,
+      users: users.map(toAdminUser),
+      total,
+      limit: page.limit,
+      offset: page.offset
+    }
+  });
+});
+
+/**
+ * Get User by ID
+ */
+export const getUser = asyncHandler(async (req, res) => {
+  const user = UUID_PATTERN.test(req.params.id) ? await User.findById(req.params.id) : null;
+  if (!user) {
+    return res.status(404).json({ data: { error: 'User not found' } });
+  }
+
+  res.json({
+    data: {
+      success: true,
+      user: toAdminUser(user)
+    }
+  });
+});
+
+/**
+ * Deactivate User: blocks login and ends all of their sessions
+ */
+export const deactivateUser = asyncHandler(async (req, res) => {
+  const target = await findManageableUser(req, res);
+  if (!target) return;
+
+  if (target.id === req.user.id) {
+    return res.status(400).json({ data: { error: 'You cannot deactivate your own account' } });
+  }
+
+  const user = await User.setActive(target.id, false);
+  const revoked = await sessionService.revokeAllSessions(target.id, 'deactivated');
+  console.log(`🚫 User ${target.id} deactivated by ${req.user.id} (${revoked} tokens revoked)`);
+  await auditService.record(req, 'admin.user_deactivated', {
+    targetType: 'user',
+    targetId: target.id,
+    before: { is_active: target.is_active },
+    after: { is_active: user.is_active },
+    metadata: { sessions_revoked: revoked }
+  });
+
+  res.json({
+    data: {
+      success: true,
+      user: toAdminUser(user)
+    }
+  });
+});
+
+/**
+ * Reactivate User
+ */
+export const reactivateUser = asyncHandler(async (req, res) => {
+  const target = await findManageableUser(req, res);
+  if (!target) return;
+
+  const user = await User.setActive(target.id, true);
+  console.log(`✅ User ${target.id} reactivated by ${req.user.id}`);
+  await auditService.record(req, 'admin.user_reactivated', {
+    targetType: 'user',
+    targetId: target.id,
+    before: { is_active: target.is_active },
+    after: { is_active: user.is_active }
+  });
+
+  res.json({
+    data: {
+      success: true,
+      user: toAdminUser(user)
+    }
+  });
+});
+
+/**
+ * List Analyses of all users
+ * Query: user_id, village, survey_number, limit, offset
+ */
+export const listAnalyses = asyncHandler(async (req, res) => {
+  const { user_id, village, survey_number } = req.query;
+
+  const page = parsePage(req.query);
+  if (page.error) {
+    return res.status(400).json({ data: { error: page.error } });
+  }
+  if (user_id && !UUID_PATTERN.test(user_id)) {
+    return res.status(400).json({ data: { error: 'user_id must be a user id' } });
+  }
+
+  const { results, total } = await SurveyResult.search({ user_id, village, survey_number, ...page });
+
+  res.json({
+    data: {
+      success: true,
+      results,
+      total,
+      limit: page.limit,
+      offset: page.offset
+    }
+  });
+});
+
+/**
+ * Get any Analysis by ID, including map data
+ */
+export const getAnalysis = asyncHandler(async (req, res) => {
+  const result = await SurveyResult.findById(req.params.id);
+  if (!result) {
+    return res.status(404).json({ data: { error: 'Survey result not found' } });
+  }
+
+  res.json({
+    data: {
+      success: true,
+      data: result
+    }
+  });
+});
+
+/**
+ * List Payments of all users
+ * Query: user_id, payment_status, razorpay_order_id, from, to (dates), limit, offset
+ */
+export const listPayments = asyncHandler(async (req, res) => {
+  const { user_id, payment_status, razorpay_order_id, from, to } = req.query;
+
+  const page = parsePage(req.query);
+  if (page.error) {
+    return res.status(400).json({ data: { error: page.error } });
+  }
+  if (user_id && !UUID_PATTERN.test(user_id)) {
+    return res.status(400).json({ data: { error: 'user_id must be a user id' } });
+  }
+
+  const fromDate = from ? new Date(from) : undefined;
+  const toDate = to ? new Date(to) : undefined;
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    return res.status(400).json({ data: { error: 'from and to must be valid dates' } });
+  }
+
+  const payments = await Payment.find({
+    user_id,
+    payment_status,
+    razorpay_order_id,
+    created_from: fromDate,
+    created_to: toDate
+  }, page);
+
+  res.json({
+    data: {
+      success: true,
+      payments,
+      limit: page.limit,
+      offset: page.offset
+    }
+  });
+});
+
+/**
+ * Get Payment by ID with its status history, refunds and invoice
+ */
+export const getPayment = asyncHandler(async (req, res) => {
+  const payment = await Payment.findById(req.params.id);
+  if (!payment) {
+    return res.status(404).json({ data: { error: 'Payment not found' } });
+  }
+
+  const [history, refunds, invoice] = await Promise.all([
+    Payment.getStatusHistory(payment.id),
+    PaymentRefund.findByPayment(payment.id),
+    Invoice.findByPayment(payment.id)
+  ]);
+
+  res.json({
+    data: {
+      success: true,
+      payment,
+      status_history: history,
+      refunds,
+      invoice
+    }
+  });
+});
+
+/**
+ * Query the Audit Log, newest first
+ * Query: action, outcome (success|failure), actor_id, actor_email, organization_id,
+ * ip_address, target_type, target_id, from, to (dates), limit, offset
+ */
+export const listAuditLog = asyncHandler(async (req, res) => {
+  const {
+    action, outcome, actor_id, actor_email, organization_id,
+    ip_address, target_type, target_id, from, to
+  } = req.query;
+
+  const page = parsePage(req.query);
+  if (page.error) {
+    return res.status(400).json({ data: { error: page.error } });
+  }
+  if (action && !AUDIT_ACTIONS.includes(action)) {
+    return res.status(400).json({ data: { error: `Action must be one of: ${AUDIT_ACTIONS.join(', ')}` } });
+  }
+  if (outcome && !['success', 'failure'].includes(outcome)) {
+    return res.status(400).json({ data: { error: 'Outcome must be success or failure' } });
+  }
+  if ((actor_id && !UUID_PATTERN.test(actor_id)) || (organization_id && !UUID_PATTERN.test(organization_id))) {
+    return res.status(400).json({ data: { error: 'actor_id and organization_id must be ids' } });
+  }
+
+  const fromDate = from ? new Date(from) : undefined;
+  const toDate = to ? new Date(to) : undefined;
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    return res.status(400).json({ data: { error: 'from and to must be valid dates' } });
+  }
+
+  const { entries, total } = await AuditLog.search({
+    action,
+    outcome,
+    actor_id,
+    actor_email,
+    organization_id,
+    ip_address,
+    target_type,
+    target_id,
+    from: fromDate,
+    to: toDate
+  }, page);
+
+  res.json({
+    data: {
+      success: true,
+      entries,
+      total,
+      limit: page.limit,
+      offset: page.offset
+    }
+  });
+});
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * limit and offset from the query string
+ */
+function parsePage(query) {
+  const limit = query.limit !== undefined ? Number(query.limit) : DEFAULT_LIMIT;
+  const offset = query.offset !== undefined ? Number(query.offset) : 0;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `Limit must be between 1 and ${MAX_LIMIT}` };
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: 'Offset must be a non-negative integer' };
+  }
+  return { limit, offset };
+}
+
+/**
+ * Load the user in req.params.id if the caller may change it; responds otherwise
+ * Only superusers may change staff and superuser accounts.
+ */
+async function findManageableUser(req, res) {
+  const user = UUID_PATTERN.test(req.params.id) ? await User.findById(req.params.id) : null;
+  if (!user) {
+    res.status(404).json({ data: { error: 'User not found' } });
+    return null;
+  }
+
+  if (roleOf(user) !== 'user' && !hasRole(req.user.role, 'superuser')) {
+    res.status(403).json({ data: { error: 'Only a superuser can change staff accounts' } });
+    return null;
+  }
+
+  return user;
+}
+
+function toAdminUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    full_name: `${user.first_name} ${user.last_name}`.trim(),
+    role: roleOf(user),
+    is_active: user.is_active,
+    email_verified: !!user.email_verified_at,
+    date_joined: user.date_joined,
+    last_login: user.last_login
+  };
+}
@@ -0,0 +1,112 @@
+import { body, validationResult } from 'express-validator';
+import { ApiKey } from '../models/ApiKey.js';
+import { apiKeyService, API_KEY_SCOPES } from '../services/apiKeyService.js';
+import { auditService } from '../services/auditService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+/**
+ * List the current user's API keys (without the keys themselves)
+ */
+export const listApiKeys = asyncHandler(async (req, res) => {
+  const keys = await ApiKey.findByUser(req.user.id);
+
+  res.json({
+    data: {
+      success: true,
+      keys,
+      scopes: API_KEY_SCOPES
+    }
+  });
+});
+
+/**
+ * Create API Key
+ * Body: name, scopes (analyze|export|read), expires_at (optional date),
+ * allowed_ips (optional addresses or CIDR ranges).
+ * The key is shown once, in this response.
+ */
+export const createApiKey = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      data: { error: errors.array()[0].msg }
+    });
+  }
+
+  const { name, scopes, expires_at, allowed_ips } = req.body;
+
+  const expiresAt = expires_at ? new Date(expires_at) : null;
+  if (expiresAt && expiresAt <= new Date()) {
+    return res.status(400).json({
+      data: { error: 'expires_at must be in the future' }
+    });
+  }
+
+  const { apiKey, key, error } = await apiKeyService.createKey(req.user.id, {
+    name: name.trim(),
+    scopes,
+    expiresAt,
+    allowedIps: allowed_ips
+  });
+  if (error) {
+    return res.status(400).json({
+      data: { error }
+    });
+  }
+
+  await auditService.record(req, 'api_key.created', {
+    targetType: 'api_key',
+    targetId: apiKey.id,
+    after: {
+      name: apiKey.name,
+      key_prefix: apiKey.key_prefix,
+      scopes: apiKey.scopes,
+      allowed_ips: apiKey.allowed_ips,
+      expires_at: apiKey.expires_at
+    }
+  });
+
+  res.status(201).json({
+    data: {
+      success: true,
+      key,
+      api_key: apiKey
+    }
+  });
+});
+
+/**
+ * Revoke API Key
+ */
+export const revokeApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await ApiKey.revoke(req.params.id, req.user.id);
+  if (!apiKey) {
+    return res.status(404).json({
+      data: { error: 'API key not found' }
+    });
+  }
+
+  console.log(`🔒 API key ${apiKey.id} revoked by user ${req.user.id}`);
+  await auditService.record(req, 'api_key.revoked', {
+    targetType: 'api_key',
+    targetId: apiKey.id,
+    after: { revoked_at: apiKey.revoked_at },
+    metadata: { name: apiKey.name, key_prefix: apiKey.key_prefix }
+  });
+
+  res.json({
+    data: {
+      success: true,
+      api_key: apiKey
+    }
+  });
+});
+
+// Validation rules
+export const createApiKeyValidation = [
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required (at most 100 characters)'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(Object.keys(API_KEY_SCOPES)).withMessage(`Scopes must be among: ${Object.keys(API_KEY_SCOPES).join(', ')}`),
+  body('expires_at').optional({ nullable: true }).isISO8601().withMessage('expires_at must be a date'),
+  body('allowed_ips').optional({ nullable: true }).isArray().withMessage('allowed_ips must be a list of IP addresses or CIDR ranges')
+];
@@ -1,5 +1,9 @@
 import { User } from '../models/User.js';
-import { generateToken } from '../config/jwt.js';
+import { sessionService } from '../services/sessionService.js';
+import { accountService } from '../services/accountService.js';
+import { roleOf } from '../config/roles.js';
+import { loginLockoutService } from '../services/loginLockoutService.js';
+import { auditService } from '../services/auditService.js';
 import { body, validationResult } from 'express-validator';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
@@ -19,6 +23,11 @@ export const register = asyncHandler(async (req, res) => {
   // Check if user already exists
   const existingUser = await User.findByEmail(email);
   if (existingUser) {
+    await auditService.record(req, 'auth.register', {
+      outcome: 'failure',
+      actor: { email },
+      metadata: { reason: 'email_taken' }
+    });
     return res.status(400).json({
       data: { error: 'User with this email already exists' }
     });
@@ -26,9 +35,37 @@ export const register = asyncHandler(async (req, res) => {
 
   // Create user
   const user = await User.create({ email, password, full_name });
+  await auditService.record(req, 'auth.register', {
+    actor: { id: user.id, email: user.email, role: 'user' },
+    targetType: 'user',
+    targetId: user.id
+  });
+
+  // A failed mail must not fail the registration; the link can be resent
+  try {
+    await accountService.sendVerificationEmail(user);
+  } catch (error) {
+    console.error(`❌ Failed to send verification email to ${user.email}:`, error.message);
+  }
+
+  // Without a verified address there is no session yet
+  if (accountService.isVerificationRequired()) {
+    return res.status(201).json({
+      data: {
+        success: true,
+        user: {
+          id: user.id,
+          email: user.email,
+          full_name: user.full_name,
+          email_verified: false
+        },
+        email_verification_required: true
+      }
+    });
+  }
 
-  // Generate token
-  const token = generateToken({ id: user.id, email: user.email });
+  // Start a session
+  const tokens = await sessionService.startSession(user, sessionMeta(req));
 
   res.status(201).json({
     data: {
@@ -36,9 +73,10 @@ export const register = asyncHandler(async (req, res) => {
       user: {
         id: user.id,
         email: user.email,
-        full_name: user.full_name
+        full_name: user.full_name,
+        email_verified: false
       },
-      token
+      ...tokens
     }
   });
 });
@@ -56,16 +94,55 @@ export const login = asyncHandler(async (req, res) => {
 
   const { email, password } = req.body;
 
+  const lock = await loginLockoutService.getLock(email, req.ip);
+  if (lock.locked) {
+    await auditLoginFailure(req, { email }, 'locked');
+    return lockedOut(res, lock.retryAfter);
+  }
+
   // Verify credentials
   const user = await User.verifyPassword(email, password);
   if (!user) {
+    const failure = await loginLockoutService.recordFailure(email, req.ip);
+    await auditLoginFailure(req, { email }, failure.locked ? 'invalid_credentials_locked' : 'invalid_credentials');
+    if (failure.locked) {
+      return lockedOut(res, failure.retryAfter);
+    }
     return res.status(401).json({
       data: { error: 'Invalid email or password' }
     });
   }
 
-  // Generate token
-  const token = generateToken({ id: user.id, email: user.email });
+  await loginLockoutService.recordSuccess(email, req.ip);
+
+  if (!user.is_active) {
+    await auditLoginFailure(req, user, 'account_disabled');
+    return res.status(403).json({
+      data: {
+        error: 'This account has been deactivated',
+        code: 'ACCOUNT_DISABLED'
+      }
+    });
+  }
+
+  if (!user.email_verified_at && accountService.isVerificationRequired()) {
+    await auditLoginFailure(req, user, 'email_not_verified');
+    return res.status(403).json({
+      data: {
+        error: 'Please verify your email address before logging in',
+        code: 'EMAIL_NOT_VERIFIED'
+      }
+    });
+  }
+
+  // Start a session
+  await User.recordLogin(user.id, password);
+  const tokens = await sessionService.startSession(user, sessionMeta(req));
+  await auditService.record(req, 'auth.login', {
+    actor: { id: user.id, email: user.email, role: roleOf(user) },
+    targetType: 'user',
+    targetId: user.id
+  });
 
   res.json({
     data: {
@@ -73,9 +150,11 @@ export const login = asyncHandler(async (req, res) => {
       user: {
         id: user.id,
         email: user.email,
-        full_name: user.full_name
+        full_name: user.full_name,
+        email_verified: !!user.email_verified_at,
+        role: roleOf(user)
       },
-      token
+      ...tokens
     }
   });
 });
@@ -98,7 +177,9 @@ export const getMe = asyncHandler(async (req, res) => {
       user: {
         id: user.id,
         email: user.email,
-        full_name: user.full_name
+        full_name: user.full_name,
+        email_verified: !!user.email_verified_at,
+        role: roleOf(user)
       }
     }
   });
@@ -121,9 +202,157 @@ export const checkAuth = asyncHandler(async (req, res) => {
 });
 
 /**
- * Logout (client-side token removal, but we can log it)
+ * Refresh Session
+ * Exchanges a refresh token for a new access token and a new refresh token
+ */
+export const refresh = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      data: { error: errors.array()[0].msg }
+    });
+  }
+
+  const { tokens, error } = await sessionService.refresh(req.body.refresh_token, sessionMeta(req));
+  if (error) {
+    return res.status(401).json({
+      data: { error }
+    });
+  }
+
+  res.json({
+    data: {
+      success: true,
+      ...tokens
+    }
+  });
+});
+
+/**
+ * Forgot Password: emails a reset link
+ * The response is the same whether or not the address has an account.
+ */
+export const forgotPassword = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      data: { error: errors.array()[0].msg }
+    });
+  }
+
+  try {
+    await accountService.requestPasswordReset(req.body.email);
+  } catch (error) {
+    console.error('Password reset mail error:', error);
+  }
+
+  res.json({
+    data: {
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    }
+  });
+});
+
+/**
+ * Reset Password with the token from the reset link
+ */
+export const resetPassword = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      data: { error: errors.array()[0].msg }
+    });
+  }
+
+  const { userId, error } = await accountService.resetPassword(req.body.token, req.body.password);
+  if (error) {
+    await auditService.record(req, 'auth.password_reset', {
+      outcome: 'failure',
+      metadata: { reason: error }
+    });
+    return res.status(400).json({
+      data: { error }
+    });
+  }
+
+  await auditService.record(req, 'auth.password_reset', {
+    actor: { id: userId },
+    targetType: 'user',
+    targetId: userId,
+    metadata: { sessions_revoked: true }
+  });
+
+  res.json({
+    data: {
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    }
+  });
+});
+
+/**
+ * Verify Email with the token from the verification link
+ */
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      data: { error: errors.array()[0].msg }
+    });
+  }
+
+  const { error } = await accountService.verifyEmail(req.body.token);
+  if (error) {
+    return res.status(400).json({
+      data: { error }
+    });
+  }
+
+  res.json({
+    data: {
+      success: true,
+      message: 'Email address verified'
+    }
+  });
+});
+
+/**
+ * Resend Verification Email
+ * The response is the same whether or not the address has an unverified account.
+ */
+export const resendVerification = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      data: { error: errors.array()[0].msg }
+    });
+  }
+
+  try {
+    await accountService.resendVerification(req.body.email);
+  } catch (error) {
+    console.error('Verification mail error:', error);
+  }
+
+  res.json({
+    data: {
+      success: true,
+      message: 'If this email needs verification, a new link has been sent'
+    }
+  });
+});
+
+/**
+ * Logout: ends the current session (its access and refresh tokens stop working)
  */
 export const logout = asyncHandler(async (req, res) => {
+  await sessionService.revokeSession(req.user.sid);
+  await auditService.record(req, 'auth.logout', {
+    targetType: 'user',
+    targetId: req.user.id
+  });
+
   res.json({
     data: {
       success: true,
@@ -132,6 +361,26 @@ export const logout = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Logout All: ends every session of the current user, on all devices
+ */
+export const logoutAll = asyncHandler(async (req, res) => {
+  const revoked = await sessionService.revokeAllSessions(req.user.id);
+  console.log(`🔒 User ${req.user.id} logged out of all devices (${revoked} token(s) revoked)`);
+  await auditService.record(req, 'auth.logout', {
+    targetType: 'user',
+    targetId: req.user.id,
+    metadata: { all_devices: true, sessions_revoked: revoked }
+  });
+
+  res.json({
+    data: {
+      success: true,
+      message: 'Logged out of all devices'
+    }
+  });
+});
+
 // Validation rules
 export const registerValidation = [
   body('email').isEmail().withMessage('Invalid email address'),
@@ -144,3 +393,58 @@ export const loginValidation = [
   body('password').notEmpty().withMessage('Password is required')
 ];
 
+export const emailValidation = [
+  body('email').isEmail().withMessage('Invalid email address')
+];
+
+export const resetPasswordValidation = [
+  body('token').isString().notEmpty().withMessage('Token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+];
+
+export const tokenValidation = [
+  body('token').isString().notEmpty().withMessage('Token is required')
+];
+
+export const refreshValidation = [
+  body('refresh_token').isString().notEmpty().withMessage('Refresh token is required')
+];
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Where a session is used from, stored with its refresh tokens
+ */
+function sessionMeta(req) {
+  return {
+    userAgent: req.headers['user-agent'] || null,
+    ipAddress: req.ip || null
+  };
+}
+
+/**
+ * Audit a refused login; user is the account if the credentials matched one
+ */
+function auditLoginFailure(req, user, reason) {
+  return auditService.record(req, 'auth.login', {
+    outcome: 'failure',
+    actor: { id: user.id, email: user.email, role: user.id ? roleOf(user) : null },
+    targetType: user.id ? 'user' : null,
+    targetId: user.id || null,
+    metadata: { reason }
+  });
+}
+
+/**
+ * 429 for an email that is locked after too many failed logins
+ */
+function lockedOut(res, retryAfter) {
+  const minutes = Math.ceil(retryAfter / 60);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    data: {
+      error: `Too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+      code: 'LOGIN_LOCKED'
+    }
+  });
+}
@@ -0,0 +1,180 @@
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { gisService } from '../services/gisService.js';
+import { batchJobService } from '../services/batchJobService.js';
+import { entitlementService } from '../services/entitlementService.js';
+import { auditService } from '../services/auditService.js';
+import { consumeRateLimit } from '../middleware/rateLimit.js';
+
+const CSV_COLUMNS = [
+  'village',
+  'survey_number',
+  'status',
+  'result_id',
+  'development_score',
+  'total_pois',
+  'distance_to_police',
+  'distance_to_hospital',
+  'distance_to_main_road',
+  'ftl_zone_percentage',
+  'error'
+];
+
+/**
+ * Start Batch Analysis
+ * Body: { village } to analyze every survey number in a village,
+ * or { items: [{ village, surveyNumber }] }, plus the analyze-survey options
+ */
+export const createBatchAnalysis = asyncHandler(async (req, res) => {
+  const { village, items } = req.body;
+
+  const { options, error: optionsError } = gisService.resolveAnalysisOptions(req.body);
+  if (optionsError) {
+    return res.status(400).json({
+      data: { error: optionsError }
+    });
+  }
+
+  let batchItems;
+  if (Array.isArray(items)) {
+    batchItems = items;
+    if (batchItems.some(item => !item || !item.village || !item.surveyNumber)) {
+      return res.status(400).json({
+        data: { error: 'Each item needs a village and survey number' }
+      });
+    }
+  } else if (village) {
+    batchItems = await batchJobService.getVillageItems(village);
+  } else {
+    return res.status(400).json({
+      data: { error: 'Either a village or a list of items is required' }
+    });
+  }
+
+  if (batchItems.length === 0) {
+    return res.status(400).json({
+      data: { error: 'No survey numbers found to analyze' }
+    });
+  }
+
+  if (batchItems.length > batchJobService.maxItems) {
+    return res.status(400).json({
+      data: { error: `A batch can contain at most ${batchJobService.maxItems} survey numbers` }
+    });
+  }
+
+  // Every item is an analysis: count them before the job is queued
+  if (!(await consumeRateLimit(req, res, 'batch_items', batchItems.length))) {
+    return;
+  }
+
+  const job = await batchJobService.createJob(req.user.id, batchItems, options, req.organization?.id);
+  await auditService.record(req, 'analysis.batch', {
+    targetType: 'batch_job',
+    targetId: job.id,
+    metadata: { items: batchItems.length, village: Array.isArray(items) ? null : village }
+  });
+
+  res.status(202).json({
+    data: {
+      success: true,
+      job
+    }
+  });
+});
+
+/**
+ * List Batch Jobs of the current user
+ */
+export const listBatchAnalyses = asyncHandler(async (req, res) => {
+  res.json({
+    data: {
+      success: true,
+      jobs: await batchJobService.listJobs(req.user.id)
+    }
+  });
+});
+
+/**
+ * Get Batch Job status, progress and per-item results
+ */
+export const getBatchAnalysis = asyncHandler(async (req, res) => {
+  const job = await batchJobService.getJob(req.params.jobId);
+
+  if (!job || job.user_id !== req.user.id) {
+    return res.status(404).json({
+      data: { error: 'Batch job not found' }
+    });
+  }
+
+  res.json({
+    data: {
+      success: true,
+      job: await batchJobService.toDetail(job)
+    }
+  });
+});
+
+/**
+ * Download Batch Results
+ * ?format=json (full results, default) or ?format=csv (one summary row per item)
+ */
+export const downloadBatchAnalysis = asyncHandler(async (req, res) => {
+  const job = await batchJobService.getJob(req.params.jobId);
+  const format = req.query.format || 'json';
+
+  if (!job || job.user_id !== req.user.id) {
+    return res.status(404).json({
+      data: { error: 'Batch job not found' }
+    });
+  }
+
+  if (!job.finished_at) {
+    return res.status(409).json({
+      data: { error: 'Batch job is still running' }
+    });
+  }
+
+  if (format === 'csv') {
+    const detail = await batchJobService.toDetail(job);
+    const results = new Map((await batchJobService.getResults(job)).map(result => [result.id, result]));
+    const rows = detail.items.map((item) => {
+      const result = results.get(item.result_id) || {};
+      return CSV_COLUMNS.map(column => toCsvValue(item[column] ?? result[column])).join(',');
+    });
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=batch_${job.id}.csv`);
+    return res.send([CSV_COLUMNS.join(','), ...rows].join('\n'));
+  }
+
+  if (format !== 'json') {
+    return res.status(400).json({
+      data: { error: 'Format must be json or csv' }
+    });
+  }
+
+  const results = [];
+  for (const result of await batchJobService.getResults(job)) {
+    results.push(await entitlementService.withEntitlement(req.user, result));
+  }
+
+  res.setHeader('Content-Disposition', `attachment; filename=batch_${job.id}.json`);
+  res.json({
+    data: {
+      success: true,
+      job: await batchJobService.toDetail(job),
+      results
+    }
+  });
+});
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Quote a value for CSV output
+ */
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -1,9 +1,19 @@
 import { SurveyResult } from '../models/SurveyResult.js';
 import { Payment } from '../models/Payment.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { canAccessSurveyResult } from '../services/accessControl.js';
+import { entitlementService } from '../services/entitlementService.js';
+
+const HISTORY_SORTS = ['analysis_date', 'development_score'];
+const HISTORY_DEFAULT_LIMIT = 20;
+const HISTORY_MAX_LIMIT = 100;
+
+// Payment list filters users may set (the list is always limited to their own payments)
+const PAYMENT_FILTERS = ['survey_result_id', 'payment_status', 'razorpay_order_id', 'razorpay_payment_id'];
 
 /**
- * Create Survey Result
+ * Create Survey Result from figures sent by the client (staff only)
+ * Stored results can be exported and invoiced, so users only get them from analyze-survey.
  */
 export const createSurveyResult = asyncHandler(async (req, res) => {
   const userId = req.user.id;
@@ -22,6 +32,70 @@ export const createSurveyResult = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * List Survey Results of the current user, or of the organisation the request is made for
+ * Query: village, from, to (dates), minScore, maxScore, sort (analysis_date|development_score),
+ * order (asc|desc), limit, cursor (next_cursor of the previous page)
+ */
+export const listSurveyResults = asyncHandler(async (req, res) => {
+  const { village, from, to, minScore, maxScore, cursor } = req.query;
+  const sort = req.query.sort || 'analysis_date';
+  const order = req.query.order || 'desc';
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : HISTORY_DEFAULT_LIMIT;
+
+  const badRequest = (error) => res.status(400).json({ data: { error } });
+
+  if (!HISTORY_SORTS.includes(sort)) {
+    return badRequest(`Sort must be one of: ${HISTORY_SORTS.join(', ')}`);
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    return badRequest('Order must be asc or desc');
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > HISTORY_MAX_LIMIT) {
+    return badRequest(`Limit must be between 1 and ${HISTORY_MAX_LIMIT}`);
+  }
+
+  const fromDate = from ? new Date(from) : undefined;
+  const toDate = to ? new Date(to) : undefined;
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    return badRequest('from and to must be valid dates');
+  }
+
+  const scores = [minScore, maxScore].map(value => (value === undefined ? undefined : Number(value)));
+  if (scores.some(value => value !== undefined && !Number.isFinite(value))) {
+    return badRequest('minScore and maxScore must be numbers');
+  }
+
+  let decodedCursor;
+  if (cursor) {
+    decodedCursor = decodeCursor(cursor);
+    if (!decodedCursor || decodedCursor.sort !== sort || decodedCursor.order !== order) {
+      return badRequest('Invalid cursor for this sort order');
+    }
+  }
+
+  const { results, nextCursor } = await SurveyResult.findByUser(req.user.id, {
+    organizationId: req.organization?.id,
+    village,
+    from: fromDate,
+    to: toDate,
+    minScore: scores[0],
+    maxScore: scores[1],
+    sort,
+    order,
+    cursor: decodedCursor,
+    limit
+  });
+
+  res.json({
+    data: {
+      success: true,
+      results,
+      next_cursor: nextCursor ? encodeCursor({ ...nextCursor, sort, order }) : null
+    }
+  });
+});
+
 /**
  * Get Survey Result by ID
  */
@@ -36,25 +110,32 @@ export const getSurveyResult = asyncHandler(async (req, res) => {
     });
   }
 
-  // Note: ts_warangal_survey doesn't have user_id column
-  // Skip ownership check for now, or implement alternative tracking
+  if (!(await canAccessSurveyResult(req.user, result))) {
+    return res.status(403).json({
+      data: { error: 'You do not have access to this survey result' }
+    });
+  }
 
+  // Map data and POI locations are only included once the report is paid for
   res.json({
     data: {
       success: true,
-      data: result
+      data: await entitlementService.withEntitlement(req.user, result)
     }
   });
 });
 
 /**
- * Get Payments (in-memory, no DB table)
+ * Get Payments of the current user
+ * Query: survey_result_id, payment_status, razorpay_order_id, razorpay_payment_id
  */
 export const getPayments = asyncHandler(async (req, res) => {
-  const filters = {
-    user_id: req.user.id,
-    ...req.query
-  };
+  const filters = { user_id: req.user.id };
+  PAYMENT_FILTERS.forEach((key) => {
+    if (typeof req.query[key] === 'string') {
+      filters[key] = req.query[key];
+    }
+  });
 
   const payments = await Payment.find(filters);
 
@@ -67,7 +148,8 @@ export const getPayments = asyncHandler(async (req, res) => {
 });
 
 /**
- * Create Payment (Admin/Service Role)
+ * Create Payment (staff only)
+ * Users get payment rows from create-order, priced server-side.
  */
 export const createPayment = asyncHandler(async (req, res) => {
   const paymentData = {
@@ -85,3 +167,49 @@ export const createPayment = asyncHandler(async (req, res) => {
   });
 });
 
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Opaque pagination cursor (base64url JSON)
+ */
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!decoded || !/^\d{1,18}$/.test(String(decoded.id))) return null;
+
+    // The value is cast to the sort column's type, so it must be one
+    const valid = decoded.sort === 'development_score'
+      ? isIntegerText(decoded.value)
+      : isTimestampText(decoded.value);
+    return valid ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Integer in Postgres integer range, as text (scores)
+ */
+function isIntegerText(value) {
+  return typeof value === 'string' && /^-?\d{1,9}$/.test(value);
+}
+
+/**
+ * Timestamp as Postgres prints timestamptz values, e.g. 2024-05-01 10:20:30.123456+05:30
+ */
+function isTimestampText(value) {
+  if (typeof value !== 'string') return false;
+
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2})?)?$/);
+  if (!match) return false;
+
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day && date.getUTCHours() === hour &&
+    date.getUTCMinutes() === minute && date.getUTCSeconds() === second;
+}
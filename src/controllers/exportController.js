@@ -1,6 +1,9 @@
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { jsPDF } from 'jspdf';
 import { SurveyResult } from '../models/SurveyResult.js';
+import { canAccessSurveyResult } from '../services/accessControl.js';
+import { entitlementService } from '../services/entitlementService.js';
+import { auditService } from '../services/auditService.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -24,7 +27,7 @@ const __dirname = path.dirname(__filename);
  * 9. Analysis Details (right column)
  */
 export const exportReportPDF = asyncHandler(async (req, res) => {
-  const { surveyResultId, resultData, chartImages } = req.body;
+  const { surveyResultId, chartImages } = req.body;
 
   if (!surveyResultId) {
     return res.status(400).json({
@@ -32,16 +35,9 @@ export const exportReportPDF = asyncHandler(async (req, res) => {
     });
   }
 
-  // Use passed resultData if available (to avoid in-memory storage issues on deployed servers)
-  // Otherwise fall back to fetching from database/store
-  let result;
-  if (resultData && resultData.poi_breakdown) {
-    console.log('📄 PDF Export: Using resultData passed from frontend');
-    result = resultData;
-  } else {
-    console.log('📄 PDF Export: Fetching result from database for ID:', surveyResultId);
-    result = await SurveyResult.findById(surveyResultId);
-  }
+  // Always report on the stored analysis, never on figures sent by the browser
+  console.log('📄 PDF Export: Fetching result from database for ID:', surveyResultId);
+  const result = await SurveyResult.findById(surveyResultId);
 
   if (!result) {
     return res.status(404).json({
@@ -49,6 +45,30 @@ export const exportReportPDF = asyncHandler(async (req, res) => {
     });
   }
 
+  if (!(await canAccessSurveyResult(req.user, result))) {
+    return res.status(403).json({
+      data: { error: 'You do not have access to this survey result' }
+    });
+  }
+
+  // Reports are sold: require a payment, free-trial credit or staff account
+  const access = await entitlementService.authorizeExport(req.user, result, req.organization);
+  if (!access.entitled) {
+    await auditService.record(req, 'report.export', {
+      outcome: 'failure',
+      targetType: 'survey_result',
+      targetId: result.id,
+      metadata: { reason: 'payment_required' }
+    });
+    return res.status(402).json({
+      data: {
+        error: 'Payment required to export this report',
+        code: 'PAYMENT_REQUIRED',
+        survey_result_id: result.id
+      }
+    });
+  }
+
   // Log chart images availability
   console.log('📄 PDF Export - Chart images:', {
     poiChart: chartImages?.poiChart ? 'provided' : 'missing',
@@ -318,6 +338,12 @@ export const exportReportPDF = asyncHandler(async (req, res) => {
   // Generate PDF as buffer
   const pdfBuffer = Buffer.from(doc.output('arraybuffer'));
 
+  await auditService.record(req, 'report.export', {
+    targetType: 'survey_result',
+    targetId: result.id,
+    metadata: { source: access.source, village: result.village, survey_number: result.survey_number }
+  });
+
   // Return PDF
   res.setHeader('Content-Type', 'application/pdf');
   res.setHeader('Content-Disposition', `attachment; filename=${result.village}_${result.survey_number}.pdf`);
@@ -0,0 +1,389 @@
+import { body, validationResult } from 'express-validator';
+import { Organization } from '../models/Organization.js';
+import { OrganizationInvitation } from '../models/OrganizationInvitation.js';
+import { Payment } from '../models/Payment.js';
+import { User } from '../models/User.js';
+import { hasOrganizationRole } from '../config/roles.js';
+import { organizationService } from '../services/organizationService.js';
+import { creditService } from '../services/creditService.js';
+import { auditService } from '../services/auditService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURCHASES_MAX_LIMIT = 200;
+
+/**
+ * List the current user's organisations
+ */
+export const listOrganizations = asyncHandler(async (req, res) => {
+  const organizations = await Organization.findForUser(req.user.id);
+
+  res.json({
+    data: {
+      success: true,
+      organizations
+    }
+  });
+});
+
+/**
+ * Create Organisation (the current user becomes its owner)
+ */
+export const createOrganization = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      data: { error: errors.array()[0].msg }
+    });
+  }
+
+  const organization = await organizationService.createOrganization(req.user.id, req.body.name.trim());
+  await auditService.record(req, 'organization.created', {
+    organizationId: organization.id,
+    targetType: 'organization',
+    targetId: organization.id,
+    after: { name: organization.name }
+  });
+
+  res.status(201).json({
+    data: {
+      success: true,
+      organization
+    }
+  });
+});
+
+/**
+ * Get Organisation with its members
+ */
+export const getOrganization = asyncHandler(async (req, res) => {
+  const membership = await loadMembership(req, res, 'member');
+  if (!membership) return;
+
+  const [organization, members] = await Promise.all([
+    Organization.findById(membership.organization_id),
+    Organization.listMembers(membership.organization_id)
+  ]);
+
+  res.json({
+    data: {
+      success: true,
+      organization: { ...organization, role: membership.role },
+      members
+    }
+  });
+});
+
+/**
+ * List Invitations (admins)
+ */
+export const listInvitations = asyncHandler(async (req, res) => {
+  const membership = await loadMembership(req, res, 'admin');
+  if (!membership) return;
+
+  const invitations = await OrganizationInvitation.findByOrganization(membership.organization_id);
+
+  res.json({
+    data: {
+      success: true,
+      invitations
+    }
+  });
+});
+
+/**
+ * Invite Member by email (admins)
+ * Body: email, role (admin|member, default member)
+ */
+export const inviteMember = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      data: { error: errors.array()[0].msg }
+    });
+  }
+
+  const membership = await loadMembership(req, res, 'admin');
+  if (!membership) return;
+
+  const role = req.body.role || 'member';
+  if (role === 'admin' && membership.role !== 'owner') {
+    return res.status(403).json({
+      data: { error: 'Only the owner can invite admins' }
+    });
+  }
+
+  const [organization, inviter] = await Promise.all([
+    Organization.findById(membership.organization_id),
+    User.findById(req.user.id)
+  ]);
+
+  const { invitation, error, statusCode } = await organizationService.invite(
+    organization,
+    { id: inviter.id, email: inviter.email, full_name: `${inviter.first_name} ${inviter.last_name}`.trim() },
+    { email: req.body.email, role }
+  );
+  if (error) {
+    return res.status(statusCode).json({
+      data: { error }
+    });
+  }
+
+  await auditService.record(req, 'organization.member_invited', {
+    organizationId: membership.organization_id,
+    targetType: 'organization_invitation',
+    targetId: invitation.id,
+    after: { email: invitation.email, role: invitation.role }
+  });
+
+  res.status(201).json({
+    data: {
+      success: true,
+      invitation
+    }
+  });
+});
+
+/**
+ * Revoke Invitation (admins)
+ */
+export const revokeInvitation = asyncHandler(async (req, res) => {
+  const membership = await loadMembership(req, res, 'admin');
+  if (!membership) return;
+
+  const invitation = await OrganizationInvitation.revoke(req.params.invitationId, membership.organization_id);
+  if (!invitation) {
+    return res.status(404).json({
+      data: { error: 'Invitation not found' }
+    });
+  }
+
+  await auditService.record(req, 'organization.invitation_revoked', {
+    organizationId: membership.organization_id,
+    targetType: 'organization_invitation',
+    targetId: invitation.id,
+    before: { email: invitation.email, role: invitation.role }
+  });
+
+  res.json({
+    data: {
+      success: true,
+      invitation
+    }
+  });
+});
+
+/**
+ * Accept Invitation with the token from the invitation email
+ */
+export const acceptInvitation = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      data: { error: errors.array()[0].msg }
+    });
+  }
+
+  const user = await User.findById(req.user.id);
+  const { organization, error, statusCode } = await organizationService.acceptInvitation(user, req.body.token);
+  if (error) {
+    return res.status(statusCode).json({
+      data: { error }
+    });
+  }
+
+  await auditService.record(req, 'organization.member_joined', {
+    organizationId: organization.id,
+    targetType: 'organization_member',
+    targetId: user.id,
+    after: { role: organization.role }
+  });
+
+  res.json({
+    data: {
+      success: true,
+      organization
+    }
+  });
+});
+
+/**
+ * Change Member Role (owner)
+ * Body: role (admin|member)
+ */
+export const updateMember = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      data: { error: errors.array()[0].msg }
+    });
+  }
+
+  const membership = await loadMembership(req, res, 'member');
+  if (!membership) return;
+
+  const { member, previousRole, error, statusCode } = await organizationService.changeRole(membership, req.params.userId, req.body.role);
+  if (error) {
+    return res.status(statusCode).json({
+      data: { error }
+    });
+  }
+
+  await auditService.record(req, 'organization.member_role_changed', {
+    organizationId: membership.organization_id,
+    targetType: 'organization_member',
+    targetId: member.user_id,
+    before: { role: previousRole },
+    after: { role: member.role }
+  });
+
+  res.json({
+    data: {
+      success: true,
+      member
+    }
+  });
+});
+
+/**
+ * Remove Member, or leave the organisation (own user id)
+ */
+export const removeMember = asyncHandler(async (req, res) => {
+  const membership = await loadMembership(req, res, 'member');
+  if (!membership) return;
+
+  const { removed, error, statusCode } = UUID_PATTERN.test(req.params.userId)
+    ? await organizationService.removeMember(membership, req.params.userId)
+    : { error: 'Member not found', statusCode: 404 };
+  if (error) {
+    return res.status(statusCode).json({
+      data: { error }
+    });
+  }
+
+  await auditService.record(req, 'organization.member_removed', {
+    organizationId: membership.organization_id,
+    targetType: 'organization_member',
+    targetId: removed.user_id,
+    before: { role: removed.role },
+    metadata: { left: removed.user_id === req.user.id }
+  });
+
+  res.json({
+    data: {
+      success: true
+    }
+  });
+});
+
+/**
+ * Team Usage (admins): analyses and report unlocks per member, and the shared
+ * credits and plans
+ * Query: from, to (dates; default the last 30 days)
+ */
+export const getUsage = asyncHandler(async (req, res) => {
+  const membership = await loadMembership(req, res, 'admin');
+  if (!membership) return;
+
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * DAY_MS);
+  if (isNaN(from) || isNaN(to) || from >= to) {
+    return res.status(400).json({
+      data: { error: 'from and to must be valid dates, from before to' }
+    });
+  }
+
+  const [members, account] = await Promise.all([
+    Organization.getUsage(membership.organization_id, { from, to }),
+    creditService.getAccount({ userId: req.user.id, organizationId: membership.organization_id })
+  ]);
+
+  res.json({
+    data: {
+      success: true,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      totals: {
+        analyses: members.reduce((sum, member) => sum + member.analyses, 0),
+        exports: members.reduce(
+          (sum, member) => sum + Object.values(member.exports).reduce((a, b) => a + b, 0),
+          0
+        )
+      },
+      members,
+      credits: account
+    }
+  });
+});
+
+/**
+ * Purchase History (admins)
+ * Query: limit (default 50), offset
+ */
+export const listPurchases = asyncHandler(async (req, res) => {
+  const membership = await loadMembership(req, res, 'admin');
+  if (!membership) return;
+
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : 50;
+  const offset = req.query.offset !== undefined ? Number(req.query.offset) : 0;
+  if (!Number.isInteger(limit) || limit < 1 || limit > PURCHASES_MAX_LIMIT
+    || !Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({
+      data: { error: `Limit must be between 1 and ${PURCHASES_MAX_LIMIT} and offset non-negative` }
+    });
+  }
+
+  const payments = await Payment.find({ organization_id: membership.organization_id }, { limit, offset });
+
+  res.json({
+    data: {
+      success: true,
+      payments,
+      limit,
+      offset
+    }
+  });
+});
+
+// Validation rules
+export const createOrganizationValidation = [
+  body('name').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Name is required (at most 200 characters)')
+];
+
+export const inviteValidation = [
+  body('email').isEmail().withMessage('Invalid email address'),
+  body('role').optional().isIn(['admin', 'member']).withMessage('Role must be admin or member')
+];
+
+export const acceptInvitationValidation = [
+  body('token').isString().notEmpty().withMessage('Token is required')
+];
+
+export const updateMemberValidation = [
+  body('role').isIn(['admin', 'member']).withMessage('Role must be admin or member')
+];
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * The caller's membership of the organisation in req.params.id, if it has at least
+ * the given role; responds 404/403 otherwise
+ */
+async function loadMembership(req, res, role) {
+  const membership = UUID_PATTERN.test(req.params.id)
+    ? await Organization.getMembership(req.params.id, req.user.id)
+    : null;
+
+  if (!membership) {
+    res.status(404).json({ data: { error: 'Organisation not found' } });
+    return null;
+  }
+
+  if (!hasOrganizationRole(membership.role, role)) {
+    res.status(403).json({ data: { error: 'Organisation admin access required' } });
+    return null;
+  }
+
+  return membership;
+}
@@ -1,53 +1,197 @@
-import razorpay from '../config/razorpay.js';
 import { Payment } from '../models/Payment.js';
+import { PaymentRefund } from '../models/PaymentRefund.js';
+import { PromoCode } from '../models/PromoCode.js';
+import { SurveyResult } from '../models/SurveyResult.js';
+import { pricingService } from '../services/pricingService.js';
+import { canAccessSurveyResult } from '../services/accessControl.js';
+import { paymentService } from '../services/paymentService.js';
+import { getPaymentGateway } from '../services/paymentGateways/index.js';
+import { invoiceService } from '../services/invoiceService.js';
+import { creditService } from '../services/creditService.js';
+import { entitlementService } from '../services/entitlementService.js';
+import { User } from '../models/User.js';
+import { hasOrganizationRole } from '../config/roles.js';
+import { razorpayWebhookService } from '../services/razorpayWebhookService.js';
+import { auditService } from '../services/auditService.js';
 import crypto from 'crypto';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
+/**
+ * List Products (price catalogue)
+ */
+export const getProducts = asyncHandler(async (req, res) => {
+  res.json({
+    data: {
+      success: true,
+      products: pricingService.listProducts()
+    }
+  });
+});
+
+/**
+ * Quote Price for a product and optional promo code
+ */
+export const quotePrice = asyncHandler(async (req, res) => {
+  const { productId, promoCode } = req.body;
+
+  const { quote, error } = await pricingService.quote({ productId, promoCode, userId: req.user.id });
+  if (error) {
+    return res.status(400).json({
+      data: { error }
+    });
+  }
+
+  res.json({
+    data: {
+      success: true,
+      quote
+    }
+  });
+});
+
+/**
+ * Get Credits: prepaid credit balance, usage ledger, current plans and free trial
+ * (the organisation's credits and plans for a request made for an organisation,
+ * which has no free trial)
+ */
+export const getCredits = asyncHandler(async (req, res) => {
+  const organizationId = req.organization?.id || null;
+  const [account, trial] = await Promise.all([
+    creditService.getAccount({ userId: req.user.id, organizationId }),
+    organizationId ? null : entitlementService.getTrialStatus(req.user.id)
+  ]);
+
+  res.json({
+    data: {
+      success: true,
+      organization_id: organizationId,
+      ...account,
+      trial
+    }
+  });
+});
+
 /**
  * Create Razorpay Order
+ * The amount is always computed server-side from the product and promo code.
+ * surveyResultId, village and surveyNumber only apply to single-report purchases.
+ * For a request made for an organisation, the purchase is the organisation's
+ * (admins and the owner only).
  */
 export const createOrder = asyncHandler(async (req, res) => {
-  const { amount, surveyResultId, village, surveyNumber, promoCode } = req.body;
+  const { productId, surveyResultId, village, surveyNumber, promoCode } = req.body;
   const userId = req.user.id;
+  const organizationId = req.organization?.id || null;
+
+  if (organizationId && !hasOrganizationRole(req.organization.role, 'admin')) {
+    return res.status(403).json({
+      data: { error: 'Only organisation admins can make purchases for the organisation' }
+    });
+  }
+
+  const { quote, error: quoteError } = await pricingService.quote({ productId, promoCode, userId });
+  if (quoteError) {
+    return res.status(400).json({
+      data: { error: quoteError }
+    });
+  }
 
-  if (!amount || amount <= 0) {
+  // Credit packs and plans are not tied to a report
+  const isReport = quote.product_type === 'report';
+  const reportId = isReport ? surveyResultId : null;
+  const reportVillage = isReport ? village || '' : '';
+  const reportSurveyNumber = isReport ? surveyNumber || '' : '';
+
+  // A report purchase unlocks one survey result
+  if (isReport && !reportId) {
     return res.status(400).json({
-      data: { error: 'Invalid amount' }
+      data: { error: 'surveyResultId is required for a report purchase' }
+    });
+  }
+
+  // The purchased report must be one the buyer can see
+  if (reportId) {
+    const surveyResult = await SurveyResult.findById(reportId);
+    if (!surveyResult) {
+      return res.status(404).json({
+        data: { error: 'Survey result not found' }
+      });
+    }
+    if (!(await canAccessSurveyResult(req.user, surveyResult))) {
+      return res.status(403).json({
+        data: { error: 'You do not have access to this survey result' }
+      });
+    }
+  }
+
+  // Reserve the promo code use before the gateway order exists, so an order is never
+  // created for a use that is not available. The reservation moves to the order's id.
+  const reservationKey = `pending_${crypto.randomUUID()}`;
+  const { reserved, error: promoError } = await pricingService.reservePromoCode(quote, userId, reservationKey);
+  if (promoError) {
+    return res.status(409).json({
+      data: { error: promoError }
     });
   }
 
+  let reservedOrderId = reserved ? reservationKey : null;
   try {
     // Generate short receipt (max 40 chars as per Razorpay requirement) - matching original
     const timestamp = Date.now().toString().slice(-10); // Last 10 digits
-    const shortId = (surveyResultId || '').substring(0, 15); // First 15 chars of ID
+    const shortId = String(reportId || '').substring(0, 15); // First 15 chars of ID
     const receipt = `rcpt_${shortId}_${timestamp}`.substring(0, 40); // Ensure max 40 chars
 
     const options = {
-      amount: Math.round(amount * 100), // Convert to paise
-      currency: 'INR',
+      amount: Math.round(quote.amount * 100), // Convert to paise
+      currency: quote.currency,
       receipt: receipt,
       notes: {
-        survey_result_id: surveyResultId,
-        village: village || '',
-        survey_number: surveyNumber || '',
-        promo_code: promoCode || null
+        user_id: userId,
+        organization_id: organizationId,
+        product_id: quote.product_id,
+        survey_result_id: reportId,
+        village: reportVillage,
+        survey_number: reportSurveyNumber,
+        original_amount: quote.original_amount,
+        discount_amount: quote.discount_amount,
+        promo_code: quote.promo_code
       }
     };
 
-    const order = await razorpay.orders.create(options);
+    const gateway = getPaymentGateway();
+    const order = await gateway.createOrder(options);
 
-    // Save payment record with 'pending' status (matching original)
-    await Payment.create({
+    if (reservedOrderId) {
+      await PromoCode.assignOrder(reservedOrderId, order.id);
+      reservedOrderId = order.id;
+    }
+
+    // Save payment record with 'created' status
+    const payment = await Payment.create({
       user_id: userId,
-      survey_result_id: surveyResultId || null,
+      organization_id: organizationId,
+      product_id: quote.product_id,
+      survey_result_id: reportId || null,
       razorpay_order_id: order.id,
-      amount: amount,
-      original_amount: 699, // Default original amount
-      discount_amount: 699 - amount,
-      promo_code: promoCode || null,
-      payment_status: 'pending',
-      village: village || '',
-      survey_number: surveyNumber || ''
+      amount: quote.amount,
+      original_amount: quote.original_amount,
+      discount_amount: quote.discount_amount,
+      promo_code: quote.promo_code,
+      payment_status: 'created',
+      village: reportVillage,
+      survey_number: reportSurveyNumber
+    });
+    await auditService.record(req, 'payment.order_created', {
+      targetType: 'payment',
+      targetId: payment.id,
+      after: { payment_status: payment.payment_status, amount: payment.amount },
+      metadata: {
+        razorpay_order_id: order.id,
+        product_id: quote.product_id,
+        survey_result_id: reportId || null,
+        promo_code: quote.promo_code,
+        discount_amount: quote.discount_amount
+      }
     });
 
     res.json({
@@ -56,11 +200,16 @@ export const createOrder = asyncHandler(async (req, res) => {
         order_id: order.id,
         amount: order.amount,
         currency: order.currency,
-        key_id: process.env.RAZORPAY_KEY_ID
+        quote,
+        gateway: gateway.name,
+        key_id: gateway.keyId
       }
     });
   } catch (error) {
     console.error('Razorpay order creation error:', error);
+    if (reservedOrderId) {
+      await PromoCode.release(reservedOrderId).catch(() => {});
+    }
     res.status(500).json({
       data: { error: error.message || 'Failed to create order' }
     });
@@ -68,7 +217,7 @@ export const createOrder = asyncHandler(async (req, res) => {
 });
 
 /**
- * Verify Razorpay Payment
+ * Verify Razorpay Payment (checkout result, signed with the gateway's key secret)
  */
 export const verifyPayment = asyncHandler(async (req, res) => {
   const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
@@ -82,53 +231,43 @@ export const verifyPayment = asyncHandler(async (req, res) => {
 
   try {
     // Verify signature
-    const text = `${razorpay_order_id}|${razorpay_payment_id}`;
-    const generatedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(text)
-      .digest('hex');
+    const gateway = getPaymentGateway();
+    const validSignature = gateway.verifyPaymentSignature({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature
+    });
 
-    if (generatedSignature !== razorpay_signature) {
+    if (!validSignature) {
+      await auditService.record(req, 'payment.verified', {
+        outcome: 'failure',
+        targetType: 'razorpay_order',
+        targetId: razorpay_order_id,
+        metadata: { reason: 'invalid_signature', razorpay_payment_id }
+      });
       return res.status(400).json({
         data: { error: 'Invalid payment signature' }
       });
     }
 
     // Find existing payment record by razorpay_order_id (matching original)
-    const payments = await Payment.filter({
-      razorpay_order_id: razorpay_order_id
-    });
+    const existingPayment = await paymentService.findByOrderId(razorpay_order_id);
 
-    if (payments.length > 0) {
-      // Update existing payment record (matching original)
-      await Payment.update(payments[0].id, {
-        razorpay_payment_id: razorpay_payment_id,
-        razorpay_signature: razorpay_signature,
-        payment_status: 'completed'
-      });
-    } else {
+    let payment = existingPayment;
+    if (!payment) {
       // Fallback: Get order details and create new record if not found
-      const order = await razorpay.orders.fetch(razorpay_order_id);
-      const notes = order.notes || {};
-      const amount = order.amount / 100; // Convert from paise
-      const originalAmount = notes.original_amount || amount;
-      const discountAmount = originalAmount - amount;
-
-      await Payment.create({
-        user_id: userId,
-        survey_result_id: notes.survey_result_id || null,
-        razorpay_order_id,
-        razorpay_payment_id,
-        razorpay_signature,
-        amount,
-        original_amount: originalAmount,
-        discount_amount: discountAmount,
-        promo_code: notes.promo_code || null,
-        payment_status: 'completed',
-        village: notes.village || null,
-        survey_number: notes.survey_number || null
-      });
+      const order = await gateway.fetchOrder(razorpay_order_id);
+      payment = await paymentService.createFromOrder(order, { user_id: userId });
     }
+    const updated = await paymentService.markCompleted(payment, { razorpay_payment_id, razorpay_signature });
+
+    await auditService.record(req, 'payment.verified', {
+      targetType: 'payment',
+      targetId: updated.id,
+      before: existingPayment ? { payment_status: existingPayment.payment_status } : null,
+      after: { payment_status: updated.payment_status },
+      metadata: { razorpay_order_id, razorpay_payment_id }
+    });
 
     res.json({
       data: {
@@ -138,9 +277,246 @@ export const verifyPayment = asyncHandler(async (req, res) => {
     });
   } catch (error) {
     console.error('Payment verification error:', error);
+    await auditService.record(req, 'payment.verified', {
+      outcome: 'failure',
+      targetType: 'razorpay_order',
+      targetId: razorpay_order_id,
+      metadata: { reason: 'error', error: error.message, razorpay_payment_id }
+    });
     res.status(500).json({
       data: { error: error.message || 'Payment verification failed' }
     });
   }
 });
 
+/**
+ * Simulate Checkout (mock gateway only)
+ * Body: { orderId, outcome: 'success' | 'failure' }. A success returns the ids and
+ * signature to send to /verify, like Razorpay checkout does.
+ */
+export const simulateCheckout = asyncHandler(async (req, res) => {
+  const { orderId, outcome = 'success' } = req.body;
+  const gateway = getPaymentGateway();
+
+  if (gateway.name !== 'mock') {
+    return res.status(404).json({
+      data: { error: 'Route not found' }
+    });
+  }
+
+  if (!['success', 'failure'].includes(outcome)) {
+    return res.status(400).json({
+      data: { error: 'Outcome must be success or failure' }
+    });
+  }
+
+  const payment = orderId ? await paymentService.findByOrderId(orderId) : null;
+  if (!payment || payment.user_id !== req.user.id) {
+    return res.status(404).json({
+      data: { error: 'Order not found' }
+    });
+  }
+
+  let checkout;
+  try {
+    checkout = await gateway.simulatePayment(orderId, { outcome });
+  } catch (error) {
+    return res.status(409).json({
+      data: { error: error.message }
+    });
+  }
+
+  // Razorpay reports failed payments through the payment.failed webhook
+  if (checkout.error) {
+    await paymentService.markFailed(payment, {
+      razorpay_payment_id: checkout.error.metadata.payment_id,
+      error_description: checkout.error.description
+    });
+  }
+
+  res.json({
+    data: {
+      success: true,
+      ...checkout
+    }
+  });
+});
+
+/**
+ * Download GST Invoice PDF of a completed (or since refunded) payment
+ */
+export const downloadInvoice = asyncHandler(async (req, res) => {
+  const payment = await Payment.findById(req.params.id);
+
+  if (!payment || (payment.user_id !== req.user.id && !(await User.isStaff(req.user.id)))) {
+    return res.status(404).json({
+      data: { error: 'Payment not found' }
+    });
+  }
+
+  if (!['completed', 'refunded'].includes(payment.payment_status)) {
+    return res.status(409).json({
+      data: { error: 'An invoice is only available once the payment is completed' }
+    });
+  }
+
+  // Issued on completion; payments completed before invoicing get theirs now
+  const invoice = await invoiceService.issueForPayment(payment);
+  const pdfBuffer = invoiceService.renderPdf(invoice);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=invoice_${invoice.invoice_number.replace(/\//g, '-')}.pdf`);
+  res.send(pdfBuffer);
+});
+
+/**
+ * Refund Payment (staff only)
+ * Body: { amount } in rupees for a partial refund (default: the full remaining amount), { reason }
+ */
+export const refundPayment = asyncHandler(async (req, res) => {
+  const { amount, reason } = req.body;
+
+  const payment = await Payment.findById(req.params.id);
+  if (!payment) {
+    return res.status(404).json({
+      data: { error: 'Payment not found' }
+    });
+  }
+
+  try {
+    const result = await paymentService.refund(payment, {
+      amount,
+      reason,
+      requestedBy: req.user.id
+    });
+
+    await auditService.record(req, 'payment.refund', {
+      outcome: result.error ? 'failure' : 'success',
+      targetType: 'payment',
+      targetId: payment.id,
+      before: refundState(payment),
+      after: result.error ? null : refundState(result.payment),
+      metadata: result.error
+        ? { amount: amount ?? null, reason, error: result.error }
+        : { amount: result.refund.amount, reason, refund_id: result.refund.id, refund_status: result.refund.status }
+    });
+
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        data: { error: result.error }
+      });
+    }
+
+    res.json({
+      data: {
+        success: true,
+        payment: result.payment,
+        refund: result.refund,
+        refunds: await PaymentRefund.findByPayment(payment.id)
+      }
+    });
+  } catch (error) {
+    // Razorpay API errors carry a description
+    console.error('Razorpay refund error:', error);
+    await auditService.record(req, 'payment.refund', {
+      outcome: 'failure',
+      targetType: 'payment',
+      targetId: payment.id,
+      before: refundState(payment),
+      metadata: { amount: amount ?? null, reason, error: error.error?.description || error.message }
+    });
+    res.status(502).json({
+      data: { error: error.error?.description || error.message || 'Refund failed' }
+    });
+  }
+});
+
+/**
+ * Razorpay Webhook (public, authenticated by X-Razorpay-Signature)
+ * Handles payment.authorized, payment.captured, payment.failed, order.paid and refund.processed.
+ */
+export const razorpayWebhook = asyncHandler(async (req, res) => {
+  const signature = req.headers['x-razorpay-signature'];
+
+  let valid;
+  try {
+    valid = razorpayWebhookService.verifySignature(req.rawBody, signature);
+  } catch (error) {
+    console.error('Razorpay webhook configuration error:', error.message);
+    return res.status(500).json({
+      data: { error: 'Webhook is not configured' }
+    });
+  }
+
+  if (!valid) {
+    await auditService.record(req, 'payment.webhook', {
+      outcome: 'failure',
+      metadata: { reason: 'invalid_signature', event: req.body?.event || null }
+    });
+    return res.status(400).json({
+      data: { error: 'Invalid webhook signature' }
+    });
+  }
+
+  if (!req.body || !req.body.event) {
+    return res.status(400).json({
+      data: { error: 'Missing webhook event' }
+    });
+  }
+
+  // Razorpay sends the same event id on every retry of a delivery
+  const eventId = req.headers['x-razorpay-event-id'] ||
+    crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+  try {
+    const status = await razorpayWebhookService.processEvent(eventId, req.body);
+    await auditService.record(req, 'payment.webhook', {
+      targetType: 'payment_webhook_event',
+      targetId: eventId,
+      metadata: { event: req.body.event, razorpay_order_id: webhookOrderId(req.body), status }
+    });
+
+    // A non-2xx response makes Razorpay deliver the event again later
+    if (status === 'in_progress') {
+      return res.status(409).json({
+        data: { error: 'Event is being processed' }
+      });
+    }
+
+    res.json({
+      data: {
+        success: true,
+        status
+      }
+    });
+  } catch (error) {
+    // A non-2xx response makes Razorpay retry the delivery
+    console.error('Razorpay webhook processing error:', error);
+    await auditService.record(req, 'payment.webhook', {
+      outcome: 'failure',
+      targetType: 'payment_webhook_event',
+      targetId: eventId,
+      metadata: { event: req.body.event, razorpay_order_id: webhookOrderId(req.body), error: error.message }
+    });
+    res.status(500).json({
+      data: { error: error.message || 'Webhook processing failed' }
+    });
+  }
+});
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Payment fields a refund changes, for the audit log
+ */
+function refundState(payment) {
+  return { payment_status: payment.payment_status, refunded_amount: payment.refunded_amount || 0 };
+}
+
+/**
+ * Razorpay order a webhook event is about, if any
+ */
+function webhookOrderId(event) {
+  const payload = event.payload || {};
+  return payload.payment?.entity?.order_id || payload.order?.entity?.id || null;
+}
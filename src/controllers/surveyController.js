@@ -1,6 +1,9 @@
 import { SurveyResult } from '../models/SurveyResult.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { gisService } from '../services/gisService.js';
+import { scoringService } from '../services/scoringService.js';
+import { entitlementService } from '../services/entitlementService.js';
+import { auditService } from '../services/auditService.js';
 
 /**
  * Analyze Survey Location
@@ -15,29 +18,44 @@ export const analyzeSurvey = asyncHandler(async (req, res) => {
     });
   }
 
+  const { options, error: optionsError } = gisService.resolveAnalysisOptions(req.body);
+  if (optionsError) {
+    return res.status(400).json({
+      data: { error: optionsError }
+    });
+  }
+
   try {
     // Call GIS service to analyze the survey location
-    const analysisResult = await gisService.analyzeLocation(village, surveyNumber);
+    const analysisResult = await gisService.analyzeLocation(village, surveyNumber, options);
 
     if (!analysisResult || analysisResult.error) {
-      return res.status(500).json({
+      return res.status(analysisResult?.statusCode || 500).json({
         data: { error: analysisResult?.error || 'Analysis failed' }
       });
     }
 
-    // Save result to database (ts_warangal_survey doesn't have user_id column)
+    // Save result to analysis_results, owned by the requesting user (and organisation)
     const savedResult = await SurveyResult.create({
+      user_id: userId,
+      organization_id: req.organization?.id || null,
       village,
       survey_number: surveyNumber,
       ...analysisResult
     });
+    await auditService.record(req, 'analysis.run', {
+      targetType: 'survey_result',
+      targetId: savedResult.id,
+      metadata: { village, survey_number: surveyNumber }
+    });
 
     // Return in Base44-compatible format
     // Frontend expects response.data.data structure
+    // (detailed map data only for entitled users, see entitlementService)
     res.json({
       data: {
         success: true,
-        data: savedResult
+        data: await entitlementService.withEntitlement(req.user, savedResult)
       }
     });
   } catch (error) {
@@ -48,3 +66,14 @@ export const analyzeSurvey = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * List Scoring Profiles
+ */
+export const getScoringProfiles = asyncHandler(async (req, res) => {
+  res.json({
+    data: {
+      success: true,
+      profiles: scoringService.listProfiles()
+    }
+  });
+});
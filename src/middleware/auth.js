@@ -1,10 +1,32 @@
 import { verifyToken } from '../config/jwt.js';
+import { hasRole, roleOf } from '../config/roles.js';
+import { User } from '../models/User.js';
+import { sessionService } from '../services/sessionService.js';
+import { apiKeyService } from '../services/apiKeyService.js';
 
 /**
- * JWT Authentication Middleware
- * Verifies JWT token from Authorization header
+ * Authentication Middleware
+ * Accepts either a Bearer access token (its session must be active) or an API key in
+ * the X-API-Key header. API key requests get req.user.api_key_id and req.user.scopes
+ * and are refused by routes without requireScope; see requireUserSession.
  */
 export const authMiddleware = async (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) {
+    try {
+      const { user, error, statusCode } = await apiKeyService.authenticate(apiKey, req.ip);
+      if (error) {
+        return res.status(statusCode).json({
+          data: { error }
+        });
+      }
+      req.user = user;
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  }
+
   try {
     const authHeader = req.headers.authorization;
 
@@ -25,11 +47,79 @@ export const authMiddleware = async (req, res, next) => {
 
     // Attach user info to request
     req.user = decoded;
-    next();
   } catch (error) {
     return res.status(401).json({
       data: { error: 'Authentication failed.' }
     });
   }
+
+  // The session must not have been logged out or revoked
+  try {
+    if (!(await sessionService.isSessionActive(req.user.sid))) {
+      return res.status(401).json({
+        data: { error: 'Session has ended. Please log in again.' }
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Scope Middleware (use after authMiddleware)
+ * Logged-in users may do everything; API keys need the scope.
+ * @param {string} scope - 'analyze', 'export' or 'read'
+ */
+export const requireScope = (scope) => (req, res, next) => {
+  if (req.user.api_key_id && !req.user.scopes.includes(scope)) {
+    return res.status(403).json({
+      data: { error: `This API key does not have the '${scope}' scope.` }
+    });
+  }
+  next();
+};
+
+/**
+ * Session-only Middleware (use after authMiddleware)
+ * For everything that is not open to API keys: payments, account and key management.
+ */
+export const requireUserSession = (req, res, next) => {
+  if (req.user.api_key_id) {
+    return res.status(403).json({
+      data: { error: 'This endpoint cannot be used with an API key.' }
+    });
+  }
+  next();
 };
 
+/**
+ * Role Middleware (use after authMiddleware)
+ * Requires the caller's current role (from users_user, not the token's `role` claim,
+ * so a demotion applies at once) to include the given role. Sets req.user.role to it.
+ * API keys never carry staff rights.
+ * @param {string} role - 'staff' or 'superuser' (see config/roles.js)
+ */
+export const requireRole = (role) => async (req, res, next) => {
+  try {
+    if (req.user && !req.user.api_key_id) {
+      const user = await User.findById(req.user.id);
+      req.user.role = user && user.is_active ? roleOf(user) : null;
+    }
+
+    if (!req.user || !hasRole(req.user.role, role)) {
+      return res.status(403).json({
+        data: { error: role === 'superuser' ? 'Superuser access required.' : 'Staff access required.' }
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Staff-only Middleware (use after authMiddleware)
+ * Superusers count as staff.
+ */
+export const requireStaff = requireRole('staff');
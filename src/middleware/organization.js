@@ -0,0 +1,33 @@
+import { Organization } from '../models/Organization.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Organisation Scope Middleware (use after authMiddleware)
+ * A request with an X-Organization-Id header acts for that organisation: the caller
+ * must be a member, and req.organization is set to { id, role }. Without the header
+ * the request acts for the user alone.
+ */
+export const organizationScope = async (req, res, next) => {
+  const organizationId = req.headers['x-organization-id'];
+  if (!organizationId) {
+    return next();
+  }
+
+  try {
+    const membership = UUID_PATTERN.test(organizationId)
+      ? await Organization.getMembership(organizationId, req.user.id)
+      : null;
+
+    if (!membership) {
+      return res.status(403).json({
+        data: { error: 'You are not a member of this organisation.' }
+      });
+    }
+
+    req.organization = { id: membership.organization_id, role: membership.role };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
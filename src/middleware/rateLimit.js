@@ -0,0 +1,103 @@
+import { getRateLimit, isRateLimitEnabled } from '../config/rateLimits.js';
+import { getRateLimitStore } from '../services/rateLimit/index.js';
+
+/**
+ * Rate Limit Middleware
+ * Counts requests against a limit from config/rateLimits.js and answers 429 once it
+ * is used up. Sets RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset (seconds),
+ * plus Retry-After on 429. If the store fails, the request is let through.
+ * Per-user limits must come after authMiddleware.
+ * @param {string} name - Limit name, e.g. 'login' or 'analyze'
+ * @param {Object} [options]
+ * @param {Function} [options.skip] - (req) => true to not count a request
+ */
+export const rateLimit = (name, { skip } = {}) => {
+  const limit = limitFor(name);
+
+  return async (req, res, next) => {
+    if (skip && skip(req)) {
+      return next();
+    }
+
+    if (await countAgainstLimit(req, res, limit, 1)) {
+      next();
+    }
+  };
+};
+
+/**
+ * Count `amount` units of work against a limit, e.g. the items of a batch once they
+ * are known. A request that would go over the limit is answered with 429 and uses
+ * none of it.
+ * @returns {Promise<boolean>} Whether the request may go on (false once 429 was sent)
+ */
+export const consumeRateLimit = (req, res, name, amount) => countAgainstLimit(req, res, limitFor(name), amount);
+
+// ==================== HELPER FUNCTIONS ====================
+
+const limits = new Map();
+
+function limitFor(name) {
+  if (!limits.has(name)) {
+    limits.set(name, getRateLimit(name));
+  }
+  return limits.get(name);
+}
+
+async function countAgainstLimit(req, res, limit, amount) {
+  if (!isRateLimitEnabled()) {
+    return true;
+  }
+
+  const subject = limit.by === 'user' && req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+  const key = `${limit.name}:${subject}`;
+  const store = getRateLimitStore();
+
+  let counter;
+  let refused;
+  try {
+    // Several units are only counted if they all fit
+    const current = amount > 1 ? await store.get(key) : null;
+    refused = amount > limit.max || (!!current && current.count + amount > limit.max);
+    counter = refused
+      ? current || { count: 0, resetAt: new Date(Date.now() + limit.windowSeconds * 1000) }
+      : await store.increment(key, limit.windowSeconds * 1000, amount);
+    refused = refused || counter.count > limit.max;
+  } catch (error) {
+    console.error(`❌ Rate limit store error (${limit.name}):`, error.message);
+    return true;
+  }
+
+  const resetSeconds = Math.max(0, Math.ceil((counter.resetAt.getTime() - Date.now()) / 1000));
+  const remaining = Math.max(0, limit.max - counter.count);
+  res.set({
+    'RateLimit-Limit': String(limit.max),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(resetSeconds)
+  });
+
+  if (refused) {
+    res.set('Retry-After', String(resetSeconds));
+    res.status(429).json({
+      data: {
+        error: amount > 1
+          ? `Too many items: ${amount} requested, ${remaining} left. Please try again in ${formatWait(resetSeconds)}.`
+          : `Too many requests. Please try again in ${formatWait(resetSeconds)}.`
+      }
+    });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * '45 seconds', '3 minutes'
+ */
+function formatWait(seconds) {
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
@@ -0,0 +1,37 @@
+-- Analysis results, one row per analyzeLocation run.
+-- Breakdowns are stored as JSONB; the primary isochrone is stored as PostGIS geometry.
+
+CREATE TABLE IF NOT EXISTS analysis_results (
+  id BIGSERIAL PRIMARY KEY,
+  survey_gid INTEGER,
+  village VARCHAR(255) NOT NULL,
+  survey_number VARCHAR(64) NOT NULL,
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  analysis_mode VARCHAR(20) NOT NULL DEFAULT 'centroid',
+  travel_mode VARCHAR(20) NOT NULL DEFAULT 'walking',
+  contour_minutes INTEGER[] NOT NULL DEFAULT '{10}',
+  isochrone_provider VARCHAR(32),
+  used_fallback BOOLEAN NOT NULL DEFAULT FALSE,
+  scoring_profile_id VARCHAR(64),
+  scoring_profile_version INTEGER,
+  total_pois INTEGER,
+  development_score INTEGER,
+  ftl_zone_percentage DOUBLE PRECISION,
+  distance_to_police DOUBLE PRECISION,
+  distance_to_hospital DOUBLE PRECISION,
+  distance_to_main_road DOUBLE PRECISION,
+  poi_breakdown JSONB,
+  supportive_businesses JSONB,
+  score_breakdown JSONB,
+  contours JSONB,
+  parcel JSONB,
+  map_data JSONB,
+  isochrone_geom geometry(Geometry, 4326),
+  analysis_date TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_analysis_results_village_survey ON analysis_results(village, survey_number);
+CREATE INDEX IF NOT EXISTS idx_analysis_results_analysis_date ON analysis_results(analysis_date);
+CREATE INDEX IF NOT EXISTS idx_analysis_results_isochrone_geom ON analysis_results USING GIST(isochrone_geom);
@@ -0,0 +1,8 @@
+-- Analyses reference the source cadastral parcel (survey_gid) and the requesting user.
+-- ts_warangal_survey is read-only: analyses no longer insert rows into it.
+
+ALTER TABLE analysis_results
+  ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users_user(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_analysis_results_user ON analysis_results(user_id, analysis_date DESC);
+CREATE INDEX IF NOT EXISTS idx_analysis_results_survey_gid ON analysis_results(survey_gid);
@@ -0,0 +1,26 @@
+-- Promo codes for report purchases and the redemptions counted against their limits.
+
+CREATE TABLE IF NOT EXISTS promo_codes (
+  code VARCHAR(64) PRIMARY KEY,
+  description TEXT,
+  discount_type VARCHAR(16) NOT NULL CHECK (discount_type IN ('percent', 'flat')),
+  discount_value NUMERIC(10, 2) NOT NULL CHECK (discount_value > 0),
+  product_ids TEXT[],
+  starts_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  max_uses INTEGER,
+  max_uses_per_user INTEGER,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+  id BIGSERIAL PRIMARY KEY,
+  promo_code VARCHAR(64) NOT NULL REFERENCES promo_codes(code),
+  user_id UUID NOT NULL,
+  razorpay_order_id VARCHAR(64) NOT NULL UNIQUE,
+  discount_amount NUMERIC(10, 2) NOT NULL,
+  redeemed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_code_user ON promo_redemptions(promo_code, user_id);
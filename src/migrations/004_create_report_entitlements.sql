@@ -0,0 +1,17 @@
+-- Report entitlements: which user may export / see full details of which analysis.
+-- Granted by a completed payment or a free-trial credit; staff need no entitlement.
+
+CREATE TABLE IF NOT EXISTS report_entitlements (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users_user(id) ON DELETE CASCADE,
+  survey_result_id BIGINT NOT NULL REFERENCES analysis_results(id) ON DELETE CASCADE,
+  source VARCHAR(16) NOT NULL CHECK (source IN ('payment', 'trial')),
+  payment_id VARCHAR(64),
+  granted_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_report_entitlements_active
+  ON report_entitlements(user_id, survey_result_id)
+  WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_report_entitlements_payment ON report_entitlements(payment_id);
@@ -0,0 +1,17 @@
+-- Razorpay webhook deliveries, one row per event id.
+-- Lets duplicate deliveries be skipped and failed ones be retried.
+
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+  event_id VARCHAR(64) PRIMARY KEY,
+  event_type VARCHAR(64) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'processing'
+    CHECK (status IN ('processing', 'processed', 'ignored', 'failed')),
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 1,
+  received_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_webhook_events_type ON payment_webhook_events(event_type);
+CREATE INDEX IF NOT EXISTS idx_payment_webhook_events_received ON payment_webhook_events(received_at);
@@ -0,0 +1,48 @@
+-- Payments, previously kept in memory and lost on every restart.
+-- payment_status follows a state machine (see src/models/Payment.js):
+--   created -> attempted -> completed -> refunded
+--   created/attempted -> failed -> attempted/completed (the order can be paid on retry)
+-- Every status change is timestamped and logged in payment_status_history.
+
+CREATE TABLE IF NOT EXISTS payments (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID REFERENCES users_user(id) ON DELETE SET NULL,
+  product_id VARCHAR(64),
+  survey_result_id BIGINT REFERENCES analysis_results(id) ON DELETE SET NULL,
+  razorpay_order_id VARCHAR(64) UNIQUE,
+  razorpay_payment_id VARCHAR(64),
+  razorpay_signature VARCHAR(128),
+  amount NUMERIC(12, 2) NOT NULL,
+  original_amount NUMERIC(12, 2),
+  discount_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  refunded_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  currency VARCHAR(3) NOT NULL DEFAULT 'INR',
+  promo_code VARCHAR(64),
+  payment_status VARCHAR(16) NOT NULL DEFAULT 'created'
+    CHECK (payment_status IN ('created', 'attempted', 'completed', 'failed', 'refunded')),
+  failure_reason TEXT,
+  village VARCHAR(255),
+  survey_number VARCHAR(100),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  attempted_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  failed_at TIMESTAMP WITH TIME ZONE,
+  refunded_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_user ON payments(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_payments_survey_result ON payments(survey_result_id);
+CREATE INDEX IF NOT EXISTS idx_payments_razorpay_payment ON payments(razorpay_payment_id);
+CREATE INDEX IF NOT EXISTS idx_payments_status ON payments(payment_status);
+
+CREATE TABLE IF NOT EXISTS payment_status_history (
+  id BIGSERIAL PRIMARY KEY,
+  payment_id BIGINT NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  from_status VARCHAR(16),
+  to_status VARCHAR(16) NOT NULL,
+  reason TEXT,
+  changed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_status_history_payment ON payment_status_history(payment_id, changed_at);
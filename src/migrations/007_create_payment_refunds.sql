@@ -0,0 +1,17 @@
+-- Refunds of payments, issued by staff through the API or from the Razorpay dashboard
+-- (the latter arrive through the refund.processed webhook).
+
+CREATE TABLE IF NOT EXISTS payment_refunds (
+  id BIGSERIAL PRIMARY KEY,
+  payment_id BIGINT NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  razorpay_refund_id VARCHAR(64) UNIQUE,
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  status VARCHAR(16) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processed', 'failed')),
+  reason TEXT,
+  requested_by UUID REFERENCES users_user(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_refunds_payment ON payment_refunds(payment_id, created_at);
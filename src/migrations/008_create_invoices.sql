@@ -0,0 +1,38 @@
+-- GST invoices for completed payments.
+-- Numbers are sequential without gaps within each Indian financial year (April-March):
+-- the counter row is incremented in the same transaction as the invoice insert.
+-- The invoice row is a snapshot of what was billed; the PDF is rendered from it on download.
+
+CREATE TABLE IF NOT EXISTS invoice_counters (
+  financial_year VARCHAR(7) PRIMARY KEY,
+  last_number INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS invoices (
+  id BIGSERIAL PRIMARY KEY,
+  invoice_number VARCHAR(16) NOT NULL UNIQUE,
+  financial_year VARCHAR(7) NOT NULL,
+  sequence_number INTEGER NOT NULL,
+  payment_id BIGINT NOT NULL UNIQUE REFERENCES payments(id),
+  user_id UUID REFERENCES users_user(id) ON DELETE SET NULL,
+  buyer_name VARCHAR(255),
+  buyer_email VARCHAR(255),
+  product_id VARCHAR(64),
+  description TEXT NOT NULL,
+  village VARCHAR(255),
+  survey_number VARCHAR(100),
+  base_amount NUMERIC(12, 2) NOT NULL,
+  discount_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  promo_code VARCHAR(64),
+  taxable_amount NUMERIC(12, 2) NOT NULL,
+  cgst_rate NUMERIC(5, 2) NOT NULL,
+  cgst_amount NUMERIC(12, 2) NOT NULL,
+  sgst_rate NUMERIC(5, 2) NOT NULL,
+  sgst_amount NUMERIC(12, 2) NOT NULL,
+  total_amount NUMERIC(12, 2) NOT NULL,
+  currency VARCHAR(3) NOT NULL DEFAULT 'INR',
+  issued_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  UNIQUE (financial_year, sequence_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_user ON invoices(user_id, issued_at DESC);
@@ -0,0 +1,48 @@
+-- Prepaid report credits and monthly plans.
+-- credit_balances holds the current balance (never negative); credit_ledger is the
+-- history of every change. A plan purchase opens a subscription with an export quota.
+
+CREATE TABLE IF NOT EXISTS credit_balances (
+  user_id UUID PRIMARY KEY REFERENCES users_user(id) ON DELETE CASCADE,
+  balance INTEGER NOT NULL DEFAULT 0 CHECK (balance >= 0),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS credit_ledger (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users_user(id) ON DELETE CASCADE,
+  delta INTEGER NOT NULL CHECK (delta <> 0),
+  balance_after INTEGER NOT NULL,
+  reason VARCHAR(16) NOT NULL CHECK (reason IN ('purchase', 'export', 'adjustment')),
+  payment_id BIGINT REFERENCES payments(id),
+  survey_result_id BIGINT REFERENCES analysis_results(id) ON DELETE SET NULL,
+  note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_user ON credit_ledger(user_id, created_at DESC);
+-- A payment adds its credits once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_ledger_purchase
+  ON credit_ledger(payment_id)
+  WHERE reason = 'purchase';
+
+CREATE TABLE IF NOT EXISTS subscriptions (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users_user(id) ON DELETE CASCADE,
+  product_id VARCHAR(64) NOT NULL,
+  payment_id BIGINT NOT NULL UNIQUE REFERENCES payments(id),
+  export_quota INTEGER NOT NULL CHECK (export_quota > 0),
+  exports_used INTEGER NOT NULL DEFAULT 0 CHECK (exports_used >= 0),
+  starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  CHECK (exports_used <= export_quota)
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_user ON subscriptions(user_id, ends_at DESC);
+
+-- Reports can now also be unlocked with a credit or a plan export
+ALTER TABLE report_entitlements DROP CONSTRAINT IF EXISTS report_entitlements_source_check;
+ALTER TABLE report_entitlements
+  ADD CONSTRAINT report_entitlements_source_check
+  CHECK (source IN ('payment', 'trial', 'credit', 'subscription'));
@@ -0,0 +1,21 @@
+-- Refresh tokens, rotated on every use. All tokens of one login share a family_id,
+-- which access tokens carry as their `sid` (session id) claim.
+-- A session is active while its family has an unused, unrevoked, unexpired token.
+-- Presenting an already used token revokes the whole family (token theft).
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users_user(id) ON DELETE CASCADE,
+  family_id UUID NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  used_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  revoked_reason VARCHAR(32),
+  user_agent TEXT,
+  ip_address VARCHAR(64)
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id) WHERE revoked_at IS NULL;
@@ -0,0 +1,22 @@
+-- Email verification and single-use tokens for password reset / email confirmation.
+-- The tokens themselves are signed JWTs; this table records their jti so each can be
+-- used once and older ones can be superseded.
+
+ALTER TABLE users_user
+  ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE;
+
+-- Accounts that exist before verification was introduced count as verified
+UPDATE users_user
+SET email_verified_at = date_joined
+WHERE email_verified_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS auth_action_tokens (
+  jti UUID PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users_user(id) ON DELETE CASCADE,
+  purpose VARCHAR(32) NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  used_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_action_tokens_user ON auth_action_tokens(user_id, purpose);
@@ -0,0 +1,22 @@
+-- API keys for server-to-server access (partner integrations).
+-- Only the sha256 of a key is stored; key_prefix is kept so users can tell keys apart.
+-- allowed_ips holds addresses or CIDR ranges; NULL allows any address.
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users_user(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL,
+  key_hash CHAR(64) NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL CHECK (
+    cardinality(scopes) > 0 AND scopes <@ ARRAY['analyze', 'export', 'read']::TEXT[]
+  ),
+  allowed_ips TEXT[],
+  expires_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  last_used_ip VARCHAR(64),
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id, created_at DESC);
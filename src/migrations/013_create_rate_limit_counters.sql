@@ -0,0 +1,11 @@
+-- Fixed-window counters for the Postgres rate limit store (RATE_LIMIT_STORE=postgres),
+-- shared by all instances. Losing them on a crash only resets the limits, so the
+-- table is unlogged.
+
+CREATE UNLOGGED TABLE IF NOT EXISTS rate_limit_counters (
+  key VARCHAR(255) PRIMARY KEY,
+  count INTEGER NOT NULL,
+  reset_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_reset ON rate_limit_counters(reset_at);
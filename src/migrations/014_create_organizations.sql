@@ -0,0 +1,78 @@
+-- Organisation accounts: a firm shares one billing account (credits and plans) and
+-- its members see each other's analyses.
+-- Requests act for an organisation when they carry X-Organization-Id; analyses,
+-- payments, entitlements, credit changes and plans made that way record it.
+
+CREATE TABLE IF NOT EXISTS organizations (
+  id UUID PRIMARY KEY,
+  name VARCHAR(200) NOT NULL,
+  created_by UUID REFERENCES users_user(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS organization_members (
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users_user(id) ON DELETE CASCADE,
+  role VARCHAR(16) NOT NULL CHECK (role IN ('owner', 'admin', 'member')),
+  joined_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (organization_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_members_user ON organization_members(user_id);
+
+-- Only the sha256 of an invitation token is stored
+CREATE TABLE IF NOT EXISTS organization_invitations (
+  id BIGSERIAL PRIMARY KEY,
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  email VARCHAR(254) NOT NULL,
+  role VARCHAR(16) NOT NULL CHECK (role IN ('admin', 'member')),
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  invited_by UUID REFERENCES users_user(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  accepted_at TIMESTAMP WITH TIME ZONE,
+  accepted_by UUID REFERENCES users_user(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_invitations_org
+  ON organization_invitations(organization_id, created_at DESC);
+
+-- Organisation credit balances (personal ones stay in credit_balances)
+CREATE TABLE IF NOT EXISTS organization_credit_balances (
+  organization_id UUID PRIMARY KEY REFERENCES organizations(id) ON DELETE CASCADE,
+  balance INTEGER NOT NULL DEFAULT 0 CHECK (balance >= 0),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE analysis_results
+  ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_analysis_results_organization
+  ON analysis_results(organization_id, analysis_date DESC)
+  WHERE organization_id IS NOT NULL;
+
+ALTER TABLE payments
+  ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_payments_organization
+  ON payments(organization_id, created_at DESC)
+  WHERE organization_id IS NOT NULL;
+
+-- An entitlement with an organisation unlocks the report for all of its members
+ALTER TABLE report_entitlements
+  ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_report_entitlements_organization
+  ON report_entitlements(organization_id, survey_result_id)
+  WHERE organization_id IS NOT NULL;
+
+-- user_id stays the member who bought or used the credits
+ALTER TABLE credit_ledger
+  ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_organization
+  ON credit_ledger(organization_id, created_at DESC)
+  WHERE organization_id IS NOT NULL;
+
+ALTER TABLE subscriptions
+  ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_subscriptions_organization
+  ON subscriptions(organization_id, ends_at DESC)
+  WHERE organization_id IS NOT NULL;
@@ -0,0 +1,44 @@
+-- Append-only audit log of security- and money-relevant actions (logins, registrations,
+-- analyses, exports, payments, refunds, admin actions).
+-- Rows are never changed or removed: a trigger rejects UPDATE, DELETE and TRUNCATE.
+-- There are no foreign keys, so entries outlive the users and records they refer to.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  action VARCHAR(64) NOT NULL,
+  outcome VARCHAR(16) NOT NULL DEFAULT 'success' CHECK (outcome IN ('success', 'failure')),
+  actor_id UUID,
+  actor_email VARCHAR(254),
+  actor_role VARCHAR(20),
+  api_key_id BIGINT,
+  organization_id UUID,
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  target_type VARCHAR(40),
+  target_id VARCHAR(255),
+  before JSONB,
+  after JSONB,
+  metadata JSONB,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, created_at DESC);
+
+CREATE OR REPLACE FUNCTION audit_log_reject_change() RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_no_update_delete ON audit_log;
+CREATE TRIGGER audit_log_no_update_delete
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_reject_change();
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate
+  BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_log_reject_change();
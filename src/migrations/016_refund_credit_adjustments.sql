@@ -0,0 +1,6 @@
+-- A full refund of a credit pack takes its credits back with a negative 'adjustment'
+-- entry tied to the payment; a payment is reversed at most once.
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_ledger_refund
+  ON credit_ledger(payment_id)
+  WHERE reason = 'adjustment' AND payment_id IS NOT NULL;
@@ -0,0 +1,17 @@
+-- Promo code uses are reserved when an order is created, so concurrent orders cannot
+-- go over max_uses / max_uses_per_user. A reservation becomes 'redeemed' when the
+-- payment completes and 'released' when it fails; reservations left open expire
+-- (RESERVATION_MINUTES in src/models/PromoCode.js).
+
+ALTER TABLE promo_redemptions
+  ADD COLUMN IF NOT EXISTS status VARCHAR(16) NOT NULL DEFAULT 'redeemed'
+    CHECK (status IN ('reserved', 'redeemed', 'released'));
+
+ALTER TABLE promo_redemptions ADD COLUMN IF NOT EXISTS reserved_at TIMESTAMP WITH TIME ZONE;
+UPDATE promo_redemptions SET reserved_at = redeemed_at WHERE reserved_at IS NULL;
+ALTER TABLE promo_redemptions ALTER COLUMN reserved_at SET DEFAULT NOW();
+ALTER TABLE promo_redemptions ALTER COLUMN reserved_at SET NOT NULL;
+
+-- Set once the payment completes
+ALTER TABLE promo_redemptions ALTER COLUMN redeemed_at DROP NOT NULL;
+ALTER TABLE promo_redemptions ALTER COLUMN redeemed_at DROP DEFAULT;
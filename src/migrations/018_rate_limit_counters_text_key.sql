@@ -0,0 +1,3 @@
+-- Rate limit keys are not limited in length (limit name plus user id, IP or email hash)
+
+ALTER TABLE rate_limit_counters ALTER COLUMN key TYPE TEXT;
@@ -0,0 +1,34 @@
+-- Batch analysis jobs and their items, so progress and downloads survive restarts and
+-- are served by every instance. Items only point at their analysis_results row.
+-- Any instance runs queued jobs; a running job whose heartbeat stopped (its process died)
+-- is taken over and resumes its unfinished items.
+
+CREATE TABLE IF NOT EXISTS batch_jobs (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users_user(id) ON DELETE CASCADE,
+  organization_id UUID REFERENCES organizations(id) ON DELETE SET NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+  options JSONB NOT NULL,
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE,
+  heartbeat_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_batch_jobs_user ON batch_jobs(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_batch_jobs_status ON batch_jobs(status, created_at);
+
+CREATE TABLE IF NOT EXISTS batch_job_items (
+  job_id UUID NOT NULL REFERENCES batch_jobs(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  village VARCHAR(255) NOT NULL,
+  survey_number VARCHAR(64) NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+  result_id BIGINT REFERENCES analysis_results(id) ON DELETE SET NULL,
+  development_score INTEGER,
+  error TEXT,
+  PRIMARY KEY (job_id, position)
+);
@@ -0,0 +1,10 @@
+-- A report unlocked for an organisation belongs to the organisation, not to the member
+-- who unlocked it: a removed member loses it and may unlock the report again for
+-- themselves. At most one active entitlement per user, survey result and account
+-- (personal or organisation).
+
+DROP INDEX IF EXISTS idx_report_entitlements_active;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_report_entitlements_active_account
+  ON report_entitlements(user_id, survey_result_id, COALESCE(organization_id, '00000000-0000-0000-0000-000000000000'::uuid))
+  WHERE revoked_at IS NULL;
@@ -0,0 +1,92 @@
+import pool from '../config/database.js';
+
+/**
+ * ApiKey Model - Uses api_keys table (src/migrations/012_create_api_keys.sql)
+ *
+ * Table structure:
+ * - id: bigserial (primary key, returned as string)
+ * - user_id: uuid (owner, users_user.id)
+ * - name: label chosen by the owner
+ * - key_prefix: first characters of the key, for display
+ * - key_hash: sha256 of the key (the key itself is never stored)
+ * - scopes: text[] of 'analyze', 'export' and 'read'
+ * - allowed_ips: text[] of addresses or CIDR ranges (null = any)
+ * - expires_at (null = never) / created_at / last_used_at / revoked_at: timestamp
+ * - last_used_ip: varchar
+ */
+
+// Columns returned to the owner (never the hash)
+const PUBLIC_COLUMNS = `id, user_id, name, key_prefix, scopes, allowed_ips,
+  expires_at, created_at, last_used_at, last_used_ip, revoked_at`;
+
+export class ApiKey {
+  static async create({ userId, name, keyPrefix, keyHash, scopes, allowedIps = null, expiresAt = null }) {
+    const result = await pool.query(
+      `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, allowed_ips, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${PUBLIC_COLUMNS}`,
+      [userId, name, keyPrefix, keyHash, scopes, allowedIps, expiresAt]
+    );
+    return this.fromRow(result.rows[0]);
+  }
+
+  /**
+   * Find a usable key (not revoked or expired) by its hash
+   */
+  static async findActiveByHash(keyHash) {
+    const result = await pool.query(
+      `SELECT ${PUBLIC_COLUMNS} FROM api_keys
+       WHERE key_hash = $1
+         AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > NOW())`,
+      [keyHash]
+    );
+    return result.rows[0] ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Keys of a user, newest first (revoked ones included)
+   */
+  static async findByUser(userId) {
+    const result = await pool.query(
+      `SELECT ${PUBLIC_COLUMNS} FROM api_keys
+       WHERE user_id = $1
+       ORDER BY created_at DESC, id DESC`,
+      [userId]
+    );
+    return result.rows.map(row => this.fromRow(row));
+  }
+
+  /**
+   * Revoke a key of a user
+   * @returns {Promise<Object|null>} The revoked key, or null if the user has no such active key
+   */
+  static async revoke(id, userId) {
+    if (!/^\d+$/.test(String(id))) return null;
+
+    const result = await pool.query(
+      `UPDATE api_keys SET revoked_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+       RETURNING ${PUBLIC_COLUMNS}`,
+      [id, userId]
+    );
+    return result.rows[0] ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Record a use of a key
+   * Written at most once a minute per key, so busy integrations do not write on every call.
+   */
+  static async touch(id, ipAddress) {
+    await pool.query(
+      `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $2
+       WHERE id = $1
+         AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute' OR last_used_ip IS DISTINCT FROM $2)`,
+      [id, ipAddress]
+    );
+  }
+
+  static fromRow(row) {
+    return { ...row, id: String(row.id) };
+  }
+}
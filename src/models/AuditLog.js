@@ -0,0 +1,112 @@
+import pool from '../config/database.js';
+
+/**
+ * AuditLog Model - Uses audit_log table (src/migrations/015_create_audit_log.sql)
+ *
+ * Table structure (append-only, rows cannot be updated or deleted):
+ * - id: bigserial (primary key, returned as string)
+ * - action: e.g. 'auth.login', 'payment.refund' (see AUDIT_ACTIONS in auditService)
+ * - outcome: 'success' or 'failure'
+ * - actor_id / actor_email / actor_role: who acted (actor_role 'system' for changes made by
+ *   webhooks, reconciliation and other background work)
+ * - api_key_id: bigint, set when the actor used an API key
+ * - organization_id: uuid, set for requests made for an organisation
+ * - ip_address / user_agent: where the request came from
+ * - target_type / target_id: what was acted on, e.g. 'payment' and its id
+ * - before / after: jsonb of the changed fields
+ * - metadata: jsonb with further details (reason of a failure, amounts...)
+ * - created_at: timestamp
+ */
+export class AuditLog {
+  /**
+   * @param {Object} entry - Columns of the entry (missing ones are null)
+   * @param {Object} db - Client of the caller's transaction, to log a change with it
+   */
+  static async append(entry, db = pool) {
+    const result = await db.query(
+      `INSERT INTO audit_log (
+        action, outcome, actor_id, actor_email, actor_role, api_key_id, organization_id,
+        ip_address, user_agent, target_type, target_id, before, after, metadata
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      RETURNING *`,
+      [
+        entry.action,
+        entry.outcome || 'success',
+        entry.actor_id ?? null,
+        entry.actor_email ?? null,
+        entry.actor_role ?? null,
+        entry.api_key_id ?? null,
+        entry.organization_id ?? null,
+        entry.ip_address ?? null,
+        entry.user_agent ?? null,
+        entry.target_type ?? null,
+        entry.target_id ?? null,
+        toJson(entry.before),
+        toJson(entry.after),
+        toJson(entry.metadata)
+      ]
+    );
+    return this.fromRow(result.rows[0]);
+  }
+
+  /**
+   * Search entries, newest first
+   * @param {Object} filters - action, outcome, actor_id, actor_email, organization_id,
+   *   ip_address, target_type, target_id, from, to
+   * @returns {Promise<{ entries: Array, total: number }>}
+   */
+  static async search(filters = {}, { limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const values = [];
+
+    const exact = ['action', 'outcome', 'actor_id', 'organization_id', 'ip_address', 'target_type', 'target_id'];
+    exact.forEach((column) => {
+      if (filters[column]) {
+        values.push(filters[column]);
+        conditions.push(`${column} = $${values.length}`);
+      }
+    });
+
+    if (filters.actor_email) {
+      values.push(filters.actor_email);
+      conditions.push(`lower(actor_email) = lower($${values.length})`);
+    }
+
+    if (filters.from) {
+      values.push(filters.from);
+      conditions.push(`created_at >= $${values.length}`);
+    }
+
+    if (filters.to) {
+      values.push(filters.to);
+      conditions.push(`created_at < $${values.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const count = await pool.query(`SELECT COUNT(*)::int AS total FROM audit_log ${where}`, values);
+
+    values.push(limit, offset);
+    const result = await pool.query(
+      `SELECT * FROM audit_log ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${values.length - 1} OFFSET $${values.length}`,
+      values
+    );
+
+    return { entries: result.rows.map(row => this.fromRow(row)), total: count.rows[0].total };
+  }
+
+  static fromRow(row) {
+    return {
+      ...row,
+      id: String(row.id),
+      api_key_id: row.api_key_id === null ? null : String(row.api_key_id)
+    };
+  }
+}
+
+// ==================== HELPER FUNCTIONS ====================
+
+function toJson(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
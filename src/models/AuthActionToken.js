@@ -0,0 +1,52 @@
+import pool from '../config/database.js';
+
+/**
+ * AuthActionToken Model - Uses auth_action_tokens table
+ * (src/migrations/011_email_verification_and_auth_tokens.sql)
+ *
+ * Table structure:
+ * - jti: uuid (primary key, the JWT id of the token)
+ * - user_id: uuid (users_user.id)
+ * - purpose: 'password_reset' or 'email_verification'
+ * - expires_at / created_at / used_at: timestamp
+ */
+export class AuthActionToken {
+  /**
+   * Record a new token; earlier unused tokens of the user for the same purpose stop working
+   */
+  static async create({ jti, userId, purpose, expiresAt }) {
+    await pool.query(
+      `UPDATE auth_action_tokens
+       SET used_at = NOW()
+       WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+      [userId, purpose]
+    );
+
+    const result = await pool.query(
+      `INSERT INTO auth_action_tokens (jti, user_id, purpose, expires_at)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [jti, userId, purpose, expiresAt]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Use a token
+   * @returns {Promise<Object|null>} The token, or null if it is unknown, used or expired
+   */
+  static async consume({ jti, userId, purpose }) {
+    const result = await pool.query(
+      `UPDATE auth_action_tokens
+       SET used_at = NOW()
+       WHERE jti = $1
+         AND user_id = $2
+         AND purpose = $3
+         AND used_at IS NULL
+         AND expires_at > NOW()
+       RETURNING *`,
+      [jti, userId, purpose]
+    );
+    return result.rows[0] || null;
+  }
+}
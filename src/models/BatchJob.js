@@ -0,0 +1,201 @@
+import pool from '../config/database.js';
+
+// A running job whose heartbeat is older than this was left by a process that died
+const HEARTBEAT_TIMEOUT_MINUTES = 10;
+
+// Per-job item counts, for progress
+const PROGRESS_COLUMNS = `
+  (SELECT COUNT(*)::int FROM batch_job_items i WHERE i.job_id = j.id) AS total_items,
+  (SELECT COUNT(*)::int FROM batch_job_items i WHERE i.job_id = j.id AND i.status = 'completed') AS completed_items,
+  (SELECT COUNT(*)::int FROM batch_job_items i WHERE i.job_id = j.id AND i.status = 'failed') AS failed_items`;
+
+/**
+ * BatchJob Model - Uses batch_jobs and batch_job_items tables
+ * (src/migrations/019_create_batch_jobs.sql)
+ *
+ * batch_jobs:
+ * - id: uuid (primary key)
+ * - user_id / organization_id: who the analyses are run for
+ * - status: 'queued', 'running', 'completed' or 'failed'
+ * - options: jsonb analysis options (see gisService.resolveAnalysisOptions)
+ * - error: text (why a job failed)
+ * - created_at / started_at / finished_at: timestamp
+ * - heartbeat_at: timestamp, refreshed while a process runs the job
+ *
+ * batch_job_items (one row per parcel, in request order):
+ * - position: integer
+ * - village / survey_number
+ * - status: 'pending', 'running', 'completed' or 'failed'
+ * - result_id: bigint (analysis_results.id of a completed item)
+ * - development_score: integer
+ * - error: text (why an item failed)
+ */
+export class BatchJob {
+  /**
+   * Create a queued job with its items
+   * @param {Array<{ village: string, surveyNumber: string }>} items
+   */
+  static async create({ id, userId, organizationId, options, items }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO batch_jobs (id, user_id, organization_id, options)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [id, userId, organizationId, JSON.stringify(options)]
+      );
+
+      await client.query(
+        `INSERT INTO batch_job_items (job_id, position, village, survey_number)
+         SELECT $1, item.position - 1, item.village, item.survey_number
+         FROM unnest($2::text[], $3::text[]) WITH ORDINALITY AS item(village, survey_number, position)`,
+        [id, items.map(item => item.village), items.map(item => item.surveyNumber)]
+      );
+
+      await client.query('COMMIT');
+      return {
+        ...result.rows[0],
+        total_items: items.length,
+        completed_items: 0,
+        failed_items: 0
+      };
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find a job with its progress counts
+   */
+  static async findById(id) {
+    const result = await pool.query(
+      `SELECT j.*, ${PROGRESS_COLUMNS} FROM batch_jobs j WHERE j.id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Jobs created by a user, newest first
+   */
+  static async findByUser(userId) {
+    const result = await pool.query(
+      `SELECT j.*, ${PROGRESS_COLUMNS}
+       FROM batch_jobs j
+       WHERE j.user_id = $1
+       ORDER BY j.created_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Items of a job, in request order
+   * @param {string} [status] - Only items with this status
+   */
+  static async findItems(jobId, status = null) {
+    const result = await pool.query(
+      `SELECT position, village, survey_number, status, result_id, development_score, error
+       FROM batch_job_items
+       WHERE job_id = $1 AND ($2::text IS NULL OR status = $2)
+       ORDER BY position ASC`,
+      [jobId, status]
+    );
+    return result.rows.map(row => ({
+      ...row,
+      result_id: row.result_id === null ? null : row.result_id.toString()
+    }));
+  }
+
+  /**
+   * Claim the oldest queued job, or a running one whose process died, and put its
+   * interrupted items back to pending
+   * @returns {Promise<Object|null>} The claimed job, or null if there is nothing to run
+   */
+  static async claimNext() {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE batch_jobs
+         SET status = 'running',
+             started_at = COALESCE(started_at, NOW()),
+             heartbeat_at = NOW()
+         WHERE id = (
+           SELECT id FROM batch_jobs
+           WHERE status = 'queued'
+              OR (status = 'running' AND heartbeat_at < NOW() - make_interval(mins => $1))
+           ORDER BY created_at ASC
+           LIMIT 1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [HEARTBEAT_TIMEOUT_MINUTES]
+      );
+
+      const job = result.rows[0] || null;
+      if (job) {
+        await client.query(
+          `UPDATE batch_job_items SET status = 'pending'
+           WHERE job_id = $1 AND status = 'running'`,
+          [job.id]
+        );
+      }
+
+      await client.query('COMMIT');
+      return job;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Update an item and refresh the job's heartbeat
+   * @param {Object} fields - status, result_id, development_score, error
+   */
+  static async updateItem(jobId, position, { status, result_id = null, development_score = null, error = null }) {
+    await pool.query(
+      `WITH heartbeat AS (
+         UPDATE batch_jobs SET heartbeat_at = NOW() WHERE id = $1
+       )
+       UPDATE batch_job_items
+       SET status = $3, result_id = $4, development_score = $5, error = $6
+       WHERE job_id = $1 AND position = $2`,
+      [jobId, position, status, result_id, development_score, error]
+    );
+  }
+
+  /**
+   * Record the end of a job
+   * @param {string} status - 'completed' or 'failed'
+   */
+  static async finish(jobId, status, error = null) {
+    await pool.query(
+      `UPDATE batch_jobs
+       SET status = $2, error = $3, finished_at = NOW()
+       WHERE id = $1`,
+      [jobId, status, error]
+    );
+  }
+
+  /**
+   * Delete jobs finished before a date (their analyses are kept)
+   * @returns {Promise<number>} Number of deleted jobs
+   */
+  static async deleteFinishedBefore(cutoff) {
+    const result = await pool.query(
+      'DELETE FROM batch_jobs WHERE finished_at < $1',
+      [cutoff]
+    );
+    return result.rowCount;
+  }
+}
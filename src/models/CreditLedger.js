@@ -0,0 +1,207 @@
+import pool from '../config/database.js';
+
+/**
+ * CreditLedger Model - Uses credit_balances, organization_credit_balances and credit_ledger
+ * tables (src/migrations/009_create_credits_and_subscriptions.sql, 014_create_organizations.sql)
+ *
+ * credit_balances / organization_credit_balances: current balance per user or
+ * organisation (never negative)
+ * credit_ledger: every change of a balance
+ * - user_id: the user who bought or used the credits
+ * - organization_id: set for changes of an organisation's balance
+ * - delta: credits added (+) or used (-)
+ * - balance_after: balance once the change was applied
+ * - reason: 'purchase', 'export' or 'adjustment'
+ * - payment_id / survey_result_id: what the change was for
+ *
+ * An account is `{ userId, organizationId }`: the organisation's balance if
+ * organizationId is set, the user's own balance otherwise.
+ *
+ * Methods take an optional `db` (a client inside a transaction); balance and ledger
+ * are always changed together in one transaction.
+ */
+export class CreditLedger {
+  /**
+   * Current balance of an account
+   */
+  static async getBalance(account, db = pool) {
+    const { table, column, id } = balanceOf(account);
+    const result = await db.query(
+      `SELECT balance FROM ${table} WHERE ${column} = $1`,
+      [id]
+    );
+    return result.rows[0]?.balance || 0;
+  }
+
+  /**
+   * Add the credits of a purchase (no-op if the payment already added them)
+   * @returns {Promise<Object|null>} The ledger entry, or null if already added
+   */
+  static async addPurchase({ userId, organizationId = null, paymentId, credits }) {
+    return this.withTransaction(async (client) => {
+      const entry = await client.query(
+        `INSERT INTO credit_ledger (user_id, organization_id, delta, balance_after, reason, payment_id)
+         VALUES ($1, $2, $3, 0, 'purchase', $4)
+         ON CONFLICT (payment_id) WHERE reason = 'purchase' DO NOTHING
+         RETURNING id`,
+        [userId, organizationId, credits, paymentId]
+      );
+      if (entry.rows.length === 0) {
+        return null;
+      }
+
+      const balance = await this.changeBalance(client, { userId, organizationId }, credits);
+      const result = await client.query(
+        'UPDATE credit_ledger SET balance_after = $2 WHERE id = $1 RETURNING *',
+        [entry.rows[0].id, balance]
+      );
+      return this.fromRow(result.rows[0]);
+    });
+  }
+
+  /**
+   * Use one credit of an account for a report export
+   * @param {Object} db - Client of the caller's transaction
+   * @returns {Promise<Object|null>} The ledger entry, or null if the balance is zero
+   */
+  static async consumeForExport(db, { userId, organizationId = null, surveyResultId }) {
+    const { table, column, id } = balanceOf({ userId, organizationId });
+    const balance = await db.query(
+      `UPDATE ${table}
+       SET balance = balance - 1, updated_at = NOW()
+       WHERE ${column} = $1 AND balance > 0
+       RETURNING balance`,
+      [id]
+    );
+    if (balance.rows.length === 0) {
+      return null;
+    }
+
+    const result = await db.query(
+      `INSERT INTO credit_ledger (user_id, organization_id, delta, balance_after, reason, survey_result_id)
+       VALUES ($1, $2, -1, $3, 'export', $4)
+       RETURNING *`,
+      [userId, organizationId, balance.rows[0].balance, surveyResultId]
+    );
+    return this.fromRow(result.rows[0]);
+  }
+
+  /**
+   * Take back the credits of a refunded purchase (no-op if already taken back)
+   * Credits already spent cannot be taken back: at most the remaining balance is removed.
+   * @returns {Promise<Object|null>} The adjustment entry, or null if there was nothing to take back
+   */
+  static async reversePurchase(paymentId, note = null) {
+    return this.withTransaction(async (client) => {
+      const purchase = await client.query(
+        `SELECT user_id, organization_id, delta FROM credit_ledger
+         WHERE payment_id = $1 AND reason = 'purchase'`,
+        [paymentId]
+      );
+      if (purchase.rows.length === 0) {
+        return null;
+      }
+
+      const { user_id: userId, organization_id: organizationId, delta } = purchase.rows[0];
+      const { table, column, id } = balanceOf({ userId, organizationId });
+      const balance = await client.query(
+        `SELECT balance FROM ${table} WHERE ${column} = $1 FOR UPDATE`,
+        [id]
+      );
+      const credits = Math.min(delta, balance.rows[0]?.balance || 0);
+      if (credits <= 0) {
+        return null;
+      }
+
+      const entry = await client.query(
+        `INSERT INTO credit_ledger (user_id, organization_id, delta, balance_after, reason, payment_id, note)
+         VALUES ($1, $2, $3, 0, 'adjustment', $4, $5)
+         ON CONFLICT (payment_id) WHERE reason = 'adjustment' AND payment_id IS NOT NULL DO NOTHING
+         RETURNING id`,
+        [userId, organizationId, -credits, paymentId, note]
+      );
+      if (entry.rows.length === 0) {
+        return null;
+      }
+
+      const updated = await client.query(
+        `UPDATE ${table}
+         SET balance = balance - $2, updated_at = NOW()
+         WHERE ${column} = $1
+         RETURNING balance`,
+        [id, credits]
+      );
+      const result = await client.query(
+        'UPDATE credit_ledger SET balance_after = $2 WHERE id = $1 RETURNING *',
+        [entry.rows[0].id, updated.rows[0].balance]
+      );
+      return this.fromRow(result.rows[0]);
+    });
+  }
+
+  /**
+   * Ledger entries of an account, newest first
+   */
+  static async findByAccount({ userId, organizationId = null }, { limit = 50 } = {}) {
+    const result = await pool.query(
+      `SELECT * FROM credit_ledger
+       WHERE ${organizationId ? 'organization_id = $1' : 'user_id = $1 AND organization_id IS NULL'}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2`,
+      [organizationId || userId, limit]
+    );
+    return result.rows.map(row => this.fromRow(row));
+  }
+
+  /**
+   * Apply a change to a balance, creating it on first use
+   * @returns {Promise<number>} New balance
+   */
+  static async changeBalance(client, account, delta) {
+    const { table, column, id } = balanceOf(account);
+    const result = await client.query(
+      `INSERT INTO ${table} (${column}, balance)
+       VALUES ($1, $2)
+       ON CONFLICT (${column}) DO UPDATE
+       SET balance = ${table}.balance + EXCLUDED.balance, updated_at = NOW()
+       RETURNING balance`,
+      [id, delta]
+    );
+    return result.rows[0].balance;
+  }
+
+  static async withTransaction(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  static fromRow(row) {
+    return {
+      ...row,
+      id: String(row.id),
+      payment_id: row.payment_id === null ? null : String(row.payment_id),
+      survey_result_id: row.survey_result_id === null ? null : String(row.survey_result_id)
+    };
+  }
+}
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Balance row of an account
+ */
+function balanceOf({ userId, organizationId = null }) {
+  return organizationId
+    ? { table: 'organization_credit_balances', column: 'organization_id', id: organizationId }
+    : { table: 'credit_balances', column: 'user_id', id: userId };
+}
@@ -0,0 +1,119 @@
+import pool from '../config/database.js';
+
+const AMOUNT_COLUMNS = [
+  'base_amount',
+  'discount_amount',
+  'taxable_amount',
+  'cgst_rate',
+  'cgst_amount',
+  'sgst_rate',
+  'sgst_amount',
+  'total_amount'
+];
+
+/**
+ * Invoice Model - Uses invoices and invoice_counters tables
+ * (src/migrations/008_create_invoices.sql)
+ *
+ * Table structure:
+ * - id: bigserial (primary key)
+ * - invoice_number: varchar (unique, e.g. GSA/26-27/00042)
+ * - financial_year / sequence_number: the number's parts, unique together
+ * - payment_id: bigint (payments.id, one invoice per payment)
+ * - buyer_name, buyer_email, product_id, description, village, survey_number
+ * - base_amount, discount_amount, taxable_amount, cgst/sgst rate and amount, total_amount (rupees)
+ * - issued_at: timestamp
+ */
+export class Invoice {
+  /**
+   * Create the invoice of a payment with the next number of the financial year
+   * The counter and the invoice are written in one transaction, so numbers have no gaps.
+   * @param {Object} data - Invoice fields (without number)
+   * @param {Function} formatNumber - (financialYear, sequence) => invoice number
+   * @returns {Promise<Object>} The new invoice, or the existing one of the payment
+   */
+  static async create(data, formatNumber) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Locks the year's counter row until commit
+      const counter = await client.query(
+        `INSERT INTO invoice_counters (financial_year, last_number)
+         VALUES ($1, 1)
+         ON CONFLICT (financial_year) DO UPDATE
+         SET last_number = invoice_counters.last_number + 1
+         RETURNING last_number`,
+        [data.financial_year]
+      );
+      const sequence = counter.rows[0].last_number;
+
+      const result = await client.query(
+        `INSERT INTO invoices (
+          invoice_number, financial_year, sequence_number, payment_id, user_id,
+          buyer_name, buyer_email, product_id, description, village, survey_number,
+          base_amount, discount_amount, promo_code, taxable_amount,
+          cgst_rate, cgst_amount, sgst_rate, sgst_amount, total_amount, currency
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+        ON CONFLICT (payment_id) DO NOTHING
+        RETURNING *`,
+        [
+          formatNumber(data.financial_year, sequence),
+          data.financial_year,
+          sequence,
+          data.payment_id,
+          data.user_id || null,
+          data.buyer_name || null,
+          data.buyer_email || null,
+          data.product_id || null,
+          data.description,
+          data.village || null,
+          data.survey_number || null,
+          data.base_amount,
+          data.discount_amount || 0,
+          data.promo_code || null,
+          data.taxable_amount,
+          data.cgst_rate,
+          data.cgst_amount,
+          data.sgst_rate,
+          data.sgst_amount,
+          data.total_amount,
+          data.currency || 'INR'
+        ]
+      );
+
+      if (result.rows.length === 0) {
+        // Already invoiced: give the number back
+        await client.query('ROLLBACK');
+        return this.findByPayment(data.payment_id);
+      }
+
+      await client.query('COMMIT');
+      return this.fromRow(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find the invoice of a payment
+   */
+  static async findByPayment(paymentId) {
+    const result = await pool.query(
+      'SELECT * FROM invoices WHERE payment_id = $1',
+      [paymentId]
+    );
+    return result.rows[0] ? this.fromRow(result.rows[0]) : null;
+  }
+
+  static fromRow(row) {
+    const invoice = { ...row, id: String(row.id), payment_id: String(row.payment_id) };
+    AMOUNT_COLUMNS.forEach(column => {
+      invoice[column] = parseFloat(row[column]);
+    });
+    return invoice;
+  }
+}
@@ -0,0 +1,176 @@
+import pool from '../config/database.js';
+
+/**
+ * Organization Model - Uses organizations and organization_members tables
+ * (src/migrations/014_create_organizations.sql)
+ *
+ * organizations:
+ * - id: uuid (primary key)
+ * - name: varchar
+ * - created_by: uuid (users_user.id)
+ * - created_at: timestamp
+ *
+ * organization_members (one row per organisation and user):
+ * - role: 'owner', 'admin' or 'member'
+ * - joined_at: timestamp
+ */
+export class Organization {
+  /**
+   * Create an organisation with its creator as owner
+   */
+  static async create({ id, name, createdBy }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO organizations (id, name, created_by)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [id, name, createdBy]
+      );
+      await this.addMember(result.rows[0].id, createdBy, 'owner', client);
+
+      await client.query('COMMIT');
+      return { ...result.rows[0], role: 'owner' };
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async findById(id) {
+    const result = await pool.query('SELECT * FROM organizations WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Organisations a user is a member of, with their role
+   */
+  static async findForUser(userId) {
+    const result = await pool.query(
+      `SELECT o.*, m.role, m.joined_at
+       FROM organization_members m
+       JOIN organizations o ON o.id = m.organization_id
+       WHERE m.user_id = $1
+       ORDER BY o.name ASC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Membership of a user in an organisation
+   * @returns {Promise<Object|null>} { organization_id, user_id, role, joined_at }
+   */
+  static async getMembership(organizationId, userId) {
+    const result = await pool.query(
+      'SELECT * FROM organization_members WHERE organization_id = $1 AND user_id = $2',
+      [organizationId, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Members with their account details, owners and admins first
+   */
+  static async listMembers(organizationId) {
+    const result = await pool.query(
+      `SELECT m.user_id, m.role, m.joined_at, u.email, u.first_name, u.last_name
+       FROM organization_members m
+       JOIN users_user u ON u.id = m.user_id
+       WHERE m.organization_id = $1
+       ORDER BY CASE m.role WHEN 'owner' THEN 0 WHEN 'admin' THEN 1 ELSE 2 END, m.joined_at ASC`,
+      [organizationId]
+    );
+    return result.rows.map(({ first_name, last_name, ...member }) => ({
+      ...member,
+      full_name: `${first_name} ${last_name}`.trim()
+    }));
+  }
+
+  /**
+   * Add a member (no-op if the user already is one)
+   * @returns {Promise<boolean>} Whether the user was added
+   */
+  static async addMember(organizationId, userId, role, db = pool) {
+    const result = await db.query(
+      `INSERT INTO organization_members (organization_id, user_id, role)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (organization_id, user_id) DO NOTHING`,
+      [organizationId, userId, role]
+    );
+    return result.rowCount > 0;
+  }
+
+  static async setMemberRole(organizationId, userId, role) {
+    const result = await pool.query(
+      `UPDATE organization_members SET role = $3
+       WHERE organization_id = $1 AND user_id = $2
+       RETURNING *`,
+      [organizationId, userId, role]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async removeMember(organizationId, userId) {
+    const result = await pool.query(
+      'DELETE FROM organization_members WHERE organization_id = $1 AND user_id = $2',
+      [organizationId, userId]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Analyses run and reports unlocked for the organisation per member in [from, to)
+   * @returns {Promise<Array>} [{ user_id, email, full_name, analyses, exports: { source: count } }]
+   */
+  static async getUsage(organizationId, { from, to }) {
+    const [analyses, exports] = await Promise.all([
+      pool.query(
+        `SELECT user_id, COUNT(*)::int AS count
+         FROM analysis_results
+         WHERE organization_id = $1 AND analysis_date >= $2 AND analysis_date < $3
+         GROUP BY user_id`,
+        [organizationId, from, to]
+      ),
+      pool.query(
+        `SELECT user_id, source, COUNT(*)::int AS count
+         FROM report_entitlements
+         WHERE organization_id = $1 AND granted_at >= $2 AND granted_at < $3
+         GROUP BY user_id, source`,
+        [organizationId, from, to]
+      )
+    ]);
+
+    // Former members keep their rows in the usage
+    const members = new Map((await this.listMembers(organizationId)).map(member => [member.user_id, member]));
+    const usage = new Map();
+    const entryFor = (userId) => {
+      if (!usage.has(userId)) {
+        const member = members.get(userId);
+        usage.set(userId, {
+          user_id: userId,
+          email: member?.email || null,
+          full_name: member?.full_name || null,
+          role: member?.role || null,
+          analyses: 0,
+          exports: {}
+        });
+      }
+      return usage.get(userId);
+    };
+
+    members.forEach((member, userId) => entryFor(userId));
+    analyses.rows.forEach(row => {
+      entryFor(row.user_id).analyses = row.count;
+    });
+    exports.rows.forEach(row => {
+      entryFor(row.user_id).exports[row.source] = row.count;
+    });
+
+    return [...usage.values()];
+  }
+}
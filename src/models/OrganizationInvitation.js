@@ -0,0 +1,105 @@
+import pool from '../config/database.js';
+
+/**
+ * OrganizationInvitation Model - Uses organization_invitations table
+ * (src/migrations/014_create_organizations.sql)
+ *
+ * Table structure:
+ * - id: bigserial (primary key, returned as string)
+ * - organization_id: uuid (organizations.id)
+ * - email: address the invitation was sent to
+ * - role: 'admin' or 'member' once accepted
+ * - token_hash: sha256 of the emailed token (the token itself is never stored)
+ * - invited_by / accepted_by: uuid (users_user.id)
+ * - expires_at / created_at / accepted_at / revoked_at: timestamp
+ */
+
+// Columns returned to organisation admins (never the hash)
+const PUBLIC_COLUMNS = `id, organization_id, email, role, invited_by,
+  expires_at, created_at, accepted_at, accepted_by, revoked_at`;
+
+export class OrganizationInvitation {
+  /**
+   * Record a new invitation; an earlier open invitation for the same email stops working
+   */
+  static async create({ organizationId, email, role, tokenHash, invitedBy, expiresAt }) {
+    await pool.query(
+      `UPDATE organization_invitations
+       SET revoked_at = NOW()
+       WHERE organization_id = $1 AND lower(email) = lower($2)
+         AND accepted_at IS NULL AND revoked_at IS NULL`,
+      [organizationId, email]
+    );
+
+    const result = await pool.query(
+      `INSERT INTO organization_invitations (organization_id, email, role, token_hash, invited_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${PUBLIC_COLUMNS}`,
+      [organizationId, email, role, tokenHash, invitedBy, expiresAt]
+    );
+    return this.fromRow(result.rows[0]);
+  }
+
+  /**
+   * Find an invitation that can still be accepted by its token hash
+   */
+  static async findOpenByHash(tokenHash) {
+    const result = await pool.query(
+      `SELECT ${PUBLIC_COLUMNS} FROM organization_invitations
+       WHERE token_hash = $1
+         AND accepted_at IS NULL
+         AND revoked_at IS NULL
+         AND expires_at > NOW()`,
+      [tokenHash]
+    );
+    return result.rows[0] ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Invitations of an organisation, newest first
+   */
+  static async findByOrganization(organizationId) {
+    const result = await pool.query(
+      `SELECT ${PUBLIC_COLUMNS} FROM organization_invitations
+       WHERE organization_id = $1
+       ORDER BY created_at DESC, id DESC`,
+      [organizationId]
+    );
+    return result.rows.map(row => this.fromRow(row));
+  }
+
+  /**
+   * Mark an invitation accepted, if it still is open
+   * @param {Object} db - Client of the caller's transaction
+   * @returns {Promise<boolean>}
+   */
+  static async markAccepted(id, userId, db = pool) {
+    const result = await db.query(
+      `UPDATE organization_invitations
+       SET accepted_at = NOW(), accepted_by = $2
+       WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()`,
+      [id, userId]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Revoke an open invitation of an organisation
+   * @returns {Promise<Object|null>} The invitation, or null if there is no such open invitation
+   */
+  static async revoke(id, organizationId) {
+    if (!/^\d+$/.test(String(id))) return null;
+
+    const result = await pool.query(
+      `UPDATE organization_invitations SET revoked_at = NOW()
+       WHERE id = $1 AND organization_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+       RETURNING ${PUBLIC_COLUMNS}`,
+      [id, organizationId]
+    );
+    return result.rows[0] ? this.fromRow(result.rows[0]) : null;
+  }
+
+  static fromRow(row) {
+    return { ...row, id: String(row.id) };
+  }
+}
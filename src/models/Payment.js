@@ -1,25 +1,61 @@
+import pool from '../config/database.js';
+import { AuditLog } from './AuditLog.js';
+
 /**
- * Payment Model - No Database Table
- * 
- * Since there's no payments table in the database, we'll:
- * 1. Store payment records in memory (for session)
- * 2. Use Razorpay for payment processing
- * 3. Return payment status without DB persistence
- * 
- * NOTE: This means payment records won't persist across server restarts.
- * For production, consider using Redis or a separate database.
+ * Payment Model - Uses payments and payment_status_history tables
+ * (src/migrations/006_create_payments.sql)
+ *
+ * Table structure:
+ * - id: bigserial (primary key, returned as string)
+ * - user_id: uuid (users_user.id)
+ * - organization_id: uuid (set for purchases made for an organisation)
+ * - product_id, survey_result_id (analysis_results.id, returned as string)
+ * - razorpay_order_id (unique), razorpay_payment_id, razorpay_signature
+ * - amount, original_amount, discount_amount, refunded_amount: numeric (rupees)
+ * - payment_status: created, attempted, completed, failed or refunded
+ * - created_at / attempted_at / completed_at / failed_at / refunded_at: when each status was reached
+ *
+ * Status changes must follow STATUS_TRANSITIONS and are logged in payment_status_history
+ * and, in the same transaction, in the audit log.
  */
 
-// In-memory payment store (will be lost on server restart)
-const paymentStore = new Map();
+// Allowed status changes. A failed order can still be paid on retry.
+export const STATUS_TRANSITIONS = {
+  created: ['attempted', 'completed', 'failed'],
+  attempted: ['completed', 'failed'],
+  failed: ['attempted', 'completed'],
+  completed: ['refunded'],
+  refunded: []
+};
+
+// Older clients and records call a new payment 'pending'
+const STATUS_ALIASES = { pending: 'created' };
+
+const UPDATABLE_COLUMNS = [
+  'product_id',
+  'survey_result_id',
+  'razorpay_payment_id',
+  'razorpay_signature',
+  'amount',
+  'original_amount',
+  'discount_amount',
+  'refunded_amount',
+  'promo_code',
+  'failure_reason',
+  'village',
+  'survey_number'
+];
 
 export class Payment {
   /**
-   * Create new payment record (in-memory)
+   * Create new payment record
+   * A second record for the same Razorpay order is not created; the existing one is returned.
    */
   static async create(data) {
     const {
       user_id,
+      organization_id,
+      product_id,
       survey_result_id,
       razorpay_order_id,
       razorpay_payment_id,
@@ -33,64 +69,133 @@ export class Payment {
       survey_number
     } = data;
 
-    const paymentId = razorpay_payment_id || `payment_${Date.now()}`;
-    
-    const payment = {
-      id: paymentId,
-      user_id,
-      survey_result_id,
-      razorpay_order_id,
-      razorpay_payment_id,
-      razorpay_signature,
-      amount,
-      original_amount,
-      discount_amount,
-      promo_code,
-      payment_status: payment_status || 'pending',
-      village,
-      survey_number,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
+    const status = this.normalizeStatus(payment_status) || 'created';
+    if (!STATUS_TRANSITIONS[status]) {
+      throw Object.assign(new Error(`Invalid payment status: ${payment_status}`), { statusCode: 400 });
+    }
 
-    // Store in memory
-    paymentStore.set(paymentId, payment);
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
 
-    return payment;
+      const result = await client.query(
+        `INSERT INTO payments (
+          user_id, product_id, survey_result_id,
+          razorpay_order_id, razorpay_payment_id, razorpay_signature,
+          amount, original_amount, discount_amount, promo_code,
+          payment_status, village, survey_number, organization_id,
+          attempted_at, completed_at, failed_at, refunded_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14,
+          CASE WHEN $11 = 'attempted' THEN NOW() END,
+          CASE WHEN $11 = 'completed' THEN NOW() END,
+          CASE WHEN $11 = 'failed' THEN NOW() END,
+          CASE WHEN $11 = 'refunded' THEN NOW() END)
+        ON CONFLICT (razorpay_order_id) DO NOTHING
+        RETURNING *`,
+        [
+          user_id || null,
+          product_id || null,
+          survey_result_id || null,
+          razorpay_order_id || null,
+          razorpay_payment_id || null,
+          razorpay_signature || null,
+          amount,
+          original_amount ?? amount,
+          discount_amount || 0,
+          promo_code || null,
+          status,
+          village || null,
+          survey_number || null,
+          organization_id || null
+        ]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        const [existing] = await this.find({ razorpay_order_id });
+        return existing;
+      }
+
+      const payment = result.rows[0];
+      await client.query(
+        `INSERT INTO payment_status_history (payment_id, from_status, to_status)
+         VALUES ($1, NULL, $2)`,
+        [payment.id, status]
+      );
+
+      await client.query('COMMIT');
+      return this.fromRow(payment);
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
   }
 
   /**
-   * Find payments by filters (in-memory)
+   * Find payments by filters (newest first)
+   * @param {Object} [page] - { limit, offset }; all matches if omitted
    */
-  static async find(filters = {}) {
-    let payments = Array.from(paymentStore.values());
+  static async find(filters = {}, { limit, offset = 0 } = {}) {
+    const conditions = [];
+    const values = [];
 
     if (filters.survey_result_id) {
-      payments = payments.filter(p => p.survey_result_id === filters.survey_result_id);
+      if (!/^\d+$/.test(String(filters.survey_result_id))) return [];
+      values.push(filters.survey_result_id);
+      conditions.push(`survey_result_id = $${values.length}`);
     }
 
     if (filters.payment_status) {
-      payments = payments.filter(p => p.payment_status === filters.payment_status);
+      values.push(this.normalizeStatus(filters.payment_status));
+      conditions.push(`payment_status = $${values.length}`);
     }
 
     if (filters.user_id) {
-      payments = payments.filter(p => p.user_id === filters.user_id);
+      values.push(filters.user_id);
+      conditions.push(`user_id = $${values.length}`);
+    }
+
+    if (filters.organization_id) {
+      values.push(filters.organization_id);
+      conditions.push(`organization_id = $${values.length}`);
     }
 
     if (filters.razorpay_order_id) {
-      payments = payments.filter(p => p.razorpay_order_id === filters.razorpay_order_id);
+      values.push(filters.razorpay_order_id);
+      conditions.push(`razorpay_order_id = $${values.length}`);
+    }
+
+    if (filters.razorpay_payment_id) {
+      values.push(filters.razorpay_payment_id);
+      conditions.push(`razorpay_payment_id = $${values.length}`);
+    }
+
+    if (filters.created_from) {
+      values.push(filters.created_from);
+      conditions.push(`created_at >= $${values.length}`);
+    }
+
+    if (filters.created_to) {
+      values.push(filters.created_to);
+      conditions.push(`created_at < $${values.length}`);
     }
 
     if (filters.created_by) {
       // Note: created_by is email in original, we use user_id
-      // This is a simplified match
-      payments = payments.filter(p => p.user_id);
+      conditions.push('user_id IS NOT NULL');
     }
 
-    // Sort by created_at DESC
-    payments.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    let query = `SELECT * FROM payments ${where} ORDER BY created_at DESC, id DESC`;
+    if (limit !== undefined) {
+      values.push(limit, offset);
+      query += ` LIMIT $${values.length - 1} OFFSET $${values.length}`;
+    }
 
-    return payments;
+    const result = await pool.query(query, values);
+    return result.rows.map(row => this.fromRow(row));
   }
 
   /**
@@ -102,41 +207,156 @@ export class Payment {
 
   /**
    * Update payment record
+   * A payment_status in updates must be an allowed transition (error 409 otherwise);
+   * the change is timestamped and logged.
+   * @param {Object} options - { reason } recorded with the status change
+   * @returns {Promise<Object|null>} Updated payment, or null if it does not exist
    */
-  static async update(paymentId, updates) {
-    const payment = paymentStore.get(paymentId);
-    if (!payment) {
+  static async update(paymentId, updates, { reason = null } = {}) {
+    if (!/^\d+$/.test(String(paymentId))) {
       return null;
     }
 
-    // Update fields
-    Object.assign(payment, updates);
-    payment.updated_at = new Date().toISOString();
-    
-    // Re-store
-    paymentStore.set(paymentId, payment);
-    
-    return payment;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        'SELECT * FROM payments WHERE id = $1 FOR UPDATE',
+        [paymentId]
+      );
+      const payment = current.rows[0];
+      if (!payment) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const assignments = [];
+      const values = [paymentId];
+
+      UPDATABLE_COLUMNS.forEach(column => {
+        if (updates[column] !== undefined) {
+          values.push(updates[column]);
+          assignments.push(`${column} = $${values.length}`);
+        }
+      });
+
+      const status = this.normalizeStatus(updates.payment_status);
+      if (status && status !== payment.payment_status) {
+        if (!this.canTransition(payment.payment_status, status)) {
+          throw Object.assign(
+            new Error(`Payment cannot move from ${payment.payment_status} to ${status}`),
+            { statusCode: 409 }
+          );
+        }
+
+        values.push(status);
+        assignments.push(`payment_status = $${values.length}`, `${status}_at = NOW()`);
+
+        await client.query(
+          `INSERT INTO payment_status_history (payment_id, from_status, to_status, reason)
+           VALUES ($1, $2, $3, $4)`,
+          [paymentId, payment.payment_status, status, reason]
+        );
+        await AuditLog.append({
+          action: 'payment.status_changed',
+          actor_role: 'system',
+          organization_id: payment.organization_id,
+          target_type: 'payment',
+          target_id: String(paymentId),
+          before: { payment_status: payment.payment_status, refunded_amount: Number(payment.refunded_amount) || 0 },
+          after: {
+            payment_status: status,
+            refunded_amount: Number(updates.refunded_amount ?? payment.refunded_amount) || 0
+          },
+          metadata: { reason, razorpay_order_id: payment.razorpay_order_id }
+        }, client);
+      }
+
+      const result = await client.query(
+        `UPDATE payments
+         SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+         WHERE id = $1
+         RETURNING *`,
+        values
+      );
+
+      await client.query('COMMIT');
+      return this.fromRow(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
   }
 
   /**
-   * Find payment by ID (in-memory)
+   * Find payment by ID
    */
   static async findById(id) {
-    return paymentStore.get(id) || null;
+    if (!/^\d+$/.test(String(id))) {
+      return null;
+    }
+
+    const result = await pool.query('SELECT * FROM payments WHERE id = $1', [id]);
+    return result.rows[0] ? this.fromRow(result.rows[0]) : null;
   }
 
   /**
    * Update payment status
    */
-  static async updateStatus(paymentId, status) {
-    const payment = paymentStore.get(paymentId);
-    if (payment) {
-      payment.payment_status = status;
-      payment.updated_at = new Date().toISOString();
-      paymentStore.set(paymentId, payment);
-      return payment;
-    }
-    return null;
+  static async updateStatus(paymentId, status, options = {}) {
+    return this.update(paymentId, { payment_status: status }, options);
+  }
+
+  /**
+   * Status changes of a payment, oldest first
+   */
+  static async getStatusHistory(paymentId) {
+    if (!/^\d+$/.test(String(paymentId))) {
+      return [];
+    }
+
+    const result = await pool.query(
+      `SELECT from_status, to_status, reason, changed_at
+       FROM payment_status_history
+       WHERE payment_id = $1
+       ORDER BY changed_at ASC, id ASC`,
+      [paymentId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Whether a payment may move from one status to another
+   */
+  static canTransition(from, to) {
+    const allowed = STATUS_TRANSITIONS[this.normalizeStatus(from) || 'created'] || [];
+    return allowed.includes(this.normalizeStatus(to));
+  }
+
+  /**
+   * Map legacy status names ('pending') to the current ones
+   */
+  static normalizeStatus(status) {
+    return status ? STATUS_ALIASES[status] || status : status;
+  }
+
+  /**
+   * Map a payments row to the API shape
+   */
+  static fromRow(row) {
+    const toNumber = (value) => (value === null || value === undefined ? value : parseFloat(value));
+
+    return {
+      ...row,
+      id: String(row.id),
+      survey_result_id: row.survey_result_id === null ? null : String(row.survey_result_id),
+      amount: toNumber(row.amount),
+      original_amount: toNumber(row.original_amount),
+      discount_amount: toNumber(row.discount_amount),
+      refunded_amount: toNumber(row.refunded_amount)
+    };
   }
 }
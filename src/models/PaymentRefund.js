@@ -0,0 +1,66 @@
+import pool from '../config/database.js';
+
+/**
+ * PaymentRefund Model - Uses payment_refunds table
+ * (src/migrations/007_create_payment_refunds.sql)
+ *
+ * Table structure:
+ * - id: bigserial (primary key)
+ * - payment_id: bigint (payments.id)
+ * - razorpay_refund_id: varchar (unique)
+ * - amount: numeric (rupees)
+ * - status: 'pending', 'processed' or 'failed'
+ * - reason: text
+ * - requested_by: uuid (staff user, null for dashboard refunds)
+ * - created_at / processed_at: timestamp
+ */
+export class PaymentRefund {
+  /**
+   * Record a Razorpay refund, or update its status if it is already known
+   */
+  static async upsert({ paymentId, razorpayRefundId, amount, status, reason = null, requestedBy = null }) {
+    const result = await pool.query(
+      `INSERT INTO payment_refunds (payment_id, razorpay_refund_id, amount, status, reason, requested_by, processed_at)
+       VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $4 = 'processed' THEN NOW() END)
+       ON CONFLICT (razorpay_refund_id) DO UPDATE
+       SET status = EXCLUDED.status,
+           processed_at = COALESCE(payment_refunds.processed_at, EXCLUDED.processed_at)
+       RETURNING *`,
+      [paymentId, razorpayRefundId, amount, status, reason, requestedBy]
+    );
+    return this.fromRow(result.rows[0]);
+  }
+
+  /**
+   * Refunds of a payment, oldest first
+   */
+  static async findByPayment(paymentId) {
+    const result = await pool.query(
+      'SELECT * FROM payment_refunds WHERE payment_id = $1 ORDER BY created_at ASC, id ASC',
+      [paymentId]
+    );
+    return result.rows.map(row => this.fromRow(row));
+  }
+
+  /**
+   * Total of the processed refunds of a payment (rupees)
+   */
+  static async sumProcessed(paymentId) {
+    const result = await pool.query(
+      `SELECT COALESCE(SUM(amount), 0) AS total
+       FROM payment_refunds
+       WHERE payment_id = $1 AND status = 'processed'`,
+      [paymentId]
+    );
+    return parseFloat(result.rows[0].total);
+  }
+
+  static fromRow(row) {
+    return {
+      ...row,
+      id: String(row.id),
+      payment_id: String(row.payment_id),
+      amount: parseFloat(row.amount)
+    };
+  }
+}
@@ -0,0 +1,65 @@
+import pool from '../config/database.js';
+
+// An event still 'processing' after this long was claimed by a process that died
+const PROCESSING_TIMEOUT_MINUTES = 5;
+
+/**
+ * PaymentWebhookEvent Model - Uses payment_webhook_events table
+ * (src/migrations/005_create_payment_webhook_events.sql)
+ *
+ * Table structure:
+ * - event_id: varchar (primary key, X-Razorpay-Event-Id)
+ * - event_type: varchar (e.g. payment.captured)
+ * - payload: jsonb (the webhook body)
+ * - status: 'processing', 'processed', 'ignored' or 'failed'
+ * - error: text (last failure)
+ * - attempts: integer
+ * - received_at: timestamp of the latest claim
+ * - processed_at: timestamp
+ */
+export class PaymentWebhookEvent {
+  /**
+   * Claim an event for processing
+   * A new event, one whose earlier processing failed, or one stuck in 'processing' for
+   * PROCESSING_TIMEOUT_MINUTES (its process crashed) is claimed; anything else is a duplicate.
+   * @returns {Promise<Object|null>} The claimed event, or null for a duplicate delivery
+   */
+  static async claim({ eventId, eventType, payload }) {
+    const result = await pool.query(
+      `INSERT INTO payment_webhook_events (event_id, event_type, payload)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (event_id) DO UPDATE
+       SET status = 'processing',
+           error = NULL,
+           attempts = payment_webhook_events.attempts + 1,
+           received_at = NOW()
+       WHERE payment_webhook_events.status = 'failed'
+          OR (payment_webhook_events.status = 'processing'
+              AND payment_webhook_events.received_at < NOW() - make_interval(mins => $4))
+       RETURNING *`,
+      [eventId, eventType, JSON.stringify(payload), PROCESSING_TIMEOUT_MINUTES]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async findById(eventId) {
+    const result = await pool.query(
+      'SELECT * FROM payment_webhook_events WHERE event_id = $1',
+      [eventId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record the outcome of processing an event
+   * @param {string} status - 'processed', 'ignored' or 'failed'
+   */
+  static async finish(eventId, status, error = null) {
+    await pool.query(
+      `UPDATE payment_webhook_events
+       SET status = $2, error = $3, processed_at = NOW()
+       WHERE event_id = $1`,
+      [eventId, status, error]
+    );
+  }
+}
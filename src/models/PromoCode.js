@@ -0,0 +1,143 @@
+import pool from '../config/database.js';
+
+/**
+ * PromoCode Model - Uses promo_codes and promo_redemptions tables
+ * (src/migrations/003_create_promo_codes.sql, 017_promo_code_reservations.sql)
+ *
+ * promo_codes:
+ * - code: varchar (primary key, stored upper-case)
+ * - discount_type: 'percent' or 'flat' (rupees)
+ * - discount_value: numeric
+ * - product_ids: text[] (null = valid for every product)
+ * - starts_at / expires_at: timestamp (nullable)
+ * - max_uses / max_uses_per_user: integer (null = unlimited)
+ * - is_active: boolean
+ *
+ * promo_redemptions: one row per order that used a code
+ * - status: 'reserved' (order created), 'redeemed' (payment completed) or 'released' (payment failed)
+ * - reserved_at / redeemed_at: timestamp
+ *
+ * A use counts against the limits once reserved. Reservations of orders that are never
+ * paid nor failed stop counting after RESERVATION_MINUTES.
+ */
+
+const RESERVATION_MINUTES = 60;
+
+// Redemptions that count against the limits
+const COUNTED_CONDITION = `(status = 'redeemed'
+  OR (status = 'reserved' AND reserved_at > NOW() - make_interval(mins => ${RESERVATION_MINUTES})))`;
+
+export class PromoCode {
+  /**
+   * Find promo code (case-insensitive)
+   */
+  static async findByCode(code) {
+    const result = await pool.query(
+      'SELECT * FROM promo_codes WHERE code = UPPER($1)',
+      [code]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+
+    return {
+      ...row,
+      discount_value: parseFloat(row.discount_value)
+    };
+  }
+
+  /**
+   * Count redemptions and open reservations of a code, optionally for one user
+   */
+  static async countRedemptions(code, userId = null, db = pool) {
+    const result = await db.query(
+      `SELECT COUNT(*)::int AS count
+       FROM promo_redemptions
+       WHERE promo_code = UPPER($1) AND ($2::uuid IS NULL OR user_id = $2::uuid)
+         AND ${COUNTED_CONDITION}`,
+      [code, userId]
+    );
+    return result.rows[0].count;
+  }
+
+  /**
+   * Reserve a use of a code for a new order, if its limits allow it
+   * The code's row is locked while counting, so concurrent orders are counted one by one.
+   * @returns {Promise<{ reserved?: boolean, error?: string }>}
+   */
+  static async reserve({ code, userId, orderId, discountAmount }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const promo = await client.query(
+        'SELECT max_uses, max_uses_per_user FROM promo_codes WHERE code = UPPER($1) FOR UPDATE',
+        [code]
+      );
+      if (promo.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { error: 'Invalid promo code' };
+      }
+
+      const { max_uses: maxUses, max_uses_per_user: maxUsesPerUser } = promo.rows[0];
+      if (maxUses !== null && await this.countRedemptions(code, null, client) >= maxUses) {
+        await client.query('ROLLBACK');
+        return { error: 'Promo code usage limit reached' };
+      }
+      if (maxUsesPerUser !== null && await this.countRedemptions(code, userId, client) >= maxUsesPerUser) {
+        await client.query('ROLLBACK');
+        return { error: 'You have already used this promo code' };
+      }
+
+      await client.query(
+        `INSERT INTO promo_redemptions (promo_code, user_id, razorpay_order_id, discount_amount, status, redeemed_at)
+         VALUES (UPPER($1), $2, $3, $4, 'reserved', NULL)`,
+        [code, userId, orderId, discountAmount]
+      );
+
+      await client.query('COMMIT');
+      return { reserved: true };
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Move a reservation made before the gateway order existed to the order's id
+   */
+  static async assignOrder(reservationKey, orderId) {
+    await pool.query(
+      'UPDATE promo_redemptions SET razorpay_order_id = $2 WHERE razorpay_order_id = $1',
+      [reservationKey, orderId]
+    );
+  }
+
+  /**
+   * Give back the reserved use of an order that failed
+   */
+  static async release(orderId) {
+    const result = await pool.query(
+      `UPDATE promo_redemptions SET status = 'released'
+       WHERE razorpay_order_id = $1 AND status = 'reserved'`,
+      [orderId]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Record a redemption for a completed payment (once per order; turns its
+   * reservation into a redemption)
+   */
+  static async recordRedemption({ code, userId, orderId, discountAmount }) {
+    await pool.query(
+      `INSERT INTO promo_redemptions (promo_code, user_id, razorpay_order_id, discount_amount, status, redeemed_at)
+       VALUES (UPPER($1), $2, $3, $4, 'redeemed', NOW())
+       ON CONFLICT (razorpay_order_id) DO UPDATE
+       SET status = 'redeemed', redeemed_at = NOW()
+       WHERE promo_redemptions.status <> 'redeemed'`,
+      [code, userId, orderId, discountAmount]
+    );
+  }
+}
@@ -0,0 +1,97 @@
+import pool from '../config/database.js';
+
+/**
+ * RefreshToken Model - Uses refresh_tokens table
+ * (src/migrations/010_create_refresh_tokens.sql)
+ *
+ * Table structure:
+ * - id: bigserial (primary key)
+ * - user_id: uuid (users_user.id)
+ * - family_id: uuid (session id, shared by all rotations of one login)
+ * - token_hash: sha256 of the token (the token itself is never stored)
+ * - expires_at / created_at / used_at (rotated) / revoked_at: timestamp
+ * - revoked_reason: 'logout', 'logout_all' or 'reuse'
+ * - user_agent, ip_address: where the session was started or refreshed
+ */
+export class RefreshToken {
+  static async create({ userId, familyId, tokenHash, expiresAt, userAgent = null, ipAddress = null }, db = pool) {
+    const result = await db.query(
+      `INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at, user_agent, ip_address)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [userId, familyId, tokenHash, expiresAt, userAgent, ipAddress]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Mark a token used, if it still can be
+   * @returns {Promise<Object|null>} The token, or null if it is unknown, used, revoked or expired
+   */
+  static async markUsed(tokenHash, db = pool) {
+    const result = await db.query(
+      `UPDATE refresh_tokens
+       SET used_at = NOW()
+       WHERE token_hash = $1
+         AND used_at IS NULL
+         AND revoked_at IS NULL
+         AND expires_at > NOW()
+       RETURNING *`,
+      [tokenHash]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async findByHash(tokenHash) {
+    const result = await pool.query(
+      'SELECT * FROM refresh_tokens WHERE token_hash = $1',
+      [tokenHash]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Whether a session (token family) is still active
+   */
+  static async isFamilyActive(familyId) {
+    const result = await pool.query(
+      `SELECT EXISTS (
+         SELECT 1 FROM refresh_tokens
+         WHERE family_id = $1
+           AND used_at IS NULL
+           AND revoked_at IS NULL
+           AND expires_at > NOW()
+       ) AS active`,
+      [familyId]
+    );
+    return result.rows[0].active;
+  }
+
+  /**
+   * Revoke every token of a session
+   * @returns {Promise<number>} Tokens revoked
+   */
+  static async revokeFamily(familyId, reason) {
+    const result = await pool.query(
+      `UPDATE refresh_tokens
+       SET revoked_at = NOW(), revoked_reason = $2
+       WHERE family_id = $1 AND revoked_at IS NULL`,
+      [familyId, reason]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Revoke every token of a user (all sessions)
+   * @returns {Promise<number>} Tokens revoked
+   */
+  static async revokeAllForUser(userId, reason) {
+    const result = await pool.query(
+      `UPDATE refresh_tokens
+       SET revoked_at = NOW(), revoked_reason = $2
+       WHERE user_id = $1 AND revoked_at IS NULL`,
+      [userId, reason]
+    );
+    return result.rowCount;
+  }
+}
@@ -0,0 +1,117 @@
+import pool from '../config/database.js';
+
+// Account of an entitlement in the unique index (personal entitlements have no organisation)
+const ACCOUNT_KEY = `COALESCE(organization_id, '00000000-0000-0000-0000-000000000000'::uuid)`;
+
+/**
+ * ReportEntitlement Model - Uses report_entitlements table
+ * (src/migrations/004_create_report_entitlements.sql)
+ *
+ * Table structure:
+ * - id: bigserial (primary key)
+ * - user_id: uuid (users_user.id)
+ * - organization_id: uuid (set if unlocked for an organisation: all of its members have access)
+ * - survey_result_id: bigint (analysis_results.id)
+ * - source: 'payment', 'trial', 'credit' or 'subscription'
+ * - payment_id: varchar (Payment id, for payment entitlements)
+ * - granted_at / revoked_at: timestamp
+ *
+ * At most one active (not revoked) entitlement per user, survey result and account
+ * (personal, or the organisation's; src/migrations/020_report_entitlements_per_account.sql).
+ */
+export class ReportEntitlement {
+  /**
+   * Find the active entitlement of a user for a survey result: a personal one, or one of
+   * an organisation they are still a member of (whoever unlocked it)
+   */
+  static async findActive(userId, surveyResultId, db = pool) {
+    const result = await db.query(
+      `SELECT * FROM report_entitlements
+       WHERE survey_result_id = $2
+         AND revoked_at IS NULL
+         AND ((user_id = $1 AND organization_id IS NULL) OR organization_id IN (
+           SELECT organization_id FROM organization_members WHERE user_id = $1
+         ))
+       ORDER BY (user_id = $1) DESC
+       LIMIT 1`,
+      [userId, surveyResultId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Grant an entitlement (no-op if the user already has an active one)
+   * @param {Object} db - Optional client of the caller's transaction
+   * @returns {Promise<Object>} The active entitlement (with `created` true if it is new)
+   */
+  static async grant({ userId, surveyResultId, source, paymentId = null, organizationId = null }, db = pool) {
+    const result = await db.query(
+      `INSERT INTO report_entitlements (user_id, survey_result_id, source, payment_id, organization_id)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_id, survey_result_id, ${ACCOUNT_KEY}) WHERE revoked_at IS NULL DO NOTHING
+       RETURNING *`,
+      [userId, surveyResultId, source, paymentId, organizationId]
+    );
+    if (result.rows[0]) {
+      return { ...result.rows[0], created: true };
+    }
+    return { ...(await this.findActive(userId, surveyResultId, db)), created: false };
+  }
+
+  /**
+   * Unlock a report with one of a user's free-trial reports, if any are left
+   * The user's row is locked while counting, so parallel exports cannot use the same
+   * trial report twice.
+   * @param {number} limit - Free-trial reports per user
+   * @returns {Promise<Object|null>} The entitlement (created: false if the report already
+   *   was unlocked), or null if the trial is used up
+   */
+  static async grantTrial({ userId, surveyResultId, limit }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT id FROM users_user WHERE id = $1 FOR UPDATE', [userId]);
+
+      if (await this.countBySource(userId, 'trial', client) >= limit) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const entitlement = await this.grant({ userId, surveyResultId, source: 'trial' }, client);
+      await client.query('COMMIT');
+      return entitlement;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Count entitlements of a user from a source (revoked ones included)
+   */
+  static async countBySource(userId, source, db = pool) {
+    const result = await db.query(
+      `SELECT COUNT(*)::int AS count
+       FROM report_entitlements
+       WHERE user_id = $1 AND source = $2`,
+      [userId, source]
+    );
+    return result.rows[0].count;
+  }
+
+  /**
+   * Revoke the entitlements granted by a payment
+   * @returns {Promise<number>} Number of entitlements revoked
+   */
+  static async revokeByPayment(paymentId) {
+    const result = await pool.query(
+      `UPDATE report_entitlements
+       SET revoked_at = NOW()
+       WHERE payment_id = $1 AND revoked_at IS NULL`,
+      [paymentId]
+    );
+    return result.rowCount;
+  }
+}
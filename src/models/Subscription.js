@@ -0,0 +1,114 @@
+import pool from '../config/database.js';
+
+/**
+ * Subscription Model - Uses subscriptions table
+ * (src/migrations/009_create_credits_and_subscriptions.sql)
+ *
+ * Table structure:
+ * - id: bigserial (primary key)
+ * - user_id: uuid (users_user.id, the buyer)
+ * - organization_id: uuid (set for an organisation's plan, shared by its members)
+ * - product_id: plan in the price catalogue
+ * - payment_id: bigint (payments.id, one subscription per payment)
+ * - export_quota / exports_used: report exports included and used
+ * - starts_at / ends_at: the period the quota is valid for
+ *
+ * Plans belong to an account `{ userId, organizationId }` (see CreditLedger).
+ */
+export class Subscription {
+  /**
+   * Open the subscription bought by a payment (no-op if it already exists)
+   * A renewal starts when the account's latest subscription ends, so paid days are never lost.
+   */
+  static async createForPayment({ userId, organizationId = null, paymentId, productId, exportQuota, periodDays }) {
+    const result = await pool.query(
+      `WITH period AS (
+         SELECT GREATEST(NOW(), COALESCE(MAX(ends_at), NOW())) AS starts_at
+         FROM subscriptions
+         WHERE ${accountCondition(organizationId, '$1', '$6')}
+       )
+       INSERT INTO subscriptions (user_id, organization_id, product_id, payment_id, export_quota, starts_at, ends_at)
+       SELECT $1::uuid, $6::uuid, $2, $3::bigint, $4::integer, starts_at, starts_at + make_interval(days => $5::integer)
+       FROM period
+       ON CONFLICT (payment_id) DO NOTHING
+       RETURNING *`,
+      [userId, productId, paymentId, exportQuota, periodDays, organizationId]
+    );
+    return result.rows[0] ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Use one export of the account's current subscription (the one ending first)
+   * @param {Object} db - Client of the caller's transaction
+   * @returns {Promise<Object|null>} The subscription, or null if no quota is left
+   */
+  static async consumeExport(db, { userId, organizationId = null }) {
+    const result = await db.query(
+      `UPDATE subscriptions
+       SET exports_used = exports_used + 1
+       WHERE id = (
+         SELECT id FROM subscriptions
+         WHERE ${accountCondition(organizationId, '$1', '$1')}
+           AND starts_at <= NOW() AND ends_at > NOW()
+           AND exports_used < export_quota
+         ORDER BY ends_at ASC
+         LIMIT 1
+         FOR UPDATE
+       )
+       RETURNING *`,
+      [organizationId || userId]
+    );
+    return result.rows[0] ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * End the subscription bought by a payment now (a refunded plan)
+   * A plan that has not started yet ends before it starts.
+   * @returns {Promise<Object|null>} The subscription, or null if none is running or upcoming
+   */
+  static async endForPayment(paymentId) {
+    const result = await pool.query(
+      `UPDATE subscriptions
+       SET ends_at = GREATEST(starts_at, NOW())
+       WHERE payment_id = $1 AND ends_at > NOW()
+       RETURNING *`,
+      [paymentId]
+    );
+    return result.rows[0] ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Current and upcoming subscriptions of an account
+   */
+  static async findCurrent({ userId, organizationId = null }) {
+    const result = await pool.query(
+      `SELECT * FROM subscriptions
+       WHERE ${accountCondition(organizationId, '$1', '$1')} AND ends_at > NOW()
+       ORDER BY starts_at ASC`,
+      [organizationId || userId]
+    );
+    return result.rows.map(row => this.fromRow(row));
+  }
+
+  static fromRow(row) {
+    return {
+      ...row,
+      id: String(row.id),
+      payment_id: String(row.payment_id),
+      exports_remaining: row.export_quota - row.exports_used
+    };
+  }
+}
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * WHERE condition for the subscriptions of an account
+ * @param {string} userParam - Placeholder holding the user id
+ * @param {string} organizationParam - Placeholder holding the organisation id
+ */
+function accountCondition(organizationId, userParam, organizationParam) {
+  return organizationId
+    ? `organization_id = ${organizationParam}`
+    : `user_id = ${userParam} AND organization_id IS NULL`;
+}
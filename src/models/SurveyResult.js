@@ -1,31 +1,59 @@
 import pool from '../config/database.js';
-import { AnalysisStore } from '../services/analysisStore.js';
 
 /**
- * SurveyResult Model - Uses existing ts_warangal_survey table
- * 
- * Table structure:
- * - gid: integer (primary key, auto-increment)
- * - surveyno: varchar (survey number)
- * - village: varchar (village name)
- * - geom: MultiPolygon (PostGIS geometry)
- * 
- * NOTE: This table only stores basic survey info (surveyno, village, geom).
- * Analysis results (POIs, distances, scores) are stored in AnalysisStore (in-memory).
+ * SurveyResult Model - Uses analysis_results table (src/migrations/001_create_analysis_results.sql)
+ *
+ * One row per analysis run:
+ * - id: bigserial (primary key, returned as string)
+ * - survey_gid: gid of the source parcel in ts_warangal_survey (null if there is no parcel polygon)
+ * - user_id: requesting user (users_user.id)
+ * - organization_id: organisation the analysis was run for (its members can see it)
+ * - village, survey_number, latitude, longitude
+ * - analysis options: analysis_mode, travel_mode, contour_minutes, isochrone_provider,
+ *   used_fallback, scoring_profile_id, scoring_profile_version
+ * - figures: total_pois, development_score, ftl_zone_percentage, distance_to_* (km)
+ * - JSONB: poi_breakdown, supportive_businesses, score_breakdown, contours, parcel, map_data
+ * - isochrone_geom: primary isochrone (PostGIS geometry, SRID 4326)
+ *
+ * The cadastral tables (ts_warangal_survey, ts_warangal_survey_centroids) are read-only.
  */
+
+const SELECT_COLUMNS = `id, survey_gid, user_id, organization_id, village, survey_number, latitude, longitude,
+  analysis_mode, travel_mode, contour_minutes, isochrone_provider, used_fallback,
+  scoring_profile_id, scoring_profile_version,
+  total_pois, development_score, ftl_zone_percentage,
+  distance_to_police, distance_to_hospital, distance_to_main_road,
+  poi_breakdown, supportive_businesses, score_breakdown, contours, parcel, map_data,
+  ST_AsGeoJSON(isochrone_geom) AS isochrone_geojson,
+  analysis_date`;
+
+// Columns for history listings (no breakdowns or geometry)
+const SUMMARY_COLUMNS = `id, survey_gid, user_id, organization_id, village, survey_number, latitude, longitude,
+  analysis_mode, travel_mode, contour_minutes, scoring_profile_id, scoring_profile_version,
+  total_pois, development_score, ftl_zone_percentage,
+  distance_to_police, distance_to_hospital, distance_to_main_road,
+  analysis_date`;
+
+// Sortable columns; NULL scores sort as -1 so keyset comparisons stay total.
+// Cursor values travel as text so timestamps keep their microseconds.
+const SORT_COLUMNS = {
+  analysis_date: { expression: 'analysis_date', type: 'timestamptz' },
+  development_score: { expression: 'COALESCE(development_score, -1)', type: 'integer' }
+};
+
 export class SurveyResult {
   /**
-   * Create new survey result
-   * Note: ts_warangal_survey only has: gid, surveyno, village, geom
-   * Analysis data (POIs, distances, etc.) needs separate storage
+   * Create new survey result, linked to its source parcel and the requesting user
+   * (and organisation, if it was run for one)
    */
   static async create(data) {
     const {
+      user_id,
+      organization_id,
       village,
       survey_number,
       latitude,
       longitude,
-      // Analysis data - will be stored separately or returned in response
       total_pois,
       poi_breakdown,
       supportive_businesses,
@@ -34,173 +62,122 @@ export class SurveyResult {
       distance_to_main_road,
       development_score,
       score_breakdown,
+      scoring_profile,
       ftl_zone_percentage,
       map_data,
+      travel_mode,
+      contour_minutes,
+      contours,
+      analysis_mode,
+      parcel,
+      isochrone_provider,
       used_fallback
     } = data;
 
-    // Create a point geometry from lat/lon, then buffer it to create a MultiPolygon
-    // Since ts_warangal_survey expects MultiPolygon, we'll create a small buffer around the point
-    // Buffer radius: 100 meters (using geography for accurate distance)
-    // ST_Multi wraps the polygon to make it a MultiPolygon
-    const bufferRadiusMeters = 100; // 100 meters
-    
+    // Link to the cadastral parcel; the oldest gid is the original parcel polygon
+    const parcelResult = await pool.query(
+      `SELECT gid
+       FROM ts_warangal_survey
+       WHERE village = $1 AND surveyno = $2
+       ORDER BY gid ASC
+       LIMIT 1`,
+      [village, survey_number]
+    );
+    const surveyGid = parcelResult.rows[0]?.gid ?? null;
+
+    // The isochrone is kept as geometry; the JSONB copy of map_data leaves it out
+    const { isochrone_geometry, ...mapDataWithoutIsochrone } = map_data || {};
+
     const result = await pool.query(
-      `INSERT INTO ts_warangal_survey (surveyno, village, geom)
-       VALUES ($1, $2, ST_Multi(
-         ST_Buffer(
-           ST_SetSRID(ST_MakePoint($3, $4), 4326)::geography,
-           $5
-         )::geometry
-       ))
-       RETURNING gid, surveyno, village`,
-      [survey_number, village, longitude, latitude, bufferRadiusMeters]
+      `INSERT INTO analysis_results (
+        survey_gid, user_id, village, survey_number, latitude, longitude,
+        analysis_mode, travel_mode, contour_minutes, isochrone_provider, used_fallback,
+        scoring_profile_id, scoring_profile_version,
+        total_pois, development_score, ftl_zone_percentage,
+        distance_to_police, distance_to_hospital, distance_to_main_road,
+        poi_breakdown, supportive_businesses, score_breakdown, contours, parcel, map_data,
+        isochrone_geom, organization_id
+      ) VALUES (
+        $1, $2, $3, $4, $5, $6,
+        $7, $8, $9, $10, $11,
+        $12, $13,
+        $14, $15, $16,
+        $17, $18, $19,
+        $20, $21, $22, $23, $24, $25,
+        CASE WHEN $26::text IS NULL THEN NULL ELSE ST_SetSRID(ST_GeomFromGeoJSON($26::text), 4326) END,
+        $27
+      )
+      RETURNING ${SELECT_COLUMNS}`,
+      [
+        surveyGid, user_id || null, village, survey_number, latitude, longitude,
+        analysis_mode || 'centroid', travel_mode || 'walking', contour_minutes || [10], isochrone_provider || null, used_fallback || false,
+        scoring_profile?.id || null, scoring_profile?.version || null,
+        total_pois, development_score, ftl_zone_percentage,
+        distance_to_police, distance_to_hospital, distance_to_main_road,
+        toJson(poi_breakdown), toJson(supportive_businesses), toJson(score_breakdown), toJson(contours), toJson(parcel), toJson(mapDataWithoutIsochrone),
+        isochrone_geometry ? JSON.stringify(isochrone_geometry) : null,
+        organization_id || null
+      ]
     );
 
     const row = result.rows[0];
-    
-    // Extract center point from geometry for lat/lon
-    const centerResult = await pool.query(
-      `SELECT ST_X(ST_Centroid(geom)) as lon, ST_Y(ST_Centroid(geom)) as lat 
-       FROM ts_warangal_survey WHERE gid = $1`,
-      [row.gid]
-    );
-    
-    const center = centerResult.rows[0];
-    
-    // Store analysis data in memory (since DB table doesn't have these fields)
-    const analysisData = {
-      total_pois,
-      poi_breakdown,
-      supportive_businesses,
-      distance_to_police,
-      distance_to_hospital,
-      distance_to_main_road,
-      development_score,
-      score_breakdown,
-      ftl_zone_percentage,
-      map_data,
-      used_fallback: used_fallback || false, // Include used_fallback flag
-      analysis_date: new Date().toISOString()
-    };
-    
-    console.log(`💾 Storing analysis for gid=${row.gid}:`, {
-      scoreBreakdown: score_breakdown,
-      developmentScore: development_score,
-      usedFallback: analysisData.used_fallback
+
+    console.log(`💾 Stored analysis ${row.id} for gid=${row.survey_gid}:`, {
+      scoreBreakdown: row.score_breakdown,
+      developmentScore: row.development_score,
+      usedFallback: row.used_fallback
     });
-    
-    AnalysisStore.set(row.gid, analysisData);
-    
-    // Return data in expected format (matching old survey_results structure)
-    return {
-      id: row.gid.toString(), // Use gid as id for compatibility
-      gid: row.gid,
-      village: row.village,
-      survey_number: row.surveyno,
-      latitude: parseFloat(center.lat),
-      longitude: parseFloat(center.lon),
-      ...analysisData
-    };
+
+    return this.fromRow(row);
   }
 
   /**
-   * Find survey result by ID (gid)
+   * Find survey result by ID
    */
   static async findById(id) {
+    // ids are bigserial; anything else cannot match (and would fail the cast)
+    if (!/^\d+$/.test(String(id))) return null;
+
     const result = await pool.query(
-      `SELECT gid, surveyno, village, geom,
-              ST_X(ST_Centroid(geom)) as longitude,
-              ST_Y(ST_Centroid(geom)) as latitude
-       FROM ts_warangal_survey WHERE gid = $1`,
+      `SELECT ${SELECT_COLUMNS} FROM analysis_results WHERE id = $1`,
       [id]
     );
 
     if (result.rows.length === 0) return null;
 
-    const row = result.rows[0];
-    
-    // Get analysis data from memory store
-    let analysisData = AnalysisStore.get(row.gid) || {};
-    
-    // Transform old score_breakdown format to new format if needed
-    if (analysisData.score_breakdown) {
-      const oldBreakdown = analysisData.score_breakdown;
-      
-      // Check if it's in old format (has police_distance_score, etc.)
-      if (oldBreakdown.police_distance_score !== undefined || 
-          oldBreakdown.supportive_businesses_score !== undefined || 
-          oldBreakdown.ftl_penalty !== undefined ||
-          !oldBreakdown.amenity_score) {  // Also check if new format fields are missing
-        console.log(`🔄 Converting old score_breakdown format for gid=${row.gid}`);
-        console.log(`   Old format:`, JSON.stringify(oldBreakdown, null, 2));
-        
-        // Convert old format to new format
-        const newBreakdown = {
-          poi_score: Math.min(30, oldBreakdown.poi_score || 0),
-          amenity_score: Math.min(25, (oldBreakdown.police_distance_score || 0) + 
-                                    (oldBreakdown.hospital_distance_score || 0) + 
-                                    (oldBreakdown.road_distance_score || 0)),
-          ftl_score: oldBreakdown.ftl_score !== undefined 
-            ? Math.min(20, oldBreakdown.ftl_score) 
-            : (oldBreakdown.ftl_penalty !== undefined 
-                ? Math.min(20, Math.max(0, 20 - oldBreakdown.ftl_penalty)) 
-                : 0),
-          business_score: Math.min(15, oldBreakdown.supportive_businesses_score || 0),
-          accessibility_score: Math.min(10, oldBreakdown.accessibility_score || 0)
-        };
-        
-        console.log(`   New format:`, JSON.stringify(newBreakdown, null, 2));
-        
-        analysisData = {
-          ...analysisData,
-          score_breakdown: newBreakdown
-        };
-        
-        // Update in store with new format
-        AnalysisStore.set(row.gid, analysisData);
-      }
-    }
-    
-    // Log for debugging
-    console.log(`📊 Retrieving analysis for gid=${row.gid}:`, {
-      hasAnalysisData: !!analysisData.score_breakdown,
-      scoreBreakdown: analysisData.score_breakdown,
-      developmentScore: analysisData.development_score,
-      usedFallback: analysisData.used_fallback
-    });
-    
-    // Return in expected format
-    return {
-      id: row.gid.toString(),
-      gid: row.gid,
-      village: row.village,
-      survey_number: row.surveyno,
-      latitude: parseFloat(row.latitude),
-      longitude: parseFloat(row.longitude),
-      ...analysisData
-    };
+    return this.fromRow(result.rows[0]);
+  }
+
+  /**
+   * Find survey results by IDs, in the order of the IDs (missing ones are skipped)
+   */
+  static async findByIds(ids) {
+    if (ids.length === 0) return [];
+
+    const result = await pool.query(
+      `SELECT ${SELECT_COLUMNS} FROM analysis_results WHERE id = ANY($1::bigint[])`,
+      [ids]
+    );
+
+    const byId = new Map(result.rows.map(row => [row.id.toString(), this.fromRow(row)]));
+    return ids.map(id => byId.get(String(id))).filter(Boolean);
   }
 
   /**
    * Find survey results by filters
    */
   static async find(filters = {}) {
-    // If filtering by id, use findById which includes analysis data
     if (filters.id) {
       const result = await this.findById(filters.id);
       return result ? [result] : [];
     }
 
-    let query = `SELECT gid, surveyno, village, geom,
-                        ST_X(ST_Centroid(geom)) as longitude,
-                        ST_Y(ST_Centroid(geom)) as latitude
-                 FROM ts_warangal_survey WHERE 1=1`;
+    let query = `SELECT ${SELECT_COLUMNS} FROM analysis_results WHERE 1=1`;
     const params = [];
     let paramCount = 1;
 
     if (filters.survey_number || filters.surveyno) {
-      query += ` AND surveyno = $${paramCount++}`;
+      query += ` AND survey_number = $${paramCount++}`;
       params.push(filters.survey_number || filters.surveyno);
     }
 
@@ -209,58 +186,213 @@ export class SurveyResult {
       params.push(filters.village);
     }
 
-    query += ' ORDER BY gid DESC';
+    query += ' ORDER BY id DESC';
 
     const result = await pool.query(query, params);
 
-    // Transform to expected format and include analysis data if available
-    return result.rows.map(row => {
-      let analysisData = AnalysisStore.get(row.gid) || {};
-      
-      // Transform old score_breakdown format to new format if needed
-      if (analysisData.score_breakdown) {
-        const oldBreakdown = analysisData.score_breakdown;
-        
-        // Check if it's in old format
-        if (oldBreakdown.police_distance_score !== undefined || 
-            oldBreakdown.supportive_businesses_score !== undefined || 
-            oldBreakdown.ftl_penalty !== undefined ||
-            !oldBreakdown.amenity_score) {
-          console.log(`🔄 Converting old format in find() for gid=${row.gid}`);
-          const newBreakdown = {
-            poi_score: Math.min(30, oldBreakdown.poi_score || 0),
-            amenity_score: Math.min(25, (oldBreakdown.police_distance_score || 0) + 
-                                      (oldBreakdown.hospital_distance_score || 0) + 
-                                      (oldBreakdown.road_distance_score || 0)),
-            ftl_score: oldBreakdown.ftl_score !== undefined 
-              ? Math.min(20, oldBreakdown.ftl_score) 
-              : (oldBreakdown.ftl_penalty !== undefined 
-                  ? Math.min(20, Math.max(0, 20 - oldBreakdown.ftl_penalty)) 
-                  : 0),
-            business_score: Math.min(15, oldBreakdown.supportive_businesses_score || 0),
-            accessibility_score: Math.min(10, oldBreakdown.accessibility_score || 0)
-          };
-          
-          analysisData = {
-            ...analysisData,
-            score_breakdown: newBreakdown
-          };
-          
-          // Update in store
-          AnalysisStore.set(row.gid, analysisData);
-        }
-      }
-      
-      return {
-        id: row.gid.toString(),
-        gid: row.gid,
-        village: row.village,
-        survey_number: row.surveyno,
-        latitude: parseFloat(row.latitude),
-        longitude: parseFloat(row.longitude),
-        ...analysisData
-      };
-    });
+    return result.rows.map(row => this.fromRow(row));
+  }
+
+  /**
+   * List analyses of all users for the admin API (newest first)
+   * @param {Object} filters - user_id, village, survey_number, limit, offset
+   * @returns {Promise<{ results: Array, total: number }>}
+   */
+  static async search({ user_id, village, survey_number, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (user_id) {
+      params.push(user_id);
+      conditions.push(`user_id = $${params.length}`);
+    }
+
+    if (village) {
+      params.push(village);
+      conditions.push(`village = $${params.length}`);
+    }
+
+    if (survey_number) {
+      params.push(survey_number);
+      conditions.push(`survey_number = $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const count = await pool.query(`SELECT COUNT(*)::int AS total FROM analysis_results ${where}`, params);
+
+    params.push(limit, offset);
+    const result = await pool.query(
+      `SELECT ${SUMMARY_COLUMNS} FROM analysis_results ${where}
+       ORDER BY analysis_date DESC, id DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    return { results: result.rows.map(row => this.fromSummaryRow(row)), total: count.rows[0].total };
+  }
+
+  /**
+   * List a user's analyses with filters and cursor pagination
+   * @param {string} userId - Owner
+   * @param {Object} options
+   * @param {string} [options.organizationId] - List the organisation's analyses instead
+   * @param {string} [options.village] - Exact village name
+   * @param {Date} [options.from] - analysis_date lower bound (inclusive)
+   * @param {Date} [options.to] - analysis_date upper bound (inclusive)
+   * @param {number} [options.minScore] - development_score lower bound
+   * @param {number} [options.maxScore] - development_score upper bound
+   * @param {string} [options.sort] - analysis_date (default) or development_score
+   * @param {string} [options.order] - desc (default) or asc
+   * @param {Object} [options.cursor] - { value, id } of the last row of the previous page
+   * @param {number} [options.limit] - Page size
+   * @returns {Promise<{ results: Array, nextCursor: Object|null }>}
+   */
+  static async findByUser(userId, options = {}) {
+    const {
+      organizationId,
+      village,
+      from,
+      to,
+      minScore,
+      maxScore,
+      sort = 'analysis_date',
+      order = 'desc',
+      cursor,
+      limit = 20
+    } = options;
+
+    const { expression: sortExpression, type: sortType } = SORT_COLUMNS[sort];
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const comparator = order === 'asc' ? '>' : '<';
+
+    let query = `SELECT ${SUMMARY_COLUMNS}, (${sortExpression})::text AS sort_value
+                 FROM analysis_results WHERE ${organizationId ? 'organization_id' : 'user_id'} = $1`;
+    const params = [organizationId || userId];
+    let paramCount = 2;
+
+    if (village) {
+      query += ` AND village = $${paramCount++}`;
+      params.push(village);
+    }
+
+    if (from) {
+      query += ` AND analysis_date >= $${paramCount++}`;
+      params.push(from);
+    }
+
+    if (to) {
+      query += ` AND analysis_date <= $${paramCount++}`;
+      params.push(to);
+    }
+
+    if (minScore !== undefined) {
+      query += ` AND development_score >= $${paramCount++}`;
+      params.push(minScore);
+    }
+
+    if (maxScore !== undefined) {
+      query += ` AND development_score <= $${paramCount++}`;
+      params.push(maxScore);
+    }
+
+    if (cursor) {
+      query += ` AND (${sortExpression}, id) ${comparator} ($${paramCount++}::${sortType}, $${paramCount++}::bigint)`;
+      params.push(cursor.value, cursor.id);
+    }
+
+    // Fetch one extra row to know whether there is a next page
+    query += ` ORDER BY ${sortExpression} ${direction}, id ${direction} LIMIT $${paramCount++}`;
+    params.push(limit + 1);
+
+    const result = await pool.query(query, params);
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+
+    return {
+      results: rows.map(row => this.fromSummaryRow(row)),
+      nextCursor: result.rows.length > limit
+        ? { value: last.sort_value, id: last.id.toString() }
+        : null
+    };
+  }
+
+  /**
+   * Map a history listing row to the API shape
+   */
+  static fromSummaryRow(row) {
+    return {
+      id: row.id.toString(),
+      gid: row.survey_gid,
+      user_id: row.user_id,
+      organization_id: row.organization_id,
+      village: row.village,
+      survey_number: row.survey_number,
+      latitude: row.latitude,
+      longitude: row.longitude,
+      analysis_mode: row.analysis_mode,
+      travel_mode: row.travel_mode,
+      contour_minutes: row.contour_minutes,
+      scoring_profile: row.scoring_profile_id
+        ? { id: row.scoring_profile_id, version: row.scoring_profile_version }
+        : null,
+      total_pois: row.total_pois,
+      development_score: row.development_score,
+      ftl_zone_percentage: row.ftl_zone_percentage,
+      distance_to_police: row.distance_to_police,
+      distance_to_hospital: row.distance_to_hospital,
+      distance_to_main_road: row.distance_to_main_road,
+      analysis_date: row.analysis_date instanceof Date ? row.analysis_date.toISOString() : row.analysis_date
+    };
+  }
+
+  /**
+   * Map an analysis_results row to the API shape (matching old survey_results structure)
+   */
+  static fromRow(row) {
+    return {
+      id: row.id.toString(),
+      gid: row.survey_gid,
+      user_id: row.user_id,
+      organization_id: row.organization_id,
+      village: row.village,
+      survey_number: row.survey_number,
+      latitude: row.latitude,
+      longitude: row.longitude,
+      analysis_mode: row.analysis_mode,
+      travel_mode: row.travel_mode,
+      contour_minutes: row.contour_minutes,
+      isochrone_provider: row.isochrone_provider,
+      used_fallback: row.used_fallback,
+      scoring_profile: row.scoring_profile_id
+        ? { id: row.scoring_profile_id, version: row.scoring_profile_version }
+        : null,
+      total_pois: row.total_pois,
+      poi_breakdown: row.poi_breakdown,
+      supportive_businesses: row.supportive_businesses,
+      distance_to_police: row.distance_to_police,
+      distance_to_hospital: row.distance_to_hospital,
+      distance_to_main_road: row.distance_to_main_road,
+      development_score: row.development_score,
+      score_breakdown: row.score_breakdown,
+      ftl_zone_percentage: row.ftl_zone_percentage,
+      contours: row.contours,
+      parcel: row.parcel,
+      map_data: row.map_data
+        ? {
+            ...row.map_data,
+            isochrone_geometry: row.isochrone_geojson ? JSON.parse(row.isochrone_geojson) : null
+          }
+        : null,
+      analysis_date: row.analysis_date instanceof Date ? row.analysis_date.toISOString() : row.analysis_date
+    };
   }
 }
 
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Serialize a value for a JSONB parameter (pg would send arrays as Postgres arrays)
+ */
+function toJson(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
@@ -1,6 +1,12 @@
 import pool from '../config/database.js';
 import bcrypt from 'bcrypt';
-import { randomUUID } from 'crypto';
+import crypto, { randomUUID } from 'crypto';
+import { promisify } from 'util';
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+// Current password scheme: bcrypt with this cost
+const BCRYPT_ROUNDS = 12;
 
 /**
  * User Model - Uses existing users_user table (Django structure)
@@ -9,7 +15,7 @@ import { randomUUID } from 'crypto';
  * - id: uuid (primary key)
  * - username: varchar (required)
  * - email: varchar (required, unique)
- * - password: varchar (Django pbkdf2_sha256 format)
+ * - password: varchar (bcrypt; users migrated from Django may still have pbkdf2_sha256)
  * - first_name: varchar (required)
  * - last_name: varchar (required)
  * - is_superuser: boolean (default false)
@@ -17,6 +23,7 @@ import { randomUUID } from 'crypto';
  * - is_active: boolean (default true)
  * - date_joined: timestamp (required)
  * - last_login: timestamp (nullable)
+ * - email_verified_at: timestamp (nullable, added by migration 011)
  */
 export class User {
   /**
@@ -36,7 +43,7 @@ export class User {
   static async findById(id) {
     const result = await pool.query(
       `SELECT id, username, email, first_name, last_name, 
-              is_superuser, is_staff, is_active, date_joined, last_login 
+              is_superuser, is_staff, is_active, date_joined, last_login, email_verified_at
        FROM users_user WHERE id = $1`,
       [id]
     );
@@ -44,9 +51,103 @@ export class User {
   }
 
   /**
-   * Create new user (Django-compatible)
-   * Note: Django uses pbkdf2_sha256 password hashing, but we'll use bcrypt for simplicity
-   * If you need Django compatibility, use: pbkdf2_sha256$<iterations>$<salt>$<hash>
+   * Check whether a user is staff (superusers count as staff)
+   */
+  static async isStaff(id) {
+    const result = await pool.query(
+      'SELECT is_staff, is_superuser FROM users_user WHERE id = $1',
+      [id]
+    );
+    const user = result.rows[0];
+    return !!user && (user.is_staff || user.is_superuser);
+  }
+
+  /**
+   * Search users for the admin API (newest first)
+   * @param {Object} filters
+   * @param {string} [filters.search] - Part of the email, username or name
+   * @param {string} [filters.role] - user, staff or superuser
+   * @param {boolean} [filters.is_active]
+   * @param {number} [filters.limit]
+   * @param {number} [filters.offset]
+   * @returns {Promise<{ users: Array, total: number }>}
+   */
+  static async search({ search, role, is_active, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (search) {
+      values.push(`%${search.replace(/[\\%_]/g, '\\$&')}%`);
+      conditions.push(`(email ILIKE $${values.length} OR username ILIKE $${values.length}
+        OR (first_name || ' ' || last_name) ILIKE $${values.length})`);
+    }
+
+    if (role === 'superuser') {
+      conditions.push('is_superuser');
+    } else if (role === 'staff') {
+      conditions.push('is_staff AND NOT is_superuser');
+    } else if (role === 'user') {
+      conditions.push('NOT is_staff AND NOT is_superuser');
+    }
+
+    if (is_active !== undefined) {
+      values.push(is_active);
+      conditions.push(`is_active = $${values.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const count = await pool.query(`SELECT COUNT(*)::int AS total FROM users_user ${where}`, values);
+
+    values.push(limit, offset);
+    const result = await pool.query(
+      `SELECT id, username, email, first_name, last_name,
+              is_superuser, is_staff, is_active, date_joined, last_login, email_verified_at
+       FROM users_user ${where}
+       ORDER BY date_joined DESC, id
+       LIMIT $${values.length - 1} OFFSET $${values.length}`,
+      values
+    );
+
+    return { users: result.rows, total: count.rows[0].total };
+  }
+
+  /**
+   * Activate or deactivate an account
+   * @returns {Promise<Object|null>} Updated user, or null if it does not exist
+   */
+  static async setActive(id, isActive) {
+    const result = await pool.query(
+      `UPDATE users_user SET is_active = $2 WHERE id = $1
+       RETURNING id, username, email, first_name, last_name,
+                 is_superuser, is_staff, is_active, date_joined, last_login, email_verified_at`,
+      [id, isActive]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Set a new password (bcrypt)
+   */
+  static async setPassword(id, password) {
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    await pool.query(
+      'UPDATE users_user SET password = $2 WHERE id = $1',
+      [id, passwordHash]
+    );
+  }
+
+  /**
+   * Record that the user proved they own their email address
+   */
+  static async markEmailVerified(id) {
+    await pool.query(
+      'UPDATE users_user SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = $1',
+      [id]
+    );
+  }
+
+  /**
+   * Create new user (Django table layout, bcrypt password)
    */
   static async create({ email, password, full_name }) {
     // Split full_name into first_name and last_name
@@ -58,12 +159,8 @@ export class User {
     // Generate UUID for id
     const id = randomUUID();
     
-    // Hash password with bcrypt (Django-compatible format: pbkdf2_sha256$...)
-    // For now, we'll use bcrypt. If Django compatibility is needed, implement pbkdf2_sha256
-    const passwordHash = await bcrypt.hash(password, 12);
-    // Format: pbkdf2_sha256$<iterations>$<salt>$<hash>
-    // For simplicity, using bcrypt format. If Django login is needed, convert to pbkdf2_sha256
-    
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
     const result = await pool.query(
       `INSERT INTO users_user (
         id, username, email, password, first_name, last_name,
@@ -82,30 +179,62 @@ export class User {
 
   /**
    * Verify password
-   * Supports both bcrypt (our format) and Django pbkdf2_sha256
+   * Supports bcrypt (our format) and Django pbkdf2_sha256. Changes nothing: a login
+   * that is let in is recorded with recordLogin.
    */
   static async verifyPassword(email, password) {
     const user = await this.findByEmail(email);
-    if (!user) return null;
-    
-    // Check if password is Django format (pbkdf2_sha256$...)
-    if (user.password.startsWith('pbkdf2_sha256$')) {
-      // Django password verification would go here
-      // For now, we'll assume bcrypt if it's not Django format
-      // TODO: Implement Django pbkdf2_sha256 verification if needed
-      console.warn('Django password format detected. Bcrypt verification may fail.');
-    }
-    
-    // Try bcrypt verification
-    const isValid = await bcrypt.compare(password, user.password);
+    if (!user || !user.password) return null;
+
+    const isDjangoHash = user.password.startsWith('pbkdf2_sha256$');
+    const isValid = isDjangoHash
+      ? await verifyDjangoPassword(password, user.password)
+      : await bcrypt.compare(password, user.password);
     if (!isValid) return null;
-    
+
     // Return user without password
     const { password: _, ...userWithoutPassword } = user;
     // Add full_name for compatibility
     userWithoutPassword.full_name = `${user.first_name} ${user.last_name}`.trim();
-    
+
     return userWithoutPassword;
   }
+
+  /**
+   * Record a login that starts a session: sets last_login and upgrades a Django or
+   * low-round hash of the (just verified) password to bcrypt
+   */
+  static async recordLogin(userId, password) {
+    const result = await pool.query(
+      'UPDATE users_user SET last_login = NOW() WHERE id = $1 RETURNING password',
+      [userId]
+    );
+    const stored = result.rows[0]?.password;
+    if (!stored) return;
+
+    const needsRehash = stored.startsWith('pbkdf2_sha256$') || bcrypt.getRounds(stored) < BCRYPT_ROUNDS;
+    if (needsRehash) {
+      const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+      await pool.query('UPDATE users_user SET password = $2 WHERE id = $1', [userId, passwordHash]);
+      console.log(`🔐 Upgraded password hash of user ${userId} to bcrypt`);
+    }
+  }
 }
 
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Check a password against a Django hash: pbkdf2_sha256$<iterations>$<salt>$<base64 hash>
+ */
+async function verifyDjangoPassword(password, encoded) {
+  const [, iterations, salt, hash] = encoded.split('$');
+  const expected = Buffer.from(hash || '', 'base64');
+  const rounds = parseInt(iterations, 10);
+
+  if (!salt || expected.length === 0 || !Number.isInteger(rounds) || rounds <= 0) {
+    return false;
+  }
+
+  const derived = await pbkdf2(password, salt, rounds, expected.length, 'sha256');
+  return crypto.timingSafeEqual(derived, expected);
+}
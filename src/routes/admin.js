@@ -0,0 +1,37 @@
+import express from 'express';
+import {
+  listUsers,
+  getUser,
+  deactivateUser,
+  reactivateUser,
+  listAnalyses,
+  getAnalysis,
+  listPayments,
+  getPayment,
+  listAuditLog
+} from '../controllers/adminController.js';
+import { authMiddleware, requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require a staff session
+router.use(authMiddleware, requireRole('staff'));
+
+// Users
+router.get('/users', listUsers);
+router.get('/users/:id', getUser);
+router.post('/users/:id/deactivate', deactivateUser);
+router.post('/users/:id/reactivate', reactivateUser);
+
+// Analyses
+router.get('/analyses', listAnalyses);
+router.get('/analyses/:id', getAnalysis);
+
+// Payments
+router.get('/payments', listPayments);
+router.get('/payments/:id', getPayment);
+
+// Audit log
+router.get('/audit-log', listAuditLog);
+
+export default router;
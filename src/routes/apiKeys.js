@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  createApiKeyValidation
+} from '../controllers/apiKeyController.js';
+import { authMiddleware, requireUserSession } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Keys are managed by their logged-in owner, never with a key
+router.use(authMiddleware, requireUserSession);
+
+router.get('/', listApiKeys);
+router.post('/', createApiKeyValidation, createApiKey);
+router.delete('/:id', revokeApiKey);
+
+export default router;
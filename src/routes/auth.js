@@ -4,22 +4,39 @@ import {
   login,
   getMe,
   checkAuth,
+  refresh,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
   logout,
+  logoutAll,
   registerValidation,
-  loginValidation
+  loginValidation,
+  refreshValidation,
+  emailValidation,
+  resetPasswordValidation,
+  tokenValidation
 } from '../controllers/authController.js';
-import { authMiddleware } from '../middleware/auth.js';
+import { authMiddleware, requireScope, requireUserSession } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
 // Public routes
-router.post('/register', registerValidation, register);
-router.post('/login', loginValidation, login);
+router.post('/register', rateLimit('register'), registerValidation, register);
+router.post('/login', rateLimit('login'), loginValidation, login);
+router.post('/refresh', refreshValidation, refresh);
+router.post('/forgot-password', rateLimit('account_email'), emailValidation, forgotPassword);
+router.post('/reset-password', resetPasswordValidation, resetPassword);
+router.post('/verify-email', tokenValidation, verifyEmail);
+router.post('/resend-verification', rateLimit('account_email'), emailValidation, resendVerification);
 
 // Protected routes
-router.get('/me', authMiddleware, getMe);
-router.get('/check', authMiddleware, checkAuth);
-router.post('/logout', authMiddleware, logout);
+router.get('/me', authMiddleware, requireScope('read'), getMe);
+router.get('/check', authMiddleware, requireScope('read'), checkAuth);
+router.post('/logout', authMiddleware, requireUserSession, logout);
+router.post('/logout-all', authMiddleware, requireUserSession, logoutAll);
 
 export default router;
 
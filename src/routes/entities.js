@@ -1,24 +1,27 @@
 import express from 'express';
 import {
   createSurveyResult,
+  listSurveyResults,
   getSurveyResult,
   getPayments,
   createPayment
 } from '../controllers/entityController.js';
-import { authMiddleware } from '../middleware/auth.js';
+import { authMiddleware, requireScope, requireStaff, requireUserSession } from '../middleware/auth.js';
+import { organizationScope } from '../middleware/organization.js';
 
 const router = express.Router();
 
 // All routes require authentication
-router.use(authMiddleware);
+router.use(authMiddleware, organizationScope);
 
 // Survey Results
-router.post('/survey-results', createSurveyResult);
-router.get('/survey-results/:id', getSurveyResult);
+router.post('/survey-results', requireUserSession, requireStaff, createSurveyResult);
+router.get('/survey-results', requireScope('read'), listSurveyResults);
+router.get('/survey-results/:id', requireScope('read'), getSurveyResult);
 
 // Payments
-router.get('/payments', getPayments);
-router.post('/payments', createPayment);
+router.get('/payments', requireUserSession, getPayments);
+router.post('/payments', requireUserSession, requireStaff, createPayment);
 
 export default router;
 
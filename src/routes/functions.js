@@ -1,5 +1,11 @@
 import express from 'express';
-import { analyzeSurvey } from '../controllers/surveyController.js';
+import { analyzeSurvey, getScoringProfiles } from '../controllers/surveyController.js';
+import {
+  createBatchAnalysis,
+  listBatchAnalyses,
+  getBatchAnalysis,
+  downloadBatchAnalysis
+} from '../controllers/batchController.js';
 import {
   getAllData,
   getSuggestions,
@@ -9,7 +15,9 @@ import {
 } from '../controllers/villageController.js';
 import { exportReportPDF } from '../controllers/exportController.js';
 import { debugSurveyData } from '../controllers/debugController.js';
-import { authMiddleware } from '../middleware/auth.js';
+import { authMiddleware, requireScope, requireUserSession } from '../middleware/auth.js';
+import { organizationScope } from '../middleware/organization.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
@@ -20,14 +28,25 @@ router.get('/survey-numbers', getSurveyNumbers);
 router.get('/search-villages', searchVillages);
 router.get('/search-survey-numbers', searchSurveyNumbers);
 
-// Protected routes (require authentication)
-router.use(authMiddleware);
+// Protected routes (require a login or an API key with the route's scope);
+// X-Organization-Id runs them on behalf of an organisation
+router.use(authMiddleware, organizationScope);
 
 // Survey analysis
-router.post('/analyze-survey', analyzeSurvey);
+router.post('/analyze-survey', requireScope('analyze'), rateLimit('analyze'), analyzeSurvey);
+router.get('/scoring-profiles', requireScope('read'), getScoringProfiles);
+
+// Batch analysis
+router.post('/batch-analyze', requireScope('analyze'), rateLimit('analyze'), createBatchAnalysis);
+router.get('/batch-analyze', requireScope('read'), listBatchAnalyses);
+router.get('/batch-analyze/:jobId', requireScope('read'), getBatchAnalysis);
+router.get('/batch-analyze/:jobId/download', requireScope('read'), downloadBatchAnalysis);
 
 // Export routes
-router.post('/export-pdf', exportReportPDF);
+router.post('/export-pdf', requireScope('export'), rateLimit('export'), exportReportPDF);
+
+// Debug and test routes are for logged-in users only
+router.use(requireUserSession);
 
 // Debug routes
 router.post('/debug-survey-data', debugSurveyData);
@@ -46,7 +65,8 @@ router.get('/test', (req, res) => {
 
 router.get('/test-razorpay', async (req, res) => {
   try {
-    const razorpay = (await import('../config/razorpay.js')).default;
+    const { getRazorpay } = await import('../config/razorpay.js');
+    getRazorpay();
     res.json({
       data: {
         success: true,
@@ -0,0 +1,39 @@
+import express from 'express';
+import {
+  listOrganizations,
+  createOrganization,
+  getOrganization,
+  listInvitations,
+  inviteMember,
+  revokeInvitation,
+  acceptInvitation,
+  updateMember,
+  removeMember,
+  getUsage,
+  listPurchases,
+  createOrganizationValidation,
+  inviteValidation,
+  acceptInvitationValidation,
+  updateMemberValidation
+} from '../controllers/organizationController.js';
+import { authMiddleware, requireUserSession } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Organisations are managed by logged-in users, never with an API key
+router.use(authMiddleware, requireUserSession);
+
+router.get('/', listOrganizations);
+router.post('/', createOrganizationValidation, createOrganization);
+router.post('/invitations/accept', acceptInvitationValidation, acceptInvitation);
+
+router.get('/:id', getOrganization);
+router.get('/:id/invitations', listInvitations);
+router.post('/:id/invitations', inviteValidation, inviteMember);
+router.delete('/:id/invitations/:invitationId', revokeInvitation);
+router.patch('/:id/members/:userId', updateMemberValidation, updateMember);
+router.delete('/:id/members/:userId', removeMember);
+router.get('/:id/usage', getUsage);
+router.get('/:id/purchases', listPurchases);
+
+export default router;
@@ -1,14 +1,35 @@
 import express from 'express';
-import { createOrder, verifyPayment } from '../controllers/paymentController.js';
-import { authMiddleware } from '../middleware/auth.js';
+import {
+  getProducts,
+  quotePrice,
+  getCredits,
+  createOrder,
+  verifyPayment,
+  simulateCheckout,
+  refundPayment,
+  downloadInvoice,
+  razorpayWebhook
+} from '../controllers/paymentController.js';
+import { authMiddleware, requireStaff, requireUserSession } from '../middleware/auth.js';
+import { organizationScope } from '../middleware/organization.js';
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(authMiddleware);
+// Razorpay calls the webhook directly; it is authenticated by its signature
+router.post('/webhook', razorpayWebhook);
 
+// All other routes require a logged-in user (API keys cannot buy or refund);
+// X-Organization-Id buys and reads credits for an organisation
+router.use(authMiddleware, requireUserSession, organizationScope);
+
+router.get('/products', getProducts);
+router.post('/quote', quotePrice);
+router.get('/credits', getCredits);
 router.post('/create-order', createOrder);
 router.post('/verify', verifyPayment);
+router.post('/mock/checkout', simulateCheckout);
+router.get('/:id/invoice', downloadInvoice);
+router.post('/:id/refund', requireStaff, refundPayment);
 
 export default router;
 
@@ -3,12 +3,17 @@ import cors from 'cors';
 import helmet from 'helmet';
 import dotenv from 'dotenv';
 import { errorHandler } from './middleware/errorHandler.js';
+import { rateLimit } from './middleware/rateLimit.js';
+import { batchJobService } from './services/batchJobService.js';
 
 // Import routes
 import authRoutes from './routes/auth.js';
 import functionRoutes from './routes/functions.js';
 import entityRoutes from './routes/entities.js';
 import paymentRoutes from './routes/payments.js';
+import adminRoutes from './routes/admin.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import organizationRoutes from './routes/organizations.js';
 
 // Load environment variables
 dotenv.config();
@@ -16,6 +21,12 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer, req.ip comes from X-Forwarded-For (API key IP allow-lists)
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(helmet());
 app.use(cors({
@@ -39,7 +50,15 @@ app.use(cors({
   },
   credentials: true
 }));
-app.use(express.json({ limit: '50mb' }));  // Increased for base64 image uploads
+app.use(express.json({
+  limit: '50mb',  // Increased for base64 image uploads
+  verify: (req, res, buf) => {
+    // Keep the exact bytes for webhook signature checks
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Health check
@@ -47,11 +66,17 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Per-IP limit on the whole API (Razorpay's webhook deliveries are not counted)
+app.use('/api', rateLimit('api', { skip: (req) => req.path.startsWith('/payments/webhook') }));
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/functions', functionRoutes);
 app.use('/api/entities', entityRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/organizations', organizationRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -68,6 +93,9 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📡 API available at http://localhost:${PORT}/api`);
   console.log(`🏥 Health check: http://localhost:${PORT}/health`);
+
+  // Run batch jobs queued by any instance, including ones left by a restart
+  batchJobService.start();
 });
 
 export default app;
@@ -0,0 +1,37 @@
+import { User } from '../models/User.js';
+import { Organization } from '../models/Organization.js';
+
+/**
+ * Access Control
+ * Ownership rules shared by the routes that read or export analysis results.
+ */
+
+/**
+ * Check whether the caller of a request has staff rights
+ * API keys never do, even when a staff member owns them.
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<boolean>}
+ */
+export const isStaffCaller = async (user) => {
+  if (user.api_key_id) {
+    return false;
+  }
+  return User.isStaff(user.id);
+};
+
+/**
+ * Check whether a user may read or export an analysis result: the user who ran it,
+ * members of the organisation it was run for, or staff (not through an API key)
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} result - Survey result (SurveyResult shape)
+ * @returns {Promise<boolean>}
+ */
+export const canAccessSurveyResult = async (user, result) => {
+  if (result.user_id && result.user_id === user.id) {
+    return true;
+  }
+  if (result.organization_id && (await Organization.getMembership(result.organization_id, user.id))) {
+    return true;
+  }
+  return isStaffCaller(user);
+};
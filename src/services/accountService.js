@@ -0,0 +1,145 @@
+import { randomUUID } from 'crypto';
+import { generateActionToken, verifyActionToken } from '../config/jwt.js';
+import { AuthActionToken } from '../models/AuthActionToken.js';
+import { User } from '../models/User.js';
+import { sessionService } from './sessionService.js';
+import { getMailer } from './mailer/index.js';
+
+const TOKEN_LIFETIMES = {
+  password_reset: { expiresIn: '1h', ms: 60 * 60 * 1000 },
+  email_verification: { expiresIn: '48h', ms: 48 * 60 * 60 * 1000 }
+};
+
+const INVALID_TOKEN = 'This link is invalid or has expired';
+
+/**
+ * Account Service
+ * Password reset and email verification, both through signed, expiring,
+ * single-use links sent by email.
+ */
+class AccountService {
+  /**
+   * Whether login waits for a verified email address (REQUIRE_EMAIL_VERIFICATION=true)
+   */
+  isVerificationRequired() {
+    return process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+  }
+
+  /**
+   * Email a password reset link, if the address belongs to an account
+   * Callers must not reveal whether it did.
+   */
+  async requestPasswordReset(email) {
+    const user = await User.findByEmail(email);
+    if (!user || user.is_active === false) {
+      return;
+    }
+
+    const token = await this.issueToken(user.id, 'password_reset');
+    const link = `${this.frontendUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+    await getMailer().send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `We received a request to reset your password.\n\nOpen this link within an hour to choose a new one:\n${link}\n\nIf you did not ask for this, you can ignore this email.`,
+      html: `<p>We received a request to reset your password.</p><p><a href="${link}">Choose a new password</a> (valid for one hour).</p><p>If you did not ask for this, you can ignore this email.</p>`
+    });
+  }
+
+  /**
+   * Set a new password with a reset token; every session of the user is logged out
+   * @returns {Promise<{ userId?: string, error?: string }>}
+   */
+  async resetPassword(token, password) {
+    const { userId, error } = await this.consumeToken(token, 'password_reset');
+    if (error) {
+      return { error };
+    }
+
+    await User.setPassword(userId, password);
+    // Following the emailed link proves the address too
+    await User.markEmailVerified(userId);
+    await sessionService.revokeAllSessions(userId, 'password_reset');
+
+    console.log(`🔑 Password reset for user ${userId}`);
+    return { userId };
+  }
+
+  /**
+   * Email a verification link to a user whose address is not verified yet
+   */
+  async sendVerificationEmail(user) {
+    if (user.email_verified_at) {
+      return;
+    }
+
+    const token = await this.issueToken(user.id, 'email_verification');
+    const link = `${this.frontendUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+    await getMailer().send({
+      to: user.email,
+      subject: 'Confirm your email address',
+      text: `Please confirm your email address by opening this link within 48 hours:\n${link}`,
+      html: `<p>Please confirm your email address.</p><p><a href="${link}">Confirm email address</a> (valid for 48 hours).</p>`
+    });
+  }
+
+  /**
+   * Resend the verification link, if the address belongs to an unverified account
+   * Callers must not reveal whether it did.
+   */
+  async resendVerification(email) {
+    const user = await User.findByEmail(email);
+    if (user && user.is_active !== false) {
+      await this.sendVerificationEmail(user);
+    }
+  }
+
+  /**
+   * Verify an email address with a verification token
+   * @returns {Promise<{ userId?: string, error?: string }>}
+   */
+  async verifyEmail(token) {
+    const { userId, error } = await this.consumeToken(token, 'email_verification');
+    if (error) {
+      return { error };
+    }
+
+    await User.markEmailVerified(userId);
+    console.log(`✅ Email verified for user ${userId}`);
+    return { userId };
+  }
+
+  // ==================== HELPER FUNCTIONS ====================
+
+  async issueToken(userId, purpose) {
+    const jti = randomUUID();
+    const { expiresIn, ms } = TOKEN_LIFETIMES[purpose];
+
+    await AuthActionToken.create({ jti, userId, purpose, expiresAt: new Date(Date.now() + ms) });
+    return generateActionToken({ userId, purpose, jti }, expiresIn);
+  }
+
+  /**
+   * Check a token's signature, expiry and purpose, and use it up
+   */
+  async consumeToken(token, purpose) {
+    const decoded = typeof token === 'string' ? verifyActionToken(token, purpose) : null;
+    if (!decoded) {
+      return { error: INVALID_TOKEN };
+    }
+
+    const used = await AuthActionToken.consume({ jti: decoded.jti, userId: decoded.sub, purpose });
+    if (!used) {
+      return { error: INVALID_TOKEN };
+    }
+
+    return { userId: decoded.sub };
+  }
+
+  frontendUrl() {
+    return (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+  }
+}
+
+export const accountService = new AccountService();
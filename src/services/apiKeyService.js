@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import net from 'net';
+import { hashToken } from '../config/jwt.js';
+import { ApiKey } from '../models/ApiKey.js';
+import { User } from '../models/User.js';
+
+// What a key can be allowed to do
+export const API_KEY_SCOPES = {
+  analyze: 'Run survey analyses (analyze-survey, batch-analyze)',
+  export: 'Export PDF reports',
+  read: 'Read analyses, batch jobs and the account'
+};
+
+const KEY_PREFIX = 'gsk_';
+const MAX_KEYS_PER_USER = 20;
+const MAX_ALLOWED_IPS = 50;
+
+/**
+ * API Key Service
+ * User-owned keys for partner servers: `X-API-Key: gsk_...` instead of a login.
+ * A key acts as its owner, limited to its scopes and, optionally, to a set of addresses.
+ */
+class ApiKeyService {
+  /**
+   * Create a key; the key itself is only returned here
+   * @param {string} userId - Owner
+   * @param {Object} params - { name, scopes, expiresAt, allowedIps }
+   * @returns {Promise<{ apiKey?: Object, key?: string, error?: string }>}
+   */
+  async createKey(userId, { name, scopes, expiresAt = null, allowedIps = null }) {
+    const existing = await ApiKey.findByUser(userId);
+    if (existing.filter(apiKey => !apiKey.revoked_at).length >= MAX_KEYS_PER_USER) {
+      return { error: `You can have at most ${MAX_KEYS_PER_USER} active API keys` };
+    }
+
+    if (allowedIps && allowedIps.length > 0) {
+      const invalid = allowedIps.find(entry => !parseIpEntry(entry));
+      if (invalid !== undefined) {
+        return { error: `Invalid IP address or CIDR range: ${invalid}` };
+      }
+      if (allowedIps.length > MAX_ALLOWED_IPS) {
+        return { error: `At most ${MAX_ALLOWED_IPS} IP entries are allowed` };
+      }
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const apiKey = await ApiKey.create({
+      userId,
+      name,
+      keyPrefix: key.slice(0, 12),
+      keyHash: hashToken(key),
+      scopes: [...new Set(scopes)],
+      allowedIps: allowedIps && allowedIps.length > 0 ? allowedIps : null,
+      expiresAt
+    });
+
+    console.log(`🔑 API key ${apiKey.id} (${apiKey.key_prefix}…) created for user ${userId}`);
+    return { apiKey, key };
+  }
+
+  /**
+   * Resolve the caller of a request made with an API key
+   * @returns {Promise<{ user?: Object, error?: string, statusCode?: number }>}
+   *   user is the req.user shape: { id, email, role, api_key_id, scopes }
+   */
+  async authenticate(key, ipAddress) {
+    const apiKey = key.startsWith(KEY_PREFIX) ? await ApiKey.findActiveByHash(hashToken(key)) : null;
+    if (!apiKey) {
+      return { error: 'Invalid, revoked or expired API key.', statusCode: 401 };
+    }
+
+    if (apiKey.allowed_ips && !this.isIpAllowed(apiKey.allowed_ips, ipAddress)) {
+      return { error: 'This API key may not be used from this IP address.', statusCode: 403 };
+    }
+
+    const owner = await User.findById(apiKey.user_id);
+    if (!owner || !owner.is_active) {
+      return { error: 'Invalid, revoked or expired API key.', statusCode: 401 };
+    }
+
+    await ApiKey.touch(apiKey.id, ipAddress);
+
+    // Keys never carry staff rights
+    return {
+      user: {
+        id: owner.id,
+        email: owner.email,
+        role: 'user',
+        api_key_id: apiKey.id,
+        scopes: apiKey.scopes
+      }
+    };
+  }
+
+  /**
+   * Whether an address matches an allow-list of addresses and CIDR ranges
+   */
+  isIpAllowed(allowedIps, ipAddress) {
+    const address = normalizeIp(ipAddress);
+    const type = net.isIP(address);
+    if (!type) return false;
+
+    const list = new net.BlockList();
+    allowedIps.forEach(entry => {
+      const parsed = parseIpEntry(entry);
+      if (!parsed) return;
+      if (parsed.prefix === undefined) {
+        list.addAddress(parsed.address, parsed.type);
+      } else {
+        list.addSubnet(parsed.address, parsed.prefix, parsed.type);
+      }
+    });
+
+    return list.check(address, type === 6 ? 'ipv6' : 'ipv4');
+  }
+}
+
+export const apiKeyService = new ApiKeyService();
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Parse '203.0.113.7', '203.0.113.0/24' or an IPv6 equivalent
+ * @returns {{ address: string, prefix?: number, type: string }|null}
+ */
+function parseIpEntry(entry) {
+  if (typeof entry !== 'string') return null;
+
+  const [address, prefixText, extra] = entry.trim().split('/');
+  const version = net.isIP(address);
+  if (!version || extra !== undefined) return null;
+
+  const type = version === 6 ? 'ipv6' : 'ipv4';
+  if (prefixText === undefined) {
+    return { address, type };
+  }
+
+  const prefix = Number(prefixText);
+  const maxPrefix = version === 6 ? 128 : 32;
+  if (!/^\d+$/.test(prefixText) || prefix > maxPrefix) return null;
+
+  return { address, prefix, type };
+}
+
+/**
+ * IPv4 clients of a dual-stack server show up as ::ffff:a.b.c.d
+ */
+function normalizeIp(ipAddress) {
+  if (!ipAddress) return '';
+  return ipAddress.startsWith('::ffff:') && net.isIPv4(ipAddress.slice(7)) ? ipAddress.slice(7) : ipAddress;
+}
@@ -0,0 +1,80 @@
+import { AuditLog } from '../models/AuditLog.js';
+
+export const AUDIT_ACTIONS = [
+  'auth.login',
+  'auth.register',
+  'auth.logout',
+  'auth.password_reset',
+  'analysis.run',
+  'analysis.batch',
+  'report.export',
+  'payment.order_created',
+  'payment.verified',
+  'payment.webhook',
+  'payment.refund',
+  'payment.status_changed',
+  'admin.user_deactivated',
+  'admin.user_reactivated',
+  'api_key.created',
+  'api_key.revoked',
+  'organization.created',
+  'organization.member_invited',
+  'organization.invitation_revoked',
+  'organization.member_joined',
+  'organization.member_removed',
+  'organization.member_role_changed'
+];
+
+/**
+ * Audit Service
+ * Appends security- and money-relevant actions to the audit log, with who acted
+ * (from req.user), from where (IP and user agent) and what changed.
+ * Recording never fails the request: an entry that cannot be written is logged instead.
+ */
+class AuditService {
+  /**
+   * @param {Object|null} req - Request the action was made in
+   * @param {string} action - One of AUDIT_ACTIONS
+   * @param {Object} details - { outcome ('success'|'failure'), actor ({ id, email, role }
+   *   when req.user is not set, e.g. a failed login), organizationId (default: the organisation
+   *   the request is made for), targetType, targetId, before, after, metadata }
+   */
+  async record(req, action, {
+    outcome = 'success',
+    actor = null,
+    organizationId = null,
+    targetType = null,
+    targetId = null,
+    before = null,
+    after = null,
+    metadata = null
+  } = {}) {
+    const user = req?.user || actor || {};
+
+    const entry = {
+      action,
+      outcome,
+      actor_id: user.id || null,
+      actor_email: user.email || null,
+      actor_role: user.role || null,
+      api_key_id: user.api_key_id || null,
+      organization_id: organizationId || req?.organization?.id || null,
+      ip_address: req?.ip || null,
+      user_agent: req?.headers?.['user-agent'] || null,
+      target_type: targetType,
+      target_id: targetId === null || targetId === undefined ? null : String(targetId),
+      before,
+      after,
+      metadata
+    };
+
+    try {
+      return await AuditLog.append(entry);
+    } catch (error) {
+      console.error(`❌ Failed to write audit log entry ${action}:`, error.message, JSON.stringify(entry));
+      return null;
+    }
+  }
+}
+
+export const auditService = new AuditService();
@@ -0,0 +1,256 @@
+import { randomUUID } from 'crypto';
+import pool from '../config/database.js';
+import { gisService } from './gisService.js';
+import { SurveyResult } from '../models/SurveyResult.js';
+import { BatchJob } from '../models/BatchJob.js';
+
+/**
+ * Batch Analysis Jobs
+ *
+ * Runs analyzeLocation for many survey numbers in the background.
+ * Jobs and per-item progress are stored in Postgres (see BatchJob), so any instance can
+ * report on them and a job left by a crashed process is resumed. Items keep only the id
+ * of their saved analysis. Jobs are deleted once they have been finished for BATCH_JOB_TTL_HOURS.
+ *
+ * Limits (environment):
+ * - BATCH_ANALYSIS_CONCURRENCY: parcels analyzed at once within a job (default 3)
+ * - BATCH_MAX_RUNNING_JOBS: jobs running at once per instance, the rest wait in the queue (default 2)
+ * - BATCH_MAX_ITEMS: parcels per job (default 500)
+ */
+
+const ITEM_CONCURRENCY = parseInt(process.env.BATCH_ANALYSIS_CONCURRENCY, 10) || 3;
+const MAX_RUNNING_JOBS = parseInt(process.env.BATCH_MAX_RUNNING_JOBS, 10) || 2;
+const MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 500;
+const JOB_TTL_MS = (parseInt(process.env.BATCH_JOB_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// How often an instance looks for jobs queued elsewhere or left by a dead process
+const POLL_INTERVAL_MS = 60 * 1000;
+
+class BatchJobService {
+  constructor() {
+    this.running = 0;
+    this.pumping = false;
+    this.pollTimer = null;
+  }
+
+  get maxItems() {
+    return MAX_ITEMS;
+  }
+
+  /**
+   * Start polling for queued jobs (called once the server listens)
+   */
+  start() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => {
+      this.pruneJobs().catch(error => console.error('❌ Batch job pruning failed:', error.message));
+      this.pump();
+    }, POLL_INTERVAL_MS);
+    this.pollTimer.unref();
+    this.pump();
+  }
+
+  /**
+   * Survey numbers of a village, in the same order as the village lists
+   */
+  async getVillageItems(village) {
+    const result = await pool.query(
+      `SELECT DISTINCT surveyno
+       FROM ts_warangal_survey_centroids
+       WHERE village = $1 AND surveyno IS NOT NULL
+       ORDER BY surveyno`,
+      [village]
+    );
+    return result.rows.map(row => ({ village, surveyNumber: row.surveyno }));
+  }
+
+  /**
+   * Queue a new batch job
+   * @param {string} userId - Requesting user
+   * @param {Array<{ village: string, surveyNumber: string }>} items - Parcels to analyze
+   * @param {Object} options - Analysis options (see gisService.resolveAnalysisOptions)
+   * @param {string} [organizationId] - Organisation the analyses are run for
+   * @returns {Promise<Object>} Job summary
+   */
+  async createJob(userId, items, options, organizationId = null) {
+    const job = await BatchJob.create({
+      id: randomUUID(),
+      userId,
+      organizationId,
+      options,
+      items
+    });
+    console.log(`📦 Batch job ${job.id} queued: ${items.length} parcels`);
+
+    this.pump();
+    return this.toSummary(job);
+  }
+
+  /**
+   * Get a job, or null if it does not exist
+   */
+  async getJob(jobId) {
+    if (!UUID_PATTERN.test(String(jobId))) return null;
+    return BatchJob.findById(jobId);
+  }
+
+  /**
+   * Jobs created by a user, newest first
+   */
+  async listJobs(userId) {
+    const jobs = await BatchJob.findByUser(userId);
+    return jobs.map(job => this.toSummary(job));
+  }
+
+  /**
+   * Job status and progress, without per-item details
+   */
+  toSummary(job) {
+    const total = job.total_items;
+    const processed = job.completed_items + job.failed_items;
+
+    return {
+      id: job.id,
+      status: job.status,
+      options: job.options,
+      progress: {
+        total,
+        processed,
+        succeeded: job.completed_items,
+        failed: job.failed_items,
+        percent: total > 0 ? Math.round((processed / total) * 100) : 100
+      },
+      error: job.error,
+      created_at: toIsoString(job.created_at),
+      started_at: toIsoString(job.started_at),
+      finished_at: toIsoString(job.finished_at)
+    };
+  }
+
+  /**
+   * Job summary with per-item status, result ids and errors
+   */
+  async toDetail(job) {
+    const items = await BatchJob.findItems(job.id);
+    return {
+      ...this.toSummary(job),
+      items: items.map(({ position, ...item }) => item)
+    };
+  }
+
+  /**
+   * Full analysis results of the completed items, in item order
+   */
+  async getResults(job) {
+    const items = await BatchJob.findItems(job.id, 'completed');
+    return SurveyResult.findByIds(items.map(item => item.result_id).filter(Boolean));
+  }
+
+  /**
+   * Claim and start jobs from the queue while there is capacity
+   */
+  async pump() {
+    if (this.pumping) return;
+    this.pumping = true;
+
+    try {
+      while (this.running < MAX_RUNNING_JOBS) {
+        const job = await BatchJob.claimNext();
+        if (!job) break;
+
+        this.running++;
+        this.runJob(job)
+          .catch(async (error) => {
+            console.error(`❌ Batch job ${job.id} failed:`, error);
+            await BatchJob.finish(job.id, 'failed', error.message).catch(() => {});
+          })
+          .finally(() => {
+            this.running--;
+            this.pump();
+          });
+      }
+    } catch (error) {
+      console.error('❌ Failed to claim batch jobs:', error.message);
+    } finally {
+      this.pumping = false;
+    }
+  }
+
+  async runJob(job) {
+    console.log(`🚀 Batch job ${job.id} started`);
+
+    // A job taken over from a dead process only runs its unfinished items
+    const items = await BatchJob.findItems(job.id, 'pending');
+
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        const item = items[next++];
+        await this.runItem(job, item);
+      }
+    };
+
+    const workers = Array.from({ length: Math.min(ITEM_CONCURRENCY, items.length) }, worker);
+    await Promise.all(workers);
+
+    await BatchJob.finish(job.id, 'completed');
+
+    const { progress } = this.toSummary(await BatchJob.findById(job.id));
+    console.log(`✅ Batch job ${job.id} completed: ${progress.succeeded} succeeded, ${progress.failed} failed`);
+  }
+
+  async runItem(job, item) {
+    await BatchJob.updateItem(job.id, item.position, { status: 'running' });
+
+    let savedResult;
+    try {
+      const analysisResult = await gisService.analyzeLocation(item.village, item.survey_number, job.options);
+
+      if (!analysisResult || analysisResult.error) {
+        throw new Error(analysisResult?.error || 'Analysis failed');
+      }
+
+      savedResult = await SurveyResult.create({
+        user_id: job.user_id,
+        organization_id: job.organization_id,
+        village: item.village,
+        survey_number: item.survey_number,
+        ...analysisResult
+      });
+    } catch (error) {
+      console.warn(`⚠️  Batch job ${job.id}: ${item.village} #${item.survey_number} failed: ${error.message}`);
+      await BatchJob.updateItem(job.id, item.position, {
+        status: 'failed',
+        error: error.message || 'Analysis failed'
+      });
+      return;
+    }
+
+    await BatchJob.updateItem(job.id, item.position, {
+      status: 'completed',
+      result_id: savedResult.id,
+      development_score: savedResult.development_score
+    });
+  }
+
+  /**
+   * Delete finished jobs older than the retention window
+   */
+  async pruneJobs() {
+    const deleted = await BatchJob.deleteFinishedBefore(new Date(Date.now() - JOB_TTL_MS));
+    if (deleted > 0) {
+      console.log(`🧹 Deleted ${deleted} finished batch jobs`);
+    }
+  }
+}
+
+export const batchJobService = new BatchJobService();
+
+// ==================== HELPER FUNCTIONS ====================
+
+function toIsoString(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
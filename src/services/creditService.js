@@ -0,0 +1,144 @@
+import pool from '../config/database.js';
+import { CreditLedger } from '../models/CreditLedger.js';
+import { Subscription } from '../models/Subscription.js';
+import { ReportEntitlement } from '../models/ReportEntitlement.js';
+import { pricingService } from './pricingService.js';
+
+/**
+ * Credit Service
+ * Prepaid report credits and monthly plans: fulfilling their purchases and
+ * spending them on report exports.
+ * They belong to an account `{ userId, organizationId }`: an organisation's credits and
+ * plans are shared by its members, a user's own are not.
+ */
+class CreditService {
+  /**
+   * Add the credits or open the plan bought by a completed payment (safe to repeat)
+   */
+  async fulfilPayment(payment) {
+    const product = pricingService.getProduct(payment.product_id || undefined);
+    if (!product || !payment.user_id || payment.payment_status !== 'completed') {
+      return null;
+    }
+
+    const organizationId = payment.organization_id || null;
+    const owner = organizationId ? `organisation ${organizationId}` : payment.user_id;
+
+    if (product.type === 'credit_pack') {
+      const entry = await CreditLedger.addPurchase({
+        userId: payment.user_id,
+        organizationId,
+        paymentId: payment.id,
+        credits: product.credits
+      });
+      if (entry) {
+        console.log(`🪙 Added ${product.credits} credits for ${owner} (balance ${entry.balance_after})`);
+      }
+      return entry;
+    }
+
+    if (product.type === 'plan') {
+      const subscription = await Subscription.createForPayment({
+        userId: payment.user_id,
+        organizationId,
+        paymentId: payment.id,
+        productId: product.id,
+        exportQuota: product.monthly_quota,
+        periodDays: product.period_days
+      });
+      if (subscription) {
+        console.log(`📅 ${product.name} for ${owner} until ${new Date(subscription.ends_at).toISOString()}`);
+      }
+      return subscription;
+    }
+
+    return null;
+  }
+
+  /**
+   * Take back what a fully refunded payment bought: the credits still left of a
+   * credit pack, or the rest of a plan (safe to repeat)
+   */
+  async revokeForRefund(payment) {
+    const product = pricingService.getProduct(payment.product_id || undefined);
+    if (!product) {
+      return null;
+    }
+
+    if (product.type === 'credit_pack') {
+      const entry = await CreditLedger.reversePurchase(payment.id, `Refund of payment ${payment.id}`);
+      if (entry) {
+        console.log(`🪙 Took back ${-entry.delta} credits of refunded payment ${payment.id} (balance ${entry.balance_after})`);
+      }
+      return entry;
+    }
+
+    if (product.type === 'plan') {
+      const subscription = await Subscription.endForPayment(payment.id);
+      if (subscription) {
+        console.log(`📅 Ended ${product.name} of refunded payment ${payment.id}`);
+      }
+      return subscription;
+    }
+
+    return null;
+  }
+
+  /**
+   * Unlock a report with a plan export or a credit of an account
+   * The usage and the entitlement are written in one transaction: if the report turns
+   * out to be unlocked already, nothing is used. With an organisation account the report
+   * is unlocked for all of its members.
+   * @param {Object} account - { userId, organizationId }
+   * @param {string} source - 'subscription' or 'credit'
+   * @returns {Promise<boolean>} Whether the report is now unlocked
+   */
+  async redeemForExport(account, surveyResultId, source) {
+    const { userId, organizationId = null } = account;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const used = source === 'subscription'
+        ? await Subscription.consumeExport(client, { userId, organizationId })
+        : await CreditLedger.consumeForExport(client, { userId, organizationId, surveyResultId });
+
+      if (!used) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+
+      const entitlement = await ReportEntitlement.grant({ userId, surveyResultId, source, organizationId }, client);
+      if (!entitlement.created) {
+        // Unlocked by a concurrent request: give the export back
+        await client.query('ROLLBACK');
+        return true;
+      }
+
+      await client.query('COMMIT');
+      console.log(`🔓 Report ${surveyResultId} unlocked by ${userId} with a ${source === 'subscription' ? 'plan export' : 'credit'}`);
+      return true;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Credit balance, recent ledger entries and current plans of an account
+   * @param {Object} account - { userId, organizationId }
+   */
+  async getAccount(account) {
+    const [balance, ledger, subscriptions] = await Promise.all([
+      CreditLedger.getBalance(account),
+      CreditLedger.findByAccount(account),
+      Subscription.findCurrent(account)
+    ]);
+
+    return { balance, ledger, subscriptions };
+  }
+}
+
+export const creditService = new CreditService();
@@ -0,0 +1,154 @@
+import { ReportEntitlement } from '../models/ReportEntitlement.js';
+import { Payment } from '../models/Payment.js';
+import { creditService } from './creditService.js';
+import { isStaffCaller } from './accessControl.js';
+
+// Free reports per user before payment is required
+const FREE_TRIAL_REPORTS = parseInt(process.env.FREE_TRIAL_REPORTS ?? '1', 10) || 0;
+
+/**
+ * Entitlement Service
+ * Decides who may export a report and see the full analysis details
+ * (map geometry and POI locations). Staff always may.
+ */
+class EntitlementService {
+  /**
+   * Check access without consuming anything
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {string} surveyResultId - Analysis id
+   * @returns {Promise<{ entitled: boolean, source?: string }>}
+   */
+  async checkReportAccess(user, surveyResultId) {
+    if (await isStaffCaller(user)) {
+      return { entitled: true, source: 'staff' };
+    }
+
+    const entitlement = await ReportEntitlement.findActive(user.id, surveyResultId);
+    if (entitlement) {
+      return { entitled: true, source: entitlement.source };
+    }
+
+    // A completed payment without an entitlement row (e.g. paid before entitlements existed).
+    // Organisation purchases always got theirs, and stay with the organisation.
+    const payments = (await Payment.find({
+      user_id: user.id,
+      survey_result_id: String(surveyResultId),
+      payment_status: 'completed'
+    })).filter(payment => !payment.organization_id);
+    if (payments.length > 0) {
+      await this.grantForPayment(payments[0]);
+      return { entitled: true, source: 'payment' };
+    }
+
+    return { entitled: false };
+  }
+
+  /**
+   * Authorize a report export of a report not unlocked yet, using (in this order)
+   * a plan export, a free-trial credit or a prepaid credit.
+   * An organisation's plans and credits (never the free trial) pay only for the
+   * organisation's own analyses, exported in a request made for it; anything else is
+   * paid from the user's own account.
+   * @param {Object} result - The survey result (id, organization_id)
+   * @param {Object} [organization] - req.organization of a request made for an organisation
+   * @returns {Promise<{ entitled: boolean, source?: string }>}
+   */
+  async authorizeExport(user, result, organization = null) {
+    const surveyResultId = result.id;
+    const access = await this.checkReportAccess(user, surveyResultId);
+    if (access.entitled) {
+      return access;
+    }
+
+    const payer = organization && result.organization_id === organization.id ? organization : null;
+    const account = { userId: user.id, organizationId: payer?.id || null };
+
+    // Plan exports expire with the plan, so they go first
+    if (await creditService.redeemForExport(account, surveyResultId, 'subscription')) {
+      return { entitled: true, source: 'subscription' };
+    }
+
+    if (!payer && FREE_TRIAL_REPORTS > 0) {
+      const entitlement = await ReportEntitlement.grantTrial({
+        userId: user.id,
+        surveyResultId,
+        limit: FREE_TRIAL_REPORTS
+      });
+      if (entitlement) {
+        if (entitlement.created) {
+          console.log(`🎁 Free-trial report used by ${user.id} for result ${surveyResultId}`);
+        }
+        return { entitled: true, source: entitlement.source || 'trial' };
+      }
+    }
+
+    if (await creditService.redeemForExport(account, surveyResultId, 'credit')) {
+      return { entitled: true, source: 'credit' };
+    }
+
+    return { entitled: false };
+  }
+
+  /**
+   * Free-trial reports of a user
+   */
+  async getTrialStatus(userId) {
+    const used = await ReportEntitlement.countBySource(userId, 'trial');
+    return {
+      total: FREE_TRIAL_REPORTS,
+      used,
+      remaining: Math.max(0, FREE_TRIAL_REPORTS - used)
+    };
+  }
+
+  /**
+   * Link a completed payment to its survey result
+   */
+  async grantForPayment(payment) {
+    if (!payment || !payment.survey_result_id || payment.payment_status !== 'completed') {
+      return null;
+    }
+
+    return ReportEntitlement.grant({
+      userId: payment.user_id,
+      surveyResultId: payment.survey_result_id,
+      source: 'payment',
+      paymentId: payment.id,
+      organizationId: payment.organization_id || null
+    });
+  }
+
+  /**
+   * Return the result as-is if the user is entitled, otherwise a preview without details
+   */
+  async withEntitlement(user, result) {
+    const { entitled } = await this.checkReportAccess(user, result.id);
+    return entitled ? { ...result, details_locked: false } : this.redactResult(result);
+  }
+
+  /**
+   * Preview of a result: scores and counts stay, geometry and POI locations go
+   */
+  redactResult(result) {
+    const withoutLocations = (breakdown) =>
+      Array.isArray(breakdown) ? breakdown.map(({ locations, ...item }) => item) : breakdown;
+
+    return {
+      ...result,
+      poi_breakdown: withoutLocations(result.poi_breakdown),
+      contours: Array.isArray(result.contours)
+        ? result.contours.map(({ isochrone_geometry, tanks_geometry, poi_breakdown, ...contour }) => ({
+            ...contour,
+            poi_breakdown: withoutLocations(poi_breakdown)
+          }))
+        : result.contours,
+      parcel: result.parcel
+        ? (({ geometry, nearest_police, nearest_hospital, nearest_road, ...parcel }) => parcel)(result.parcel)
+        : result.parcel,
+      map_data: null,
+      details_locked: true
+    };
+  }
+}
+
+export const entitlementService = new EntitlementService();
@@ -1,35 +1,118 @@
 import pool from '../config/database.js';
+import { getIsochroneProvider, bufferProvider } from './isochrone/index.js';
+import { scoringService } from './scoringService.js';
 
 /**
  * GIS Analysis Service
  * Analyzes survey locations using PostGIS and calculates:
- * - POIs within 10-minute walking radius (Mapbox Isochrone API with 1000m fallback)
+ * - POIs within one or more travel-time contours (pluggable isochrone provider with buffer fallback)
  * - Distances to nearest police, hospital, main road
- * - Development score based on amenities
+ * - Development score based on amenities (weighted by a versioned scoring profile)
  * - FTL zone percentage (tank overlap)
- * 
+ *
  * Based on original Base44 analyzeSurvey function
  */
 
-const ISO_MINUTES = 10;
-const DENOISE = 1;
-const FALLBACK_WALK_BUFFER_M = 1000;
-const SUPPORTIVE_CATEGORIES = ["Retail", "Health And Medical", "Accommodation"];
+const ANALYSIS_MODES = ['centroid', 'parcel'];
+const DEFAULT_ANALYSIS_MODE = 'centroid';
+const TRAVEL_MODES = ['walking', 'cycling', 'driving'];
+const DEFAULT_TRAVEL_MODE = 'walking';
+const DEFAULT_CONTOUR_MINUTES = [10];
+const MAX_CONTOURS = 4; // Mapbox Isochrone API limit
+const MAX_CONTOUR_MINUTES = 60; // Mapbox Isochrone API limit
+const SQ_M_PER_ACRE = 4046.8564224;
+const GUNTAS_PER_ACRE = 40;
+
+// Source geometry for distance queries: the survey centroid, or the parcel polygon itself.
+// The oldest gid is the cadastral parcel (see utils/cleanup-synthetic-surveys.js for later duplicates).
+const SOURCE_GEOMETRY_SQL = {
+  centroid: `SELECT geom
+             FROM ts_warangal_survey_centroids
+             WHERE village = $1 AND surveyno = $2
+             LIMIT 1`,
+  parcel: `SELECT geom
+           FROM ts_warangal_survey
+           WHERE village = $1 AND surveyno = $2
+           ORDER BY gid ASC
+           LIMIT 1`
+};
 
 class GISService {
+  /**
+   * Validate and normalize analysis options from a request body
+   * @param {Object} body - Request body ({ analysisMode, travelMode, contourMinutes, scoringProfile, scoringProfileVersion })
+   * @returns {{ options?: Object, error?: string }}
+   */
+  resolveAnalysisOptions(body = {}) {
+    const analysisMode = body.analysisMode || DEFAULT_ANALYSIS_MODE;
+    if (!ANALYSIS_MODES.includes(analysisMode)) {
+      return { error: `Invalid analysis mode. Use one of: ${ANALYSIS_MODES.join(', ')}` };
+    }
+
+    const travelMode = body.travelMode || DEFAULT_TRAVEL_MODE;
+    if (!TRAVEL_MODES.includes(travelMode)) {
+      return { error: `Invalid travel mode. Use one of: ${TRAVEL_MODES.join(', ')}` };
+    }
+
+    let contourMinutes = DEFAULT_CONTOUR_MINUTES;
+    if (body.contourMinutes !== undefined && body.contourMinutes !== null) {
+      const raw = Array.isArray(body.contourMinutes) ? body.contourMinutes : [body.contourMinutes];
+      const minutes = raw.map(Number);
+
+      if (minutes.length === 0 || minutes.some(m => !Number.isInteger(m) || m < 1 || m > MAX_CONTOUR_MINUTES)) {
+        return { error: `Contour minutes must be whole numbers between 1 and ${MAX_CONTOUR_MINUTES}` };
+      }
+
+      contourMinutes = [...new Set(minutes)].sort((a, b) => a - b);
+      if (contourMinutes.length > MAX_CONTOURS) {
+        return { error: `At most ${MAX_CONTOURS} contours can be requested` };
+      }
+    }
+
+    // Pin the profile version now, so queued work is scored with what was requested
+    const profile = scoringService.getProfile(body.scoringProfile || undefined, body.scoringProfileVersion);
+    if (!profile) {
+      return { error: 'Unknown scoring profile or version' };
+    }
+
+    return {
+      options: {
+        analysisMode,
+        travelMode,
+        contourMinutes,
+        scoringProfile: { id: profile.id, version: profile.version }
+      }
+    };
+  }
+
   /**
    * Analyze survey location
    * @param {string} village - Village name
    * @param {string} surveyNumber - Survey number
-   * @returns {Promise<Object>} Analysis result
+   * @param {Object} [options] - Analysis options
+   * @param {string} [options.analysisMode] - centroid, or parcel to add parcel polygon figures
+   * @param {string} [options.travelMode] - walking, cycling or driving
+   * @param {number[]} [options.contourMinutes] - Contour minutes, ascending
+   * @param {{ id: string, version: number }} [options.scoringProfile] - Scoring profile (default: latest default profile)
+   * @returns {Promise<Object>} Analysis result, or { error, statusCode } (404 for an unknown
+   *   survey number or parcel, found before any isochrone is requested)
    */
-  async analyzeLocation(village, surveyNumber) {
+  async analyzeLocation(village, surveyNumber, options = {}) {
     try {
-      console.log(`🔍 Analyzing location: ${village}, Survey #${surveyNumber}`);
+      const analysisMode = options.analysisMode || DEFAULT_ANALYSIS_MODE;
+      const travelMode = options.travelMode || DEFAULT_TRAVEL_MODE;
+      const contourMinutes = options.contourMinutes || DEFAULT_CONTOUR_MINUTES;
+      const profile = scoringService.getProfile(options.scoringProfile?.id, options.scoringProfile?.version);
+
+      if (!profile) {
+        return { error: 'Unknown scoring profile or version', statusCode: 400 };
+      }
+
+      console.log(`🔍 Analyzing location: ${village}, Survey #${surveyNumber} (${travelMode}, ${contourMinutes.join('/')} min)`);
 
       // Step 1: Get coordinates from ts_warangal_survey_centroids (matching original)
       const surveyResult = await pool.query(
-        `SELECT 
+        `SELECT
                 ST_X(geom) as longitude,
                 ST_Y(geom) as latitude,
                 ST_AsGeoJSON(geom) as geom_json
@@ -40,7 +123,7 @@ class GISService {
       );
 
       if (surveyResult.rows.length === 0) {
-        return { error: `No matching survey centroid found. Check village and survey number.` };
+        return { error: `No matching survey centroid found. Check village and survey number.`, statusCode: 404 };
       }
 
       const survey = surveyResult.rows[0];
@@ -49,294 +132,86 @@ class GISService {
 
       console.log(`📍 Survey location: ${latitude}, ${longitude}`);
 
-      // Step 2: Get isochrone using Mapbox API (matching original)
-      const MAPBOX_TOKEN = process.env.MAPBOX_TOKEN;
-      let isoGeometry;
-      let usedFallback = false;
-
-      if (!MAPBOX_TOKEN) {
-        console.error('❌ MAPBOX_TOKEN not set in environment variables!');
-        throw new Error('Mapbox token not configured. Please set MAPBOX_TOKEN in environment variables.');
-      }
-
-      try {
-        const isoUrl = `https://api.mapbox.com/isochrone/v1/mapbox/walking/${longitude},${latitude}?contours_minutes=${ISO_MINUTES}&polygons=true&denoise=${DENOISE}&access_token=${MAPBOX_TOKEN}`;
-        console.log(`🗺️  Requesting isochrone from Mapbox API...`);
-        console.log(`   URL: ${isoUrl.replace(MAPBOX_TOKEN, '***')}`);
-        
-        const isoResponse = await fetch(isoUrl);
-        
-        if (!isoResponse.ok) {
-          const errorText = await isoResponse.text();
-          console.error(`❌ Mapbox API error (${isoResponse.status}):`, errorText);
-          throw new Error(`Mapbox API error: ${isoResponse.status} - ${errorText}`);
-        }
-        
-        const isoData = await isoResponse.json();
-        console.log(`📦 Mapbox API response:`, {
-          hasFeatures: !!isoData.features,
-          featureCount: isoData.features?.length || 0,
-          geometryType: isoData.features?.[0]?.geometry?.type
-        });
-        
-        if (isoData.features && isoData.features.length > 0) {
-          isoGeometry = isoData.features[0].geometry;
-          
-          // Validate geometry type and coordinates (should be Polygon or MultiPolygon, not Point)
-          if (isoGeometry.type === 'Polygon' || isoGeometry.type === 'MultiPolygon') {
-            // Validate coordinates are not null
-            if (!isoGeometry.coordinates || 
-                (isoGeometry.type === 'Polygon' && (!Array.isArray(isoGeometry.coordinates) || isoGeometry.coordinates.length === 0)) ||
-                (isoGeometry.type === 'MultiPolygon' && (!Array.isArray(isoGeometry.coordinates) || isoGeometry.coordinates.length === 0))) {
-              console.warn(`⚠️  Isochrone geometry has invalid coordinates, falling back to buffer`);
-              throw new Error('Invalid isochrone coordinates');
-            }
-            console.log(`✅ Isochrone received: ${isoGeometry.type} with ${isoGeometry.coordinates?.[0]?.length || 0} coordinates`);
-          } else {
-            console.warn(`⚠️  Unexpected geometry type: ${isoGeometry.type}, falling back to buffer`);
-            throw new Error(`Unexpected geometry type: ${isoGeometry.type}`);
-          }
-        } else {
-          throw new Error('No isochrone data returned');
-        }
-      } catch (error) {
-        console.warn(`⚠️  Mapbox isochrone failed: ${error.message}`);
-        console.log(`   Using ${FALLBACK_WALK_BUFFER_M}m circular buffer fallback.`);
-        console.log(`   Note: This will create a circular area instead of a walkable isochrone.`);
-        usedFallback = true;
-        
-        // Fallback to 1000m buffer (matching original)
-        const bufferResult = await pool.query(
-          `SELECT ST_AsGeoJSON(
-            ST_Transform(
-              ST_Buffer(
-                ST_Transform(geom, 32643),
-                $1
-              ),
-              4326
-            )
-          ) as buffer_geom
-          FROM ts_warangal_survey_centroids
-          WHERE village = $2 AND surveyno = $3
-          LIMIT 1`,
-          [FALLBACK_WALK_BUFFER_M, village, surveyNumber]
-        );
-        isoGeometry = JSON.parse(bufferResult.rows[0].buffer_geom);
-        console.log(`   Fallback buffer geometry type: ${isoGeometry.type}`);
-        
-        // Validate fallback geometry has valid coordinates
-        if (!isoGeometry || !isoGeometry.coordinates || 
-            (!Array.isArray(isoGeometry.coordinates) || isoGeometry.coordinates.length === 0)) {
-          console.error(`❌ Fallback buffer geometry is invalid!`);
-          throw new Error('Invalid fallback buffer geometry');
+      // Parcel polygon figures (parcel mode only), before any paid isochrone request
+      let parcel = null;
+      if (analysisMode === 'parcel') {
+        parcel = await this.analyzeParcel(village, surveyNumber);
+        if (!parcel) {
+          return { error: `No matching survey parcel found. Check village and survey number.`, statusCode: 404 };
         }
       }
 
-      // Step 3: Get POIs within isochrone (matching original)
-      const poiResult = await pool.query(
-        `WITH iso AS (
-          SELECT ST_GeomFromGeoJSON($1::text) as geom
-        )
-        SELECT 
-          p.category,
-          ST_Y(p.geom) as lat,
-          ST_X(p.geom) as lon
-        FROM ts_overture_poi_3 p, iso
-        WHERE ST_Intersects(p.geom, iso.geom)`,
-        [JSON.stringify(isoGeometry)]
-      );
+      // Step 2: Get one isochrone per contour (configured provider with buffer fallback)
+      const { isochrones, provider, usedFallback } = await this.getIsochrones(longitude, latitude, travelMode, contourMinutes);
 
-      // Step 4: Process POI data (matching original exactly)
-      const categoryMap = {};
-      poiResult.rows.forEach(poi => {
-        // Match original: use poi.category directly, no fallback
-        if (!categoryMap[poi.category]) {
-          categoryMap[poi.category] = [];
-        }
-        categoryMap[poi.category].push({
-          lat: parseFloat(poi.lat),
-          lon: parseFloat(poi.lon)
-        });
-      });
+      // Step 3: Get nearest features (independent of the contours)
+      const policeData = await this.getNearestFeature('ts_policestations', village, surveyNumber);
+      const hospitalData = await this.getNearestFeature('ts_hospitals', village, surveyNumber);
+      const roadData = await this.getNearestFeature('ts_main_roads', village, surveyNumber);
 
-      const totalPois = poiResult.rows.length;
-      const poiBreakdown = Object.keys(categoryMap).map(category => ({
-        category,
-        count: categoryMap[category].length,
-        percent: parseFloat(((categoryMap[category].length / totalPois) * 100).toFixed(2)),
-        locations: categoryMap[category]
-      })).sort((a, b) => b.count - a.count);
-
-      // Supportive businesses subset (matching original exact categories)
-      const supportiveBusinesses = poiBreakdown
-        .filter(item => SUPPORTIVE_CATEGORIES.includes(item.category))
-        .map(item => {
-          const supportiveTotal = poiBreakdown
-            .filter(i => SUPPORTIVE_CATEGORIES.includes(i.category))
-            .reduce((sum, i) => sum + i.count, 0);
-          return {
-            category: item.category,
-            count: item.count,
-            percent: parseFloat(((item.count / supportiveTotal) * 100).toFixed(2))
-          };
+      // Step 4: POIs, FTL overlap, tanks and score for each contour
+      const contours = [];
+      for (const { minutes, geometry } of isochrones) {
+        const catchment = await this.analyzeCatchment(geometry, profile.supportive_categories);
+        const { developmentScore, scoreBreakdown } = scoringService.calculateScore(profile, {
+          ...catchment,
+          policeData,
+          hospitalData,
+          roadData
         });
 
-      // Step 5: Get nearest features (matching original helper function)
-      const getNearestFeature = async (tableName) => {
-        // Use parameterized query with table name validation
-        const validTables = ['ts_policestations', 'ts_hospitals', 'ts_main_roads'];
-        if (!validTables.includes(tableName)) {
-          throw new Error(`Invalid table name: ${tableName}`);
-        }
-        
-        const result = await pool.query(
-          `WITH survey AS (
-            SELECT geom
-            FROM ts_warangal_survey_centroids
-            WHERE village = $1 AND surveyno = $2
-            LIMIT 1
-          )
-          SELECT
-            ST_Distance(s.geom::geography, f.geom::geography) AS dist_m,
-            ST_Y(f.geom) as lat,
-            ST_X(f.geom) as lon
-          FROM survey s
-          CROSS JOIN LATERAL (
-            SELECT geom
-            FROM ${tableName}
-            ORDER BY s.geom <-> geom
-            LIMIT 1
-          ) f`,
-          [village, surveyNumber]
-        );
-        
-        if (result.rows.length === 0) return null;
-        return {
-          distance_m: parseFloat(result.rows[0].dist_m),
-          lat: parseFloat(result.rows[0].lat),
-          lon: parseFloat(result.rows[0].lon)
-        };
-      };
-
-      const policeData = await getNearestFeature('ts_policestations');
-      const hospitalData = await getNearestFeature('ts_hospitals');
-      const roadData = await getNearestFeature('ts_main_roads');
-
-      // Step 6: Calculate FTL zone intersection with isochrone (matching original)
-      const ftlResult = await pool.query(
-        `WITH iso AS (
-          SELECT ST_GeomFromGeoJSON($1::text) as geom
-        ),
-        intersections AS (
-          SELECT 
-            ST_Area(ST_Intersection(iso.geom::geography, t.geom::geography)) as intersection_area,
-            ST_Area(iso.geom::geography) as total_area
-          FROM iso
-          CROSS JOIN ts_tanks t
-          WHERE ST_Intersects(iso.geom, t.geom)
-        )
-        SELECT 
-          COALESCE(SUM(intersection_area), 0) as total_intersection,
-          MAX(total_area) as isochrone_area
-        FROM intersections`,
-        [JSON.stringify(isoGeometry)]
-      );
-
-      let ftlPercentage = 0;
-      if (ftlResult.rows.length > 0 && ftlResult.rows[0].isochrone_area > 0) {
-        const rawPercentage = (ftlResult.rows[0].total_intersection / ftlResult.rows[0].isochrone_area) * 100;
-        // Apply 9% threshold and round (matching original)
-        ftlPercentage = rawPercentage > 9 ? Math.round(rawPercentage) : 0;
-      }
-
-      // Get intersecting tank geometries for map display (matching original)
-      const tanksGeometry = await pool.query(
-        `WITH iso AS (
-          SELECT ST_GeomFromGeoJSON($1::text) as geom
-        )
-        SELECT json_build_object(
-          'type', 'FeatureCollection',
-          'features', COALESCE(json_agg(
-            json_build_object(
-              'type', 'Feature',
-              'geometry', ST_AsGeoJSON(t.geom)::json
-            )
-          ), '[]'::json)
-        ) as geojson
-        FROM iso
-        CROSS JOIN ts_tanks t
-        WHERE ST_Intersects(iso.geom, t.geom)`,
-        [JSON.stringify(isoGeometry)]
-      );
-
-      let tanksGeoJSON = null;
-      if (tanksGeometry.rows.length > 0 && tanksGeometry.rows[0].geojson) {
-        const geo = tanksGeometry.rows[0].geojson;
-        // Validate: must have features array (not null) and at least one feature
-        if (geo && geo.features && Array.isArray(geo.features) && geo.features.length > 0) {
-          tanksGeoJSON = geo;
-        }
+        contours.push({
+          minutes,
+          isochrone_geometry: geometry,
+          total_pois: catchment.totalPois,
+          poi_breakdown: catchment.poiBreakdown,
+          supportive_businesses: catchment.supportiveBusinesses,
+          ftl_zone_percentage: catchment.ftlPercentage,
+          tanks_geometry: catchment.tanksGeoJSON,
+          development_score: developmentScore,
+          score_breakdown: scoreBreakdown
+        });
       }
 
-      // Step 7: Calculate Development Score (matching original formulas exactly)
-      const poiScore = Math.min(30, (totalPois / 100) * 30); // Max 30 points
-      
-      const amenityScore = (() => {
-        let score = 0;
-        if (policeData) score += Math.max(0, 10 - (policeData.distance_m / 1000)); // Up to 10 points
-        if (hospitalData) score += Math.max(0, 10 - (hospitalData.distance_m / 1000)); // Up to 10 points
-        if (roadData) score += Math.max(0, 5 - (roadData.distance_m / 1000)); // Up to 5 points
-        return Math.min(25, score);
-      })();
-      
-      const ftlScore = ftlPercentage === 0 ? 20 : Math.max(0, 20 - (ftlPercentage / 5)); // Max 20, decreases with FTL risk
-      
-      const supportiveTotal = supportiveBusinesses.reduce((sum, b) => sum + b.count, 0);
-      const businessScore = Math.min(15, (supportiveTotal / 20) * 15); // Max 15 points
-      
-      const categoryCount = Object.keys(categoryMap).length;
-      const accessibilityScore = Math.min(10, (categoryCount / 15) * 10); // Max 10 points based on POI diversity
-      
-      const developmentScore = Math.round(poiScore + amenityScore + ftlScore + businessScore + accessibilityScore);
-      
-      // Ensure scores don't exceed their maximums (safety check)
-      const scoreBreakdown = {
-        poi_score: Math.min(30, parseFloat(poiScore.toFixed(1))),
-        amenity_score: Math.min(25, parseFloat(amenityScore.toFixed(1))),
-        ftl_score: Math.min(20, parseFloat(ftlScore.toFixed(1))),
-        business_score: Math.min(15, parseFloat(businessScore.toFixed(1))),
-        accessibility_score: Math.min(10, parseFloat(accessibilityScore.toFixed(1)))
-      };
+      // The largest contour is the primary catchment reported at the top level
+      const primary = contours[contours.length - 1];
 
-      console.log(`✅ Analysis complete: ${totalPois} POIs, Score: ${developmentScore}`);
-      console.log(`📊 Score Breakdown:`, JSON.stringify(scoreBreakdown, null, 2));
-      console.log(`🔄 Used Fallback: ${usedFallback}`);
+      console.log(`✅ Analysis complete: ${primary.total_pois} POIs, Score: ${primary.development_score}`);
+      console.log(`📊 Score Breakdown:`, JSON.stringify(primary.score_breakdown, null, 2));
+      console.log(`🔄 Isochrone provider: ${provider}, Used Fallback: ${usedFallback}`);
       console.log(`📍 Location: ${village}, Survey #${surveyNumber}`);
 
-      // Step 8: Return complete analysis result (matching original structure)
+      // Step 5: Return complete analysis result (matching original structure)
       return {
         village,
         survey_number: surveyNumber,
         latitude: parseFloat(latitude),
         longitude: parseFloat(longitude),
-        total_pois: totalPois,
-        poi_breakdown: poiBreakdown,
+        analysis_mode: analysisMode,
+        travel_mode: travelMode,
+        contour_minutes: contourMinutes,
+        total_pois: primary.total_pois,
+        poi_breakdown: primary.poi_breakdown,
         distance_to_police: policeData ? parseFloat((policeData.distance_m / 1000).toFixed(3)) : null,
         distance_to_hospital: hospitalData ? parseFloat((hospitalData.distance_m / 1000).toFixed(3)) : null,
         distance_to_main_road: roadData ? parseFloat((roadData.distance_m / 1000).toFixed(3)) : null,
-        supportive_businesses: supportiveBusinesses,
-        ftl_zone_percentage: ftlPercentage,
-        development_score: developmentScore,
-        score_breakdown: scoreBreakdown,
+        supportive_businesses: primary.supportive_businesses,
+        ftl_zone_percentage: primary.ftl_zone_percentage,
+        development_score: primary.development_score,
+        score_breakdown: primary.score_breakdown,
+        scoring_profile: { id: profile.id, version: profile.version, name: profile.name },
+        contours,
+        parcel,
+        isochrone_provider: provider,
         used_fallback: usedFallback,
         analysis_date: new Date().toISOString(),
         map_data: {
-          isochrone_geometry: isoGeometry,
-          poi_locations: poiBreakdown, // POI locations are in poi_breakdown
+          isochrone_geometry: primary.isochrone_geometry,
+          poi_locations: primary.poi_breakdown, // POI locations are in poi_breakdown
           nearest_police: policeData,
           nearest_hospital: hospitalData,
           nearest_road: roadData,
-          tanks_geometry: tanksGeoJSON
+          tanks_geometry: primary.tanks_geometry
         }
       };
     } catch (error) {
@@ -345,6 +220,267 @@ class GISService {
     }
   }
 
+  /**
+   * Get isochrone polygons for each contour from the configured provider,
+   * falling back to circular buffers if it fails
+   * @returns {Promise<{ isochrones: Array<{ minutes: number, geometry: Object }>, provider: string, usedFallback: boolean }>}
+   */
+  async getIsochrones(longitude, latitude, travelMode, contourMinutes) {
+    const provider = getIsochroneProvider();
+    const request = { longitude, latitude, travelMode, contourMinutes };
+
+    try {
+      const isochrones = await provider.getIsochrones(request);
+      isochrones.forEach(({ minutes, geometry }) => {
+        this.assertPolygonGeometry(geometry);
+        console.log(`✅ Isochrone received (${minutes} min, ${provider.name}): ${geometry.type} with ${geometry.coordinates?.[0]?.length || 0} coordinates`);
+      });
+
+      return { isochrones, provider: provider.name, usedFallback: false };
+    } catch (error) {
+      if (provider.name === bufferProvider.name) {
+        throw error;
+      }
+
+      console.warn(`⚠️  ${provider.name} isochrone failed: ${error.message}`);
+      console.log(`   Using circular buffer fallback.`);
+      console.log(`   Note: This will create a circular area instead of a travel-time isochrone.`);
+
+      const isochrones = await bufferProvider.getIsochrones(request);
+      isochrones.forEach(({ geometry }) => this.assertPolygonGeometry(geometry));
+
+      return { isochrones, provider: bufferProvider.name, usedFallback: true };
+    }
+  }
+
+  /**
+   * Throw unless the geometry is a Polygon/MultiPolygon with coordinates
+   */
+  assertPolygonGeometry(geometry) {
+    if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) {
+      console.warn(`⚠️  Unexpected geometry type: ${geometry?.type}`);
+      throw new Error(`Unexpected geometry type: ${geometry?.type}`);
+    }
+
+    if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+      console.warn(`⚠️  Isochrone geometry has invalid coordinates`);
+      throw new Error('Invalid isochrone coordinates');
+    }
+  }
+
+  /**
+   * Nearest feature to the survey centroid (matching original helper function),
+   * or to the parcel edge when `from` is 'parcel' (0 when the feature is inside the parcel)
+   */
+  async getNearestFeature(tableName, village, surveyNumber, from = 'centroid') {
+    // Use parameterized query with table name validation
+    const validTables = ['ts_policestations', 'ts_hospitals', 'ts_main_roads'];
+    if (!validTables.includes(tableName)) {
+      throw new Error(`Invalid table name: ${tableName}`);
+    }
+
+    const result = await pool.query(
+      `WITH survey AS (
+        ${SOURCE_GEOMETRY_SQL[from]}
+      )
+      SELECT
+        ST_Distance(s.geom::geography, f.geom::geography) AS dist_m,
+        ST_Y(f.geom) as lat,
+        ST_X(f.geom) as lon
+      FROM survey s
+      CROSS JOIN LATERAL (
+        SELECT geom
+        FROM ${tableName}
+        ORDER BY s.geom <-> geom
+        LIMIT 1
+      ) f`,
+      [village, surveyNumber]
+    );
+
+    if (result.rows.length === 0) return null;
+    return {
+      distance_m: parseFloat(result.rows[0].dist_m),
+      lat: parseFloat(result.rows[0].lat),
+      lon: parseFloat(result.rows[0].lon)
+    };
+  }
+
+  /**
+   * Area, FTL overlap and edge distances of the survey parcel polygon
+   * @returns {Promise<Object|null>} Parcel figures, or null if the parcel is not found
+   */
+  async analyzeParcel(village, surveyNumber) {
+    const parcelResult = await pool.query(
+      `WITH parcel AS (
+        ${SOURCE_GEOMETRY_SQL.parcel}
+      )
+      SELECT
+        ST_Area(p.geom::geography) AS area_sq_m,
+        ST_AsGeoJSON(p.geom) AS geom_json,
+        (
+          SELECT COALESCE(SUM(ST_Area(ST_Intersection(p.geom::geography, t.geom::geography))), 0)
+          FROM ts_tanks t
+          WHERE ST_Intersects(p.geom, t.geom)
+        ) AS ftl_area_sq_m
+      FROM parcel p`,
+      [village, surveyNumber]
+    );
+
+    if (parcelResult.rows.length === 0) return null;
+
+    const row = parcelResult.rows[0];
+    const areaSqM = parseFloat(row.area_sq_m);
+    const ftlAreaSqM = parseFloat(row.ftl_area_sq_m);
+    const totalGuntas = areaSqM / SQ_M_PER_ACRE * GUNTAS_PER_ACRE;
+
+    const policeData = await this.getNearestFeature('ts_policestations', village, surveyNumber, 'parcel');
+    const hospitalData = await this.getNearestFeature('ts_hospitals', village, surveyNumber, 'parcel');
+    const roadData = await this.getNearestFeature('ts_main_roads', village, surveyNumber, 'parcel');
+
+    const toKm = (feature) => feature ? parseFloat((feature.distance_m / 1000).toFixed(3)) : null;
+
+    console.log(`📐 Parcel: ${areaSqM.toFixed(0)} m², FTL overlap ${ftlAreaSqM.toFixed(0)} m²`);
+
+    return {
+      area_sq_m: parseFloat(areaSqM.toFixed(2)),
+      area_acres: parseFloat((areaSqM / SQ_M_PER_ACRE).toFixed(4)),
+      // Local convention: whole acres plus remaining guntas (40 guntas = 1 acre)
+      area_acres_guntas: {
+        acres: Math.floor(totalGuntas / GUNTAS_PER_ACRE),
+        guntas: parseFloat((totalGuntas % GUNTAS_PER_ACRE).toFixed(2))
+      },
+      ftl_area_sq_m: parseFloat(ftlAreaSqM.toFixed(2)),
+      ftl_overlap_percentage: areaSqM > 0 ? parseFloat(((ftlAreaSqM / areaSqM) * 100).toFixed(2)) : 0,
+      distance_to_police: toKm(policeData),
+      distance_to_hospital: toKm(hospitalData),
+      distance_to_main_road: toKm(roadData),
+      nearest_police: policeData,
+      nearest_hospital: hospitalData,
+      nearest_road: roadData,
+      geometry: JSON.parse(row.geom_json)
+    };
+  }
+
+  /**
+   * POI breakdown, FTL overlap and tank geometry within one isochrone
+   * @param {Object} isoGeometry - GeoJSON isochrone
+   * @param {string[]} supportiveCategories - POI categories counted as supportive businesses
+   */
+  async analyzeCatchment(isoGeometry, supportiveCategories) {
+    // POIs within isochrone (matching original)
+    const poiResult = await pool.query(
+      `WITH iso AS (
+        SELECT ST_GeomFromGeoJSON($1::text) as geom
+      )
+      SELECT
+        p.category,
+        ST_Y(p.geom) as lat,
+        ST_X(p.geom) as lon
+      FROM ts_overture_poi_3 p, iso
+      WHERE ST_Intersects(p.geom, iso.geom)`,
+      [JSON.stringify(isoGeometry)]
+    );
+
+    // Process POI data (matching original exactly)
+    const categoryMap = {};
+    poiResult.rows.forEach(poi => {
+      // Match original: use poi.category directly, no fallback
+      if (!categoryMap[poi.category]) {
+        categoryMap[poi.category] = [];
+      }
+      categoryMap[poi.category].push({
+        lat: parseFloat(poi.lat),
+        lon: parseFloat(poi.lon)
+      });
+    });
+
+    const totalPois = poiResult.rows.length;
+    const poiBreakdown = Object.keys(categoryMap).map(category => ({
+      category,
+      count: categoryMap[category].length,
+      percent: parseFloat(((categoryMap[category].length / totalPois) * 100).toFixed(2)),
+      locations: categoryMap[category]
+    })).sort((a, b) => b.count - a.count);
+
+    // Supportive businesses subset (categories come from the scoring profile)
+    const supportiveTotal = poiBreakdown
+      .filter(item => supportiveCategories.includes(item.category))
+      .reduce((sum, item) => sum + item.count, 0);
+    const supportiveBusinesses = poiBreakdown
+      .filter(item => supportiveCategories.includes(item.category))
+      .map(item => ({
+        category: item.category,
+        count: item.count,
+        percent: parseFloat(((item.count / supportiveTotal) * 100).toFixed(2))
+      }));
+
+    // FTL zone intersection with isochrone (matching original)
+    const ftlResult = await pool.query(
+      `WITH iso AS (
+        SELECT ST_GeomFromGeoJSON($1::text) as geom
+      ),
+      intersections AS (
+        SELECT
+          ST_Area(ST_Intersection(iso.geom::geography, t.geom::geography)) as intersection_area,
+          ST_Area(iso.geom::geography) as total_area
+        FROM iso
+        CROSS JOIN ts_tanks t
+        WHERE ST_Intersects(iso.geom, t.geom)
+      )
+      SELECT
+        COALESCE(SUM(intersection_area), 0) as total_intersection,
+        MAX(total_area) as isochrone_area
+      FROM intersections`,
+      [JSON.stringify(isoGeometry)]
+    );
+
+    let ftlPercentage = 0;
+    if (ftlResult.rows.length > 0 && ftlResult.rows[0].isochrone_area > 0) {
+      const rawPercentage = (ftlResult.rows[0].total_intersection / ftlResult.rows[0].isochrone_area) * 100;
+      // Apply 9% threshold and round (matching original)
+      ftlPercentage = rawPercentage > 9 ? Math.round(rawPercentage) : 0;
+    }
+
+    // Get intersecting tank geometries for map display (matching original)
+    const tanksGeometry = await pool.query(
+      `WITH iso AS (
+        SELECT ST_GeomFromGeoJSON($1::text) as geom
+      )
+      SELECT json_build_object(
+        'type', 'FeatureCollection',
+        'features', COALESCE(json_agg(
+          json_build_object(
+            'type', 'Feature',
+            'geometry', ST_AsGeoJSON(t.geom)::json
+          )
+        ), '[]'::json)
+      ) as geojson
+      FROM iso
+      CROSS JOIN ts_tanks t
+      WHERE ST_Intersects(iso.geom, t.geom)`,
+      [JSON.stringify(isoGeometry)]
+    );
+
+    let tanksGeoJSON = null;
+    if (tanksGeometry.rows.length > 0 && tanksGeometry.rows[0].geojson) {
+      const geo = tanksGeometry.rows[0].geojson;
+      // Validate: must have features array (not null) and at least one feature
+      if (geo && geo.features && Array.isArray(geo.features) && geo.features.length > 0) {
+        tanksGeoJSON = geo;
+      }
+    }
+
+    return {
+      totalPois,
+      poiBreakdown,
+      categoryCount: Object.keys(categoryMap).length,
+      supportiveBusinesses,
+      supportiveTotal,
+      ftlPercentage,
+      tanksGeoJSON
+    };
+  }
+
 }
 
 export const gisService = new GISService();
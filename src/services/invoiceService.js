@@ -0,0 +1,201 @@
+import { jsPDF } from 'jspdf';
+import { Invoice } from '../models/Invoice.js';
+import { User } from '../models/User.js';
+import { pricingService } from './pricingService.js';
+import { SELLER, INVOICE_PREFIX, SAC_CODE, CGST_RATE, SGST_RATE } from '../config/invoice.js';
+
+// India Standard Time, for the financial year and invoice dates
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+/**
+ * Invoice Service
+ * Issues GST invoices for completed payments and renders them as PDF.
+ */
+class InvoiceService {
+  /**
+   * Issue the invoice of a completed payment (returns the existing one if already issued)
+   */
+  async issueForPayment(payment) {
+    const existing = await Invoice.findByPayment(payment.id);
+    if (existing) {
+      return existing;
+    }
+
+    const buyer = payment.user_id ? await User.findById(payment.user_id) : null;
+    const product = pricingService.getProduct(payment.product_id || undefined);
+    const tax = this.splitTax(payment.amount);
+
+    const invoice = await Invoice.create({
+      financial_year: this.getFinancialYear(new Date()),
+      payment_id: payment.id,
+      user_id: payment.user_id,
+      buyer_name: buyer ? [buyer.first_name, buyer.last_name].filter(Boolean).join(' ') || buyer.username : null,
+      buyer_email: buyer?.email,
+      product_id: payment.product_id,
+      description: product ? product.name : 'Survey Analysis Report',
+      village: payment.village,
+      survey_number: payment.survey_number,
+      base_amount: payment.original_amount ?? payment.amount,
+      discount_amount: payment.discount_amount || 0,
+      promo_code: payment.promo_code,
+      ...tax
+    }, (financialYear, sequence) => this.formatNumber(financialYear, sequence));
+
+    console.log(`🧾 Invoice ${invoice.invoice_number} issued for payment ${payment.id}`);
+    return invoice;
+  }
+
+  /**
+   * Split a GST-inclusive amount into taxable value, CGST and SGST
+   * The parts are rounded to paise and always add up to the amount.
+   */
+  splitTax(amount) {
+    const totalRate = CGST_RATE + SGST_RATE;
+    const tax = roundRupees(amount * totalRate / (100 + totalRate));
+    const cgst = roundRupees(tax * CGST_RATE / totalRate);
+    const sgst = roundRupees(tax - cgst);
+
+    return {
+      taxable_amount: roundRupees(amount - cgst - sgst),
+      cgst_rate: CGST_RATE,
+      cgst_amount: cgst,
+      sgst_rate: SGST_RATE,
+      sgst_amount: sgst,
+      total_amount: roundRupees(amount)
+    };
+  }
+
+  /**
+   * Indian financial year (April to March) of a date, e.g. '2026-27'
+   */
+  getFinancialYear(date) {
+    const ist = new Date(date.getTime() + IST_OFFSET_MS);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  }
+
+  /**
+   * Invoice number, e.g. GSA/26-27/00042
+   */
+  formatNumber(financialYear, sequence) {
+    const [start, end] = financialYear.split('-');
+    return `${INVOICE_PREFIX}/${start.slice(-2)}-${end}/${String(sequence).padStart(5, '0')}`;
+  }
+
+  /**
+   * Render an invoice as an A4 PDF
+   * @returns {Buffer}
+   */
+  renderPdf(invoice) {
+    const doc = new jsPDF('p', 'mm', 'a4');
+    const margin = 15;
+    const pageWidth = 210;
+    const right = pageWidth - margin;
+    const money = (value) => `INR ${Number(value).toFixed(2)}`;
+    const issuedAt = new Date(new Date(invoice.issued_at).getTime() + IST_OFFSET_MS);
+    const issuedDate = issuedAt.toLocaleDateString('en-IN', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+
+    // ==================== HEADER ====================
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(18);
+    doc.setTextColor(30, 58, 138);
+    doc.text('TAX INVOICE', margin, margin + 5);
+
+    doc.setFontSize(10);
+    doc.setTextColor(31, 41, 55);
+    doc.text(`Invoice No: ${invoice.invoice_number}`, right, margin, { align: 'right' });
+    doc.setFont('helvetica', 'normal');
+    doc.text(`Date: ${issuedDate}`, right, margin + 6, { align: 'right' });
+
+    // Seller
+    let y = margin + 18;
+    doc.setFont('helvetica', 'bold');
+    doc.text(SELLER.name, margin, y);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.text(doc.splitTextToSize(SELLER.address, 90), margin, y + 5);
+    doc.text(`State: ${SELLER.state} (${SELLER.state_code})`, margin, y + 15);
+    if (SELLER.gstin) {
+      doc.text(`GSTIN: ${SELLER.gstin}`, margin, y + 20);
+    }
+
+    // Buyer
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(10);
+    doc.text('Billed to', 115, y);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.text(invoice.buyer_name || '-', 115, y + 5);
+    doc.text(invoice.buyer_email || '-', 115, y + 10);
+    doc.text(`Place of supply: ${SELLER.state} (${SELLER.state_code})`, 115, y + 15);
+
+    // ==================== LINE ITEM ====================
+
+    y += 32;
+    doc.setFillColor(243, 244, 246);
+    doc.rect(margin, y, right - margin, 8, 'F');
+    doc.setFont('helvetica', 'bold');
+    doc.text('Description', margin + 2, y + 5.5);
+    doc.text('SAC', 120, y + 5.5);
+    doc.text('Amount', right - 2, y + 5.5, { align: 'right' });
+
+    y += 14;
+    doc.setFont('helvetica', 'normal');
+    doc.text(invoice.description, margin + 2, y);
+    if (invoice.village || invoice.survey_number) {
+      doc.setTextColor(107, 114, 128);
+      doc.text(`Village: ${invoice.village || '-'}, Survey number: ${invoice.survey_number || '-'}`, margin + 2, y + 5);
+      doc.setTextColor(31, 41, 55);
+    }
+    doc.text(SAC_CODE, 120, y);
+    doc.text(money(invoice.base_amount), right - 2, y, { align: 'right' });
+
+    // ==================== TOTALS ====================
+
+    y += 16;
+    doc.setDrawColor(229, 231, 235);
+    doc.line(margin, y, right, y);
+    y += 7;
+
+    const rows = [
+      ['Price (incl. GST)', money(invoice.base_amount)],
+      ...(invoice.discount_amount > 0
+        ? [[`Promo discount${invoice.promo_code ? ` (${invoice.promo_code})` : ''}`, `- ${money(invoice.discount_amount)}`]]
+        : []),
+      ['Taxable value', money(invoice.taxable_amount)],
+      [`CGST @ ${invoice.cgst_rate}%`, money(invoice.cgst_amount)],
+      [`SGST @ ${invoice.sgst_rate}%`, money(invoice.sgst_amount)]
+    ];
+
+    rows.forEach(([label, value]) => {
+      doc.text(label, 120, y);
+      doc.text(value, right - 2, y, { align: 'right' });
+      y += 6;
+    });
+
+    doc.line(120, y - 2, right, y - 2);
+    y += 4;
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(11);
+    doc.text('Total paid', 120, y);
+    doc.text(money(invoice.total_amount), right - 2, y, { align: 'right' });
+
+    // ==================== FOOTER ====================
+
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(107, 114, 128);
+    doc.text('Prices include GST. This is a computer-generated invoice and needs no signature.', margin, 280);
+
+    return Buffer.from(doc.output('arraybuffer'));
+  }
+}
+
+export const invoiceService = new InvoiceService();
+
+// ==================== HELPER FUNCTIONS ====================
+
+function roundRupees(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,45 @@
+import pool from '../../config/database.js';
+
+// Buffer radius per minute of travel (walking keeps the original 1000m for 10 minutes)
+const BUFFER_SPEED_M_PER_MIN = {
+  walking: 100,
+  cycling: 250,
+  driving: 500
+};
+
+/**
+ * Buffer Isochrone Provider
+ * Circular buffer around the survey point, sized by travel mode and minutes.
+ * Needs nothing but PostGIS, so it is also the fallback for the other providers.
+ */
+export class BufferIsochroneProvider {
+  constructor() {
+    this.name = 'buffer';
+  }
+
+  async getIsochrones({ longitude, latitude, travelMode, contourMinutes }) {
+    const isochrones = [];
+
+    for (const minutes of contourMinutes) {
+      const radiusM = BUFFER_SPEED_M_PER_MIN[travelMode] * minutes;
+      const bufferResult = await pool.query(
+        `SELECT ST_AsGeoJSON(
+          ST_Transform(
+            ST_Buffer(
+              ST_Transform(ST_SetSRID(ST_MakePoint($1, $2), 4326), 32643),
+              $3
+            ),
+            4326
+          )
+        ) as buffer_geom`,
+        [longitude, latitude, radiusM]
+      );
+
+      const geometry = JSON.parse(bufferResult.rows[0].buffer_geom);
+      console.log(`   Buffer (${radiusM}m) geometry type: ${geometry.type}`);
+      isochrones.push({ minutes, geometry });
+    }
+
+    return isochrones;
+  }
+}
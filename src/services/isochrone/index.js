@@ -0,0 +1,35 @@
+import { MapboxIsochroneProvider } from './mapboxProvider.js';
+import { PgRoutingIsochroneProvider } from './pgRoutingProvider.js';
+import { BufferIsochroneProvider } from './bufferProvider.js';
+
+/**
+ * Isochrone Providers
+ *
+ * A provider has a `name` and
+ * `getIsochrones({ longitude, latitude, travelMode, contourMinutes })`
+ * resolving to `[{ minutes, geometry }]` (GeoJSON Polygon/MultiPolygon, one per contour).
+ *
+ * The active provider is chosen with ISOCHRONE_PROVIDER (mapbox, pgrouting, buffer).
+ */
+
+const providerFactories = {
+  mapbox: () => new MapboxIsochroneProvider(),
+  pgrouting: () => new PgRoutingIsochroneProvider(),
+  buffer: () => new BufferIsochroneProvider()
+};
+
+const DEFAULT_PROVIDER = 'mapbox';
+
+export const bufferProvider = new BufferIsochroneProvider();
+
+/**
+ * Get the configured isochrone provider
+ * @param {string} [name] - Provider name, defaults to ISOCHRONE_PROVIDER
+ */
+export const getIsochroneProvider = (name = process.env.ISOCHRONE_PROVIDER || DEFAULT_PROVIDER) => {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown isochrone provider: ${name}. Use one of: ${Object.keys(providerFactories).join(', ')}`);
+  }
+  return factory();
+};
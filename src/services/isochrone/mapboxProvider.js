@@ -0,0 +1,51 @@
+const DENOISE = 1;
+
+/**
+ * Mapbox Isochrone Provider
+ * Requests all contours in one call to the Mapbox Isochrone API.
+ */
+export class MapboxIsochroneProvider {
+  constructor({ token = process.env.MAPBOX_TOKEN } = {}) {
+    this.name = 'mapbox';
+    this.token = token;
+  }
+
+  async getIsochrones({ longitude, latitude, travelMode, contourMinutes }) {
+    if (!this.token) {
+      console.error('❌ MAPBOX_TOKEN not set in environment variables!');
+      throw new Error('Mapbox token not configured. Please set MAPBOX_TOKEN in environment variables.');
+    }
+
+    const isoUrl = `https://api.mapbox.com/isochrone/v1/mapbox/${travelMode}/${longitude},${latitude}?contours_minutes=${contourMinutes.join(',')}&polygons=true&denoise=${DENOISE}&access_token=${this.token}`;
+    console.log(`🗺️  Requesting isochrone from Mapbox API...`);
+    console.log(`   URL: ${isoUrl.replace(this.token, '***')}`);
+
+    const isoResponse = await fetch(isoUrl);
+
+    if (!isoResponse.ok) {
+      const errorText = await isoResponse.text();
+      console.error(`❌ Mapbox API error (${isoResponse.status}):`, errorText);
+      throw new Error(`Mapbox API error: ${isoResponse.status} - ${errorText}`);
+    }
+
+    const isoData = await isoResponse.json();
+    console.log(`📦 Mapbox API response:`, {
+      hasFeatures: !!isoData.features,
+      featureCount: isoData.features?.length || 0,
+      geometryType: isoData.features?.[0]?.geometry?.type
+    });
+
+    if (!isoData.features || isoData.features.length === 0) {
+      throw new Error('No isochrone data returned');
+    }
+
+    // Mapbox returns one feature per contour, tagged with properties.contour
+    return contourMinutes.map(minutes => {
+      const feature = isoData.features.find(f => Number(f.properties?.contour) === minutes);
+      if (!feature) {
+        throw new Error(`No isochrone returned for ${minutes} minute contour`);
+      }
+      return { minutes, geometry: feature.geometry };
+    });
+  }
+}
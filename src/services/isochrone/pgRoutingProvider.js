@@ -0,0 +1,82 @@
+import pool from '../../config/database.js';
+
+// Average network speed per travel mode, used as edge cost (minutes = length / speed)
+const ROUTING_SPEED_M_PER_MIN = {
+  walking: 80,
+  cycling: 250,
+  driving: 500
+};
+const HULL_TARGET_PERCENT = 0.7;
+const HULL_BUFFER_M = 50;
+const IDENTIFIER_PATTERN = /^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)?$/i;
+
+/**
+ * pgRouting Isochrone Provider
+ * Builds travel-time polygons offline with pgr_drivingDistance over a local road network.
+ *
+ * Expects a pgr_createTopology-style network in SRID 4326:
+ * - <edges table>: id, source, target, geom (LineString)
+ * - <edges table>_vertices_pgr: id, the_geom (Point)
+ */
+export class PgRoutingIsochroneProvider {
+  constructor({ edgesTable = process.env.PGROUTING_EDGES_TABLE || 'ts_road_network' } = {}) {
+    if (!IDENTIFIER_PATTERN.test(edgesTable)) {
+      throw new Error(`Invalid pgRouting edges table name: ${edgesTable}`);
+    }
+
+    this.name = 'pgrouting';
+    this.edgesTable = edgesTable;
+    this.verticesTable = `${edgesTable}_vertices_pgr`;
+  }
+
+  async getIsochrones({ longitude, latitude, travelMode, contourMinutes }) {
+    const speed = ROUTING_SPEED_M_PER_MIN[travelMode];
+    const isochrones = [];
+
+    for (const minutes of contourMinutes) {
+      // Only hand pgRouting the edges that could possibly be reached in time
+      const edgesSql = `SELECT id, source, target, ST_Length(geom::geography) / ${speed} AS cost
+        FROM ${this.edgesTable}
+        WHERE ST_DWithin(
+          geom::geography,
+          ST_SetSRID(ST_MakePoint(${Number(longitude)}, ${Number(latitude)}), 4326)::geography,
+          ${speed * minutes}
+        )`;
+
+      const result = await pool.query(
+        `WITH start AS (
+          SELECT id
+          FROM ${this.verticesTable}
+          ORDER BY the_geom <-> ST_SetSRID(ST_MakePoint($1, $2), 4326)
+          LIMIT 1
+        ),
+        reached AS (
+          SELECT dd.edge
+          FROM pgr_drivingDistance($3::text, (SELECT id FROM start), $4::float8, false) dd
+          WHERE dd.edge <> -1
+        )
+        SELECT
+          COUNT(*) AS edge_count,
+          ST_AsGeoJSON(
+            ST_Buffer(
+              ST_ConcaveHull(ST_Collect(e.geom), $5)::geography,
+              $6
+            )::geometry
+          ) AS iso_geom
+        FROM ${this.edgesTable} e
+        JOIN reached r ON r.edge = e.id`,
+        [longitude, latitude, edgesSql, minutes, HULL_TARGET_PERCENT, HULL_BUFFER_M]
+      );
+
+      const row = result.rows[0];
+      if (!row || Number(row.edge_count) === 0 || !row.iso_geom) {
+        throw new Error(`No road network reachable within ${minutes} minutes`);
+      }
+
+      console.log(`🛣️  pgRouting isochrone (${minutes} min): ${row.edge_count} edges reached`);
+      isochrones.push({ minutes, geometry: JSON.parse(row.iso_geom) });
+    }
+
+    return isochrones;
+  }
+}
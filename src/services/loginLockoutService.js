@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+import { LOGIN_LOCKOUT } from '../config/rateLimits.js';
+import { getRateLimitStore } from './rateLimit/index.js';
+
+/**
+ * Login Lockout Service
+ * Too many failed logins for one email from one IP lock that email from that IP for a
+ * while, so nobody can lock an account out for its owner by failing logins elsewhere.
+ * Guessing from many IPs is held back by the per-IP login rate limit. A successful login
+ * clears the failures. Counters live in the rate limit store, keyed by a hash of the email
+ * and IP. If the store fails, logins go on without the lockout.
+ */
+class LoginLockoutService {
+  /**
+   * @returns {Promise<{ locked: boolean, retryAfter?: number }>} retryAfter in seconds
+   */
+  async getLock(email, ipAddress) {
+    try {
+      const lock = await getRateLimitStore().get(this.lockKey(email, ipAddress));
+      return lock ? { locked: true, retryAfter: secondsUntil(lock.resetAt) } : { locked: false };
+    } catch (error) {
+      console.error('❌ Login lockout store error:', error.message);
+      return { locked: false };
+    }
+  }
+
+  /**
+   * Count a failed login; locks the email when the limit is reached
+   * @returns {Promise<{ locked: boolean, retryAfter?: number }>}
+   */
+  async recordFailure(email, ipAddress) {
+    if (LOGIN_LOCKOUT.maxFailures <= 0) {
+      return { locked: false };
+    }
+
+    const store = getRateLimitStore();
+    try {
+      const failures = await store.increment(this.failureKey(email, ipAddress), LOGIN_LOCKOUT.windowSeconds * 1000);
+
+      if (failures.count < LOGIN_LOCKOUT.maxFailures) {
+        return { locked: false };
+      }
+
+      const lock = await store.increment(this.lockKey(email, ipAddress), LOGIN_LOCKOUT.lockSeconds * 1000);
+      await store.reset(this.failureKey(email, ipAddress));
+      // Emails stay out of the logs; the hash matches the store key
+      console.warn(`🔒 Login locked for ${this.lockKey(email, ipAddress)} after ${failures.count} failed attempts`);
+
+      return { locked: true, retryAfter: secondsUntil(lock.resetAt) };
+    } catch (error) {
+      console.error('❌ Login lockout store error:', error.message);
+      return { locked: false };
+    }
+  }
+
+  async recordSuccess(email, ipAddress) {
+    try {
+      await getRateLimitStore().reset(this.failureKey(email, ipAddress));
+    } catch (error) {
+      console.error('❌ Login lockout store error:', error.message);
+    }
+  }
+
+  failureKey(email, ipAddress) {
+    return `login_failures:${attemptHash(email, ipAddress)}`;
+  }
+
+  lockKey(email, ipAddress) {
+    return `login_lock:${attemptHash(email, ipAddress)}`;
+  }
+}
+
+export const loginLockoutService = new LoginLockoutService();
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Fixed-length key part for an email and IP (addresses can be longer than a store key)
+ */
+function attemptHash(email, ipAddress) {
+  return crypto.createHash('sha256')
+    .update(`${String(email).trim().toLowerCase()}\n${ipAddress || ''}`)
+    .digest('hex');
+}
+
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+}
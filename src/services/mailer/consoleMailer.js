@@ -0,0 +1,31 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Console Mailer (development)
+ * Prints mails to the console instead of sending them, and also writes each one
+ * as a JSON file to MAIL_OUTBOX_DIR when that is set.
+ */
+export class ConsoleMailer {
+  constructor({ outboxDir = process.env.MAIL_OUTBOX_DIR } = {}) {
+    this.name = 'console';
+    this.outboxDir = outboxDir;
+  }
+
+  async send({ to, subject, text, html }) {
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+    console.log(`📧 [mail not sent] To: ${to}\n   Subject: ${subject}\n\n${text}\n`);
+
+    if (this.outboxDir) {
+      fs.mkdirSync(this.outboxDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(this.outboxDir, `${id}.json`),
+        JSON.stringify({ id, to, subject, text, html, created_at: new Date().toISOString() }, null, 2)
+      );
+    }
+
+    return { id };
+  }
+}
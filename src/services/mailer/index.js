@@ -0,0 +1,42 @@
+import { SmtpMailer } from './smtpMailer.js';
+import { ConsoleMailer } from './consoleMailer.js';
+
+/**
+ * Mailers
+ *
+ * A mailer has a `name` and `send({ to, subject, text, html })` resolving to `{ id }`.
+ *
+ * The active mailer is chosen with MAILER (smtp, console); the default is smtp in
+ * production and console elsewhere.
+ */
+
+const mailerFactories = {
+  smtp: () => new SmtpMailer(),
+  console: () => new ConsoleMailer()
+};
+
+const DEFAULT_MAILER = process.env.NODE_ENV === 'production' ? 'smtp' : 'console';
+
+let mailer = null;
+
+/**
+ * Get the configured mailer
+ */
+export const getMailer = () => {
+  if (!mailer) {
+    const name = process.env.MAILER || DEFAULT_MAILER;
+    const factory = mailerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mailer: ${name}. Use one of: ${Object.keys(mailerFactories).join(', ')}`);
+    }
+    mailer = factory();
+  }
+  return mailer;
+};
+
+/**
+ * Replace the mailer (e.g. with one that records mails in tests)
+ */
+export const setMailer = (instance) => {
+  mailer = instance;
+};
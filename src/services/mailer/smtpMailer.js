@@ -0,0 +1,35 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * SMTP Mailer
+ * Sends through any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASSWORD, SMTP_SECURE).
+ */
+export class SmtpMailer {
+  constructor({
+    host = process.env.SMTP_HOST,
+    port = parseInt(process.env.SMTP_PORT || '587', 10),
+    secure = process.env.SMTP_SECURE === 'true',
+    user = process.env.SMTP_USER,
+    password = process.env.SMTP_PASSWORD,
+    from = process.env.MAIL_FROM
+  } = {}) {
+    if (!host) {
+      throw new Error('SMTP mailer not configured. Please set SMTP_HOST in environment variables.');
+    }
+
+    this.name = 'smtp';
+    this.from = from || user;
+    this.transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass: password } : undefined
+    });
+  }
+
+  async send({ to, subject, text, html }) {
+    const info = await this.transport.sendMail({ from: this.from, to, subject, text, html });
+    console.log(`📧 Mail "${subject}" sent to ${to} (${info.messageId})`);
+    return { id: info.messageId };
+  }
+}
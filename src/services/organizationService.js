@@ -0,0 +1,166 @@
+import crypto, { randomUUID } from 'crypto';
+import { hashToken } from '../config/jwt.js';
+import { hasOrganizationRole } from '../config/roles.js';
+import pool from '../config/database.js';
+import { Organization } from '../models/Organization.js';
+import { OrganizationInvitation } from '../models/OrganizationInvitation.js';
+import { User } from '../models/User.js';
+import { accountService } from './accountService.js';
+import { getMailer } from './mailer/index.js';
+
+const INVITATION_LIFETIME_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Organisation Service
+ * Organisations, their members and email invitations. Role rules:
+ * admins invite and remove members, only the owner changes roles or removes admins,
+ * and everyone but the owner may leave.
+ */
+class OrganizationService {
+  async createOrganization(userId, name) {
+    const organization = await Organization.create({ id: randomUUID(), name, createdBy: userId });
+    console.log(`🏢 Organisation ${organization.id} (${name}) created by ${userId}`);
+    return organization;
+  }
+
+  /**
+   * Email an invitation to join an organisation
+   * @param {Object} inviter - { id, full_name } of the admin inviting
+   * @returns {Promise<{ invitation?: Object, error?: string, statusCode?: number }>}
+   */
+  async invite(organization, inviter, { email, role }) {
+    const existing = await User.findByEmail(email);
+    if (existing && (await Organization.getMembership(organization.id, existing.id))) {
+      return { error: 'This user is already a member of the organisation', statusCode: 409 };
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const invitation = await OrganizationInvitation.create({
+      organizationId: organization.id,
+      email,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy: inviter.id,
+      expiresAt: new Date(Date.now() + INVITATION_LIFETIME_MS)
+    });
+
+    const link = `${accountService.frontendUrl()}/accept-invitation?token=${encodeURIComponent(token)}`;
+    const invitedBy = inviter.full_name || inviter.email;
+
+    await getMailer().send({
+      to: email,
+      subject: `You have been invited to join ${organization.name}`,
+      text: `${invitedBy} invited you to join ${organization.name} as ${role === 'admin' ? 'an admin' : 'a member'}.\n\nOpen this link within 7 days to accept:\n${link}\n\nSign up first with this email address if you do not have an account yet.`,
+      html: `<p>${escapeHtml(invitedBy)} invited you to join <strong>${escapeHtml(organization.name)}</strong> as ${role === 'admin' ? 'an admin' : 'a member'}.</p><p><a href="${link}">Accept the invitation</a> (valid for 7 days).</p><p>Sign up first with this email address if you do not have an account yet.</p>`
+    });
+
+    console.log(`✉️  ${email} invited to organisation ${organization.id} as ${role}`);
+    return { invitation };
+  }
+
+  /**
+   * Join an organisation with an invitation token
+   * The invitation must have been sent to the user's own email address.
+   * @returns {Promise<{ organization?: Object, error?: string, statusCode?: number }>}
+   */
+  async acceptInvitation(user, token) {
+    const invitation = typeof token === 'string'
+      ? await OrganizationInvitation.findOpenByHash(hashToken(token))
+      : null;
+    if (!invitation) {
+      return { error: 'This invitation is invalid or has expired', statusCode: 400 };
+    }
+
+    if (invitation.email.toLowerCase() !== user.email.toLowerCase()) {
+      return { error: 'This invitation was sent to a different email address', statusCode: 403 };
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      if (!(await OrganizationInvitation.markAccepted(invitation.id, user.id, client))) {
+        await client.query('ROLLBACK');
+        return { error: 'This invitation is invalid or has expired', statusCode: 400 };
+      }
+      await Organization.addMember(invitation.organization_id, user.id, invitation.role, client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const organization = await Organization.findById(invitation.organization_id);
+    const membership = await Organization.getMembership(invitation.organization_id, user.id);
+    console.log(`🤝 User ${user.id} joined organisation ${organization.id} as ${membership.role}`);
+
+    return { organization: { ...organization, role: membership.role } };
+  }
+
+  /**
+   * Change the role of a member (owner only; there is always exactly one owner)
+   * @param {Object} actor - Membership of the user making the change
+   * @returns {Promise<{ member?: Object, previousRole?: string, error?: string, statusCode?: number }>}
+   */
+  async changeRole(actor, userId, role) {
+    if (actor.role !== 'owner') {
+      return { error: 'Only the owner can change member roles', statusCode: 403 };
+    }
+
+    const target = await Organization.getMembership(actor.organization_id, userId);
+    if (!target) {
+      return { error: 'Member not found', statusCode: 404 };
+    }
+    if (target.role === 'owner') {
+      return { error: 'The owner\'s role cannot be changed', statusCode: 400 };
+    }
+
+    const member = await Organization.setMemberRole(actor.organization_id, userId, role);
+    return { member, previousRole: target.role };
+  }
+
+  /**
+   * Remove a member, or leave the organisation when userId is the actor's own
+   * Reports unlocked for the organisation stop being available to the member.
+   * @param {Object} actor - Membership of the user making the change
+   * @returns {Promise<{ removed?: Object, error?: string, statusCode?: number }>} removed
+   *   is the membership that ended
+   */
+  async removeMember(actor, userId) {
+    const target = await Organization.getMembership(actor.organization_id, userId);
+    if (!target) {
+      return { error: 'Member not found', statusCode: 404 };
+    }
+
+    if (target.role === 'owner') {
+      return { error: 'The owner cannot leave or be removed', statusCode: 400 };
+    }
+
+    const isSelf = target.user_id === actor.user_id;
+    const mayRemove = isSelf
+      || actor.role === 'owner'
+      || (hasOrganizationRole(actor.role, 'admin') && target.role === 'member');
+    if (!mayRemove) {
+      return { error: 'Only the owner can remove an admin', statusCode: 403 };
+    }
+
+    await Organization.removeMember(actor.organization_id, userId);
+    console.log(`👋 User ${userId} ${isSelf ? 'left' : 'was removed from'} organisation ${actor.organization_id}`);
+    return { removed: target };
+  }
+}
+
+export const organizationService = new OrganizationService();
+
+// ==================== HELPER FUNCTIONS ====================
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
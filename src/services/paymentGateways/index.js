@@ -0,0 +1,49 @@
+import { RazorpayGateway } from './razorpayGateway.js';
+import { MockGateway } from './mockGateway.js';
+
+/**
+ * Payment Gateways
+ *
+ * A gateway has a `name`, a public `keyId` for checkout and
+ * - createOrder({ amount (paise), currency, receipt, notes }) -> order
+ * - fetchOrder(orderId) -> order
+ * - listOrders({ from, to }) -> orders created in the range (Dates)
+ * - fetchOrderPayments(orderId) -> payments of an order
+ * - verifyPaymentSignature({ orderId, paymentId, signature }) -> boolean
+ * - refundPayment(paymentId, { amount (paise), notes }) -> refund
+ * with Razorpay-shaped orders, payments and refunds.
+ *
+ * The active gateway is chosen with PAYMENT_GATEWAY (razorpay, mock).
+ */
+
+const gatewayFactories = {
+  razorpay: () => new RazorpayGateway(),
+  mock: () => new MockGateway()
+};
+
+const DEFAULT_GATEWAY = 'razorpay';
+
+// One instance per gateway, so the mock keeps its orders between requests
+const gateways = new Map();
+
+/**
+ * Get the configured payment gateway
+ * @param {string} [name] - Gateway name, defaults to PAYMENT_GATEWAY
+ */
+export const getPaymentGateway = (name = process.env.PAYMENT_GATEWAY || DEFAULT_GATEWAY) => {
+  if (!gateways.has(name)) {
+    const factory = gatewayFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown payment gateway: ${name}. Use one of: ${Object.keys(gatewayFactories).join(', ')}`);
+    }
+    gateways.set(name, factory());
+  }
+  return gateways.get(name);
+};
+
+/**
+ * Replace a gateway instance (e.g. a fresh mock in tests)
+ */
+export const setPaymentGateway = (name, gateway) => {
+  gateways.set(name, gateway);
+};
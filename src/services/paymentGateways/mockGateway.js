@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+import { signPayment, signaturesMatch } from './signature.js';
+
+/**
+ * Mock Payment Gateway
+ * Keeps orders in memory and simulates checkout, so the purchase flow can run
+ * locally and in tests without Razorpay keys. Entities have the same shape as
+ * Razorpay's and checkout signatures verify the same way.
+ */
+export class MockGateway {
+  constructor({ keySecret = process.env.MOCK_PAYMENT_SECRET || 'mock_secret' } = {}) {
+    // Anyone could "pay" for reports with it
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('The mock payment gateway cannot be used in production');
+    }
+    this.name = 'mock';
+    this.keyId = 'mock_key';
+    this.keySecret = keySecret;
+    this.orders = new Map();
+    this.payments = new Map();
+  }
+
+  async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+    if (!Number.isInteger(amount) || amount < 100) {
+      throw new Error('Order amount must be at least 100 paise');
+    }
+
+    const order = {
+      id: `order_mock${randomId()}`,
+      entity: 'order',
+      amount,
+      amount_paid: 0,
+      amount_due: amount,
+      currency,
+      receipt,
+      notes,
+      status: 'created',
+      attempts: 0,
+      created_at: Math.floor(Date.now() / 1000)
+    };
+    this.orders.set(order.id, order);
+    return order;
+  }
+
+  async fetchOrder(orderId) {
+    const order = this.orders.get(orderId);
+    if (!order) {
+      throw new Error(`Order ${orderId} does not exist`);
+    }
+    return order;
+  }
+
+  async listOrders({ from, to }) {
+    const fromSeconds = Math.floor(from.getTime() / 1000);
+    const toSeconds = Math.floor(to.getTime() / 1000);
+    return Array.from(this.orders.values())
+      .filter(order => order.created_at >= fromSeconds && order.created_at <= toSeconds);
+  }
+
+  async fetchOrderPayments(orderId) {
+    return Array.from(this.payments.values()).filter(payment => payment.order_id === orderId);
+  }
+
+  verifyPaymentSignature({ orderId, paymentId, signature }) {
+    return signaturesMatch(signPayment(orderId, paymentId, this.keySecret), signature);
+  }
+
+  async refundPayment(paymentId, { amount, notes = {} }) {
+    const payment = this.payments.get(paymentId);
+    if (!payment || payment.status !== 'captured') {
+      throw new Error(`Payment ${paymentId} cannot be refunded`);
+    }
+    if (amount > payment.amount - payment.amount_refunded) {
+      throw new Error('Refund amount exceeds the amount not yet refunded');
+    }
+
+    payment.amount_refunded += amount;
+    return {
+      id: `rfnd_mock${randomId()}`,
+      entity: 'refund',
+      payment_id: paymentId,
+      amount,
+      notes,
+      status: 'processed'
+    };
+  }
+
+  /**
+   * Simulate the customer paying an order at checkout
+   * @param {string} orderId
+   * @param {Object} options - { outcome: 'success' (default) or 'failure' }
+   * @returns {Promise<Object>} What Razorpay checkout returns: the payment ids and
+   *   signature to send to /verify, or an error with the failed payment's ids
+   */
+  async simulatePayment(orderId, { outcome = 'success' } = {}) {
+    const order = await this.fetchOrder(orderId);
+    if (order.status === 'paid') {
+      throw new Error(`Order ${orderId} is already paid`);
+    }
+
+    const payment = {
+      id: `pay_mock${randomId()}`,
+      entity: 'payment',
+      order_id: orderId,
+      amount: order.amount,
+      amount_refunded: 0,
+      currency: order.currency,
+      status: outcome === 'failure' ? 'failed' : 'captured'
+    };
+    this.payments.set(payment.id, payment);
+    order.attempts += 1;
+    order.status = 'attempted';
+
+    if (payment.status === 'failed') {
+      return {
+        error: {
+          code: 'BAD_REQUEST_ERROR',
+          description: 'Payment failed (simulated)',
+          metadata: { order_id: orderId, payment_id: payment.id }
+        }
+      };
+    }
+
+    order.status = 'paid';
+    order.amount_paid = order.amount;
+    order.amount_due = 0;
+
+    return {
+      razorpay_order_id: orderId,
+      razorpay_payment_id: payment.id,
+      razorpay_signature: signPayment(orderId, payment.id, this.keySecret)
+    };
+  }
+}
+
+function randomId() {
+  return crypto.randomBytes(7).toString('hex');
+}
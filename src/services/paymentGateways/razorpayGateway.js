@@ -0,0 +1,56 @@
+import { getRazorpay } from '../../config/razorpay.js';
+import { signPayment, signaturesMatch } from './signature.js';
+
+// Largest page the Razorpay list APIs return
+const PAGE_SIZE = 100;
+
+/**
+ * Razorpay Payment Gateway
+ * Thin wrapper around the Razorpay SDK (see config/razorpay.js).
+ */
+export class RazorpayGateway {
+  constructor({ keyId = process.env.RAZORPAY_KEY_ID, keySecret = process.env.RAZORPAY_KEY_SECRET } = {}) {
+    this.name = 'razorpay';
+    this.keyId = keyId;
+    this.keySecret = keySecret;
+  }
+
+  async createOrder({ amount, currency, receipt, notes }) {
+    return getRazorpay().orders.create({ amount, currency, receipt, notes });
+  }
+
+  async fetchOrder(orderId) {
+    return getRazorpay().orders.fetch(orderId);
+  }
+
+  async listOrders({ from, to }) {
+    const orders = [];
+    for (let skip = 0; ; skip += PAGE_SIZE) {
+      const page = await getRazorpay().orders.all({
+        from: Math.floor(from.getTime() / 1000),
+        to: Math.floor(to.getTime() / 1000),
+        count: PAGE_SIZE,
+        skip
+      });
+      orders.push(...page.items);
+      if (page.items.length < PAGE_SIZE) break;
+    }
+    return orders;
+  }
+
+  async fetchOrderPayments(orderId) {
+    const result = await getRazorpay().orders.fetchPayments(orderId);
+    return result.items;
+  }
+
+  verifyPaymentSignature({ orderId, paymentId, signature }) {
+    if (!this.keySecret) {
+      throw new Error('RAZORPAY_KEY_SECRET is not configured');
+    }
+    return signaturesMatch(signPayment(orderId, paymentId, this.keySecret), signature);
+  }
+
+  async refundPayment(paymentId, { amount, notes }) {
+    return getRazorpay().payments.refund(paymentId, { amount, speed: 'normal', notes });
+  }
+}
@@ -0,0 +1,17 @@
+import crypto from 'crypto';
+
+/**
+ * Razorpay checkout signature: HMAC-SHA256 of "order_id|payment_id" with the key secret
+ */
+export const signPayment = (orderId, paymentId, secret) =>
+  crypto.createHmac('sha256', secret).update(`${orderId}|${paymentId}`).digest('hex');
+
+/**
+ * Compare a received signature with the expected one in constant time
+ */
+export const signaturesMatch = (expected, received) => {
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(String(received || ''));
+  return expectedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
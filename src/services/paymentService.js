@@ -0,0 +1,241 @@
+import { Payment } from '../models/Payment.js';
+import { PromoCode } from '../models/PromoCode.js';
+import { PaymentRefund } from '../models/PaymentRefund.js';
+import { ReportEntitlement } from '../models/ReportEntitlement.js';
+import { getPaymentGateway } from './paymentGateways/index.js';
+import { entitlementService } from './entitlementService.js';
+import { invoiceService } from './invoiceService.js';
+import { creditService } from './creditService.js';
+
+/**
+ * Payment Service
+ * Status changes shared by client verification and Razorpay webhooks.
+ */
+class PaymentService {
+  /**
+   * Whether a payment may move from one status to another
+   * Statuses only move forward, so late or duplicate events cannot undo a later state.
+   */
+  canTransition(from, to) {
+    return Payment.canTransition(from, to);
+  }
+
+  /**
+   * Find the local payment record of a Razorpay order
+   */
+  async findByOrderId(orderId) {
+    const payments = await Payment.filter({ razorpay_order_id: orderId });
+    return payments[0] || null;
+  }
+
+  /**
+   * Create a local payment record from a Razorpay order (its notes carry our fields)
+   * @param {Object} order - Razorpay order entity
+   * @param {Object} fields - Fields to set on top (user_id, payment ids, status...)
+   */
+  async createFromOrder(order, fields = {}) {
+    const notes = order.notes || {};
+    const amount = order.amount / 100; // Convert from paise
+
+    return Payment.create({
+      user_id: notes.user_id || null,
+      organization_id: notes.organization_id || null,
+      product_id: notes.product_id || null,
+      survey_result_id: notes.survey_result_id || null,
+      razorpay_order_id: order.id,
+      amount,
+      original_amount: Number(notes.original_amount) || amount,
+      discount_amount: Number(notes.discount_amount) || 0,
+      promo_code: notes.promo_code || null,
+      village: notes.village || null,
+      survey_number: notes.survey_number || null,
+      ...fields
+    });
+  }
+
+  /**
+   * Mark a payment completed, unlock the report and count the promo code
+   * @returns {Promise<Object>} Updated payment (unchanged if already completed or later)
+   */
+  async markCompleted(payment, { razorpay_payment_id, razorpay_signature } = {}) {
+    if (!this.canTransition(payment.payment_status, 'completed')) {
+      return payment;
+    }
+
+    const updated = await Payment.update(payment.id, {
+      razorpay_payment_id: razorpay_payment_id || payment.razorpay_payment_id,
+      razorpay_signature: razorpay_signature || payment.razorpay_signature,
+      payment_status: 'completed'
+    });
+
+    await this.onCompleted(updated);
+    return updated;
+  }
+
+  /**
+   * Side effects of a completed payment: report access, credits or plan, promo usage, invoice (safe to repeat)
+   */
+  async onCompleted(payment) {
+    // Unlock the purchased report, or add the purchased credits or plan
+    await entitlementService.grantForPayment(payment);
+    await creditService.fulfilPayment(payment);
+
+    // Count the promo code against its limits only once the payment went through
+    if (payment.promo_code) {
+      await PromoCode.recordRedemption({
+        code: payment.promo_code,
+        userId: payment.user_id,
+        orderId: payment.razorpay_order_id,
+        discountAmount: payment.discount_amount
+      });
+    }
+
+    // The invoice can also be issued later, on first download
+    try {
+      await invoiceService.issueForPayment(payment);
+    } catch (error) {
+      console.error(`❌ Failed to issue invoice for payment ${payment.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Mark a payment attempted (authorized, not yet captured)
+   */
+  async markAttempted(payment, { razorpay_payment_id } = {}) {
+    if (!this.canTransition(payment.payment_status, 'attempted')) {
+      return payment;
+    }
+
+    return Payment.update(payment.id, {
+      razorpay_payment_id: razorpay_payment_id || payment.razorpay_payment_id,
+      payment_status: 'attempted'
+    });
+  }
+
+  /**
+   * Mark a payment failed (ignored once it has completed) and release its promo code
+   */
+  async markFailed(payment, { razorpay_payment_id, error_description } = {}) {
+    if (!this.canTransition(payment.payment_status, 'failed')) {
+      return payment;
+    }
+
+    const updated = await Payment.update(payment.id, {
+      razorpay_payment_id: razorpay_payment_id || payment.razorpay_payment_id,
+      failure_reason: error_description || null,
+      payment_status: 'failed'
+    }, { reason: error_description || null });
+
+    // The promo code use is given back (a later successful retry redeems it again)
+    if (payment.promo_code) {
+      await PromoCode.release(payment.razorpay_order_id);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Refund a completed payment in full or in part through the payment gateway
+   * @param {Object} payment - Payment record
+   * @param {Object} options - { amount (rupees, default: everything not yet refunded), reason, requestedBy }
+   * @returns {Promise<{ payment?: Object, refund?: Object, error?: string, statusCode?: number }>}
+   */
+  async refund(payment, { amount, reason = null, requestedBy = null } = {}) {
+    if (payment.payment_status !== 'completed' || !payment.razorpay_payment_id) {
+      return { error: `Only completed payments can be refunded (status: ${payment.payment_status})`, statusCode: 409 };
+    }
+
+    const refundable = roundRupees(payment.amount - (payment.refunded_amount || 0));
+    const refundAmount = amount === undefined || amount === null ? refundable : roundRupees(Number(amount));
+
+    if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+      return { error: 'Refund amount must be a positive number', statusCode: 400 };
+    }
+    if (refundAmount > refundable) {
+      return { error: `At most ₹${refundable} can still be refunded`, statusCode: 400 };
+    }
+
+    const razorpayRefund = await getPaymentGateway().refundPayment(payment.razorpay_payment_id, {
+      amount: Math.round(refundAmount * 100), // Convert to paise
+      notes: {
+        payment_id: payment.id,
+        reason: reason || ''
+      }
+    });
+
+    const refund = await PaymentRefund.upsert({
+      paymentId: payment.id,
+      razorpayRefundId: razorpayRefund.id,
+      amount: razorpayRefund.amount / 100,
+      status: razorpayRefund.status === 'processed' ? 'processed' : 'pending',
+      reason,
+      requestedBy
+    });
+
+    console.log(`↩️  Refund ${razorpayRefund.id} of ₹${refund.amount} for payment ${payment.id} (${refund.status})`);
+
+    // Pending refunds are settled by the refund.processed webhook
+    const updated = refund.status === 'processed'
+      ? await this.syncRefunds(payment)
+      : payment;
+
+    return { payment: updated, refund };
+  }
+
+  /**
+   * Record a refund reported by Razorpay (API response or webhook)
+   * @param {Object} refund - Razorpay refund entity
+   */
+  async recordRazorpayRefund(payment, refund, { amountRefunded = 0 } = {}) {
+    await PaymentRefund.upsert({
+      paymentId: payment.id,
+      razorpayRefundId: refund.id,
+      amount: refund.amount / 100,
+      status: refund.status === 'failed' ? 'failed' : 'processed'
+    });
+
+    return this.syncRefunds(payment, amountRefunded / 100);
+  }
+
+  /**
+   * Bring the refunded amount of a payment up to date; a full refund marks it
+   * refunded and takes back what it bought (report, remaining credits or plan)
+   * @param {number} reportedTotal - Total refunded according to Razorpay, if known (rupees)
+   */
+  async syncRefunds(payment, reportedTotal = 0) {
+    const refundedAmount = Math.max(
+      payment.refunded_amount || 0,
+      reportedTotal,
+      await PaymentRefund.sumProcessed(payment.id)
+    );
+
+    // A refund implies the capture went through, even if that event has not arrived yet
+    if (this.canTransition(payment.payment_status, 'completed')) {
+      payment = await Payment.update(payment.id, { payment_status: 'completed' }, { reason: 'Refund received' });
+    }
+
+    const fullyRefunded = refundedAmount >= payment.amount;
+    const updated = await Payment.update(payment.id, {
+      refunded_amount: refundedAmount,
+      ...(fullyRefunded && this.canTransition(payment.payment_status, 'refunded') && { payment_status: 'refunded' })
+    }, { reason: 'Fully refunded' });
+
+    if (fullyRefunded) {
+      const revoked = await ReportEntitlement.revokeByPayment(payment.id);
+      if (revoked > 0) {
+        console.log(`🔒 Revoked ${revoked} report entitlement(s) of refunded payment ${payment.id}`);
+      }
+      await creditService.revokeForRefund(updated);
+    }
+
+    return updated;
+  }
+}
+
+export const paymentService = new PaymentService();
+
+// ==================== HELPER FUNCTIONS ====================
+
+function roundRupees(value) {
+  return Math.round(value * 100) / 100;
+}
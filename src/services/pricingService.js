@@ -0,0 +1,127 @@
+import { PRODUCTS, DEFAULT_PRODUCT_ID } from '../config/pricing.js';
+import { PromoCode } from '../models/PromoCode.js';
+
+// Razorpay does not accept orders below ₹1
+const MIN_ORDER_AMOUNT = 1;
+
+/**
+ * Pricing Service
+ * Computes order amounts from the price catalogue and promo codes.
+ */
+class PricingService {
+  listProducts() {
+    return PRODUCTS;
+  }
+
+  getProduct(id = DEFAULT_PRODUCT_ID) {
+    return PRODUCTS.find(product => product.id === id) || null;
+  }
+
+  /**
+   * Price a product for a user, applying a promo code if given
+   * @param {Object} params
+   * @param {string} [params.productId] - Catalogue product id (default: survey report)
+   * @param {string} [params.promoCode] - Promo code entered by the user
+   * @param {string} params.userId - Buyer, for per-user promo limits
+   * @returns {Promise<{ quote?: Object, error?: string }>}
+   */
+  async quote({ productId, promoCode, userId }) {
+    const product = this.getProduct(productId || undefined);
+    if (!product) {
+      return { error: 'Unknown product' };
+    }
+
+    let discountAmount = 0;
+    let appliedCode = null;
+
+    if (promoCode) {
+      const { discount, code, error } = await this.applyPromoCode(product, promoCode.trim(), userId);
+      if (error) {
+        return { error };
+      }
+      discountAmount = discount;
+      appliedCode = code;
+    }
+
+    const amount = roundRupees(product.price - discountAmount);
+
+    return {
+      quote: {
+        product_id: product.id,
+        product_type: product.type,
+        product_name: product.name,
+        list_price: product.list_price,
+        original_amount: product.price,
+        discount_amount: discountAmount,
+        promo_code: appliedCode,
+        amount,
+        currency: 'INR'
+      }
+    };
+  }
+
+  /**
+   * Validate a promo code against the product and its limits
+   * @returns {Promise<{ discount?: number, code?: string, error?: string }>}
+   */
+  async applyPromoCode(product, code, userId) {
+    const promo = await PromoCode.findByCode(code);
+    const now = new Date();
+
+    if (!promo || !promo.is_active) {
+      return { error: 'Invalid promo code' };
+    }
+    if (promo.starts_at && new Date(promo.starts_at) > now) {
+      return { error: 'Promo code is not active yet' };
+    }
+    if (promo.expires_at && new Date(promo.expires_at) <= now) {
+      return { error: 'Promo code has expired' };
+    }
+    if (promo.product_ids && promo.product_ids.length > 0 && !promo.product_ids.includes(product.id)) {
+      return { error: 'Promo code is not valid for this product' };
+    }
+
+    if (promo.max_uses !== null && await PromoCode.countRedemptions(promo.code) >= promo.max_uses) {
+      return { error: 'Promo code usage limit reached' };
+    }
+    if (promo.max_uses_per_user !== null && await PromoCode.countRedemptions(promo.code, userId) >= promo.max_uses_per_user) {
+      return { error: 'You have already used this promo code' };
+    }
+
+    const rawDiscount = promo.discount_type === 'percent'
+      ? product.price * (promo.discount_value / 100)
+      : promo.discount_value;
+
+    // Never discount below the gateway minimum
+    const discount = roundRupees(Math.min(rawDiscount, product.price - MIN_ORDER_AMOUNT));
+
+    return { discount, code: promo.code };
+  }
+
+  /**
+   * Reserve the promo code use of a new order (the quote only checked the limits)
+   * @param {string} orderId - Order id, or a placeholder key until the order is created
+   *   (see PromoCode.assignOrder)
+   * @returns {Promise<{ reserved?: boolean, error?: string }>}
+   */
+  async reservePromoCode(quote, userId, orderId) {
+    if (!quote.promo_code) {
+      return { reserved: false };
+    }
+
+    return PromoCode.reserve({
+      code: quote.promo_code,
+      userId,
+      orderId,
+      discountAmount: quote.discount_amount
+    });
+  }
+}
+
+export const pricingService = new PricingService();
+
+// ==================== HELPER FUNCTIONS ====================
+
+function roundRupees(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,44 @@
+import { MemoryRateLimitStore } from './memoryStore.js';
+import { PostgresRateLimitStore } from './postgresStore.js';
+
+/**
+ * Rate Limit Stores
+ *
+ * A store has a `name` and fixed-window counters:
+ * - increment(key, windowMs, amount = 1) -> { count, resetAt } (a new window starts when the last one ended)
+ * - get(key) -> { count, resetAt } or null
+ * - reset(key)
+ *
+ * The active store is chosen with RATE_LIMIT_STORE (memory, postgres).
+ */
+
+const storeFactories = {
+  memory: () => new MemoryRateLimitStore(),
+  postgres: () => new PostgresRateLimitStore()
+};
+
+const DEFAULT_STORE = 'memory';
+
+let store = null;
+
+/**
+ * Get the configured rate limit store
+ */
+export const getRateLimitStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || DEFAULT_STORE;
+    const factory = storeFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown rate limit store: ${name}. Use one of: ${Object.keys(storeFactories).join(', ')}`);
+    }
+    store = factory();
+  }
+  return store;
+};
+
+/**
+ * Replace the store (e.g. a fresh memory store in tests)
+ */
+export const setRateLimitStore = (instance) => {
+  store = instance;
+};
@@ -0,0 +1,51 @@
+// Expired counters are dropped this often
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-memory rate limit store
+ * Counters live in this process only: use the postgres store when several
+ * instances serve the API.
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.name = 'memory';
+    this.counters = new Map();
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), CLEANUP_INTERVAL_MS);
+    this.cleanupTimer.unref();
+  }
+
+  async increment(key, windowMs, amount = 1) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      this.counters.set(key, counter);
+    }
+    counter.count += amount;
+
+    return { count: counter.count, resetAt: new Date(counter.resetAt) };
+  }
+
+  async get(key) {
+    const counter = this.counters.get(key);
+    if (!counter || counter.resetAt <= Date.now()) {
+      return null;
+    }
+    return { count: counter.count, resetAt: new Date(counter.resetAt) };
+  }
+
+  async reset(key) {
+    this.counters.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+}
@@ -0,0 +1,54 @@
+import pool from '../../config/database.js';
+
+// Expired counters are deleted at most this often
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Postgres rate limit store (rate_limit_counters, src/migrations/013_create_rate_limit_counters.sql)
+ * Shared by every instance of the API; one upsert per counted request.
+ */
+export class PostgresRateLimitStore {
+  constructor() {
+    this.name = 'postgres';
+    this.lastCleanup = 0;
+  }
+
+  async increment(key, windowMs, amount = 1) {
+    this.cleanupIfDue();
+
+    const result = await pool.query(
+      `INSERT INTO rate_limit_counters (key, count, reset_at)
+       VALUES ($1, $3, NOW() + $2 * INTERVAL '1 millisecond')
+       ON CONFLICT (key) DO UPDATE SET
+         count = CASE WHEN rate_limit_counters.reset_at <= NOW() THEN EXCLUDED.count
+                      ELSE rate_limit_counters.count + EXCLUDED.count END,
+         reset_at = CASE WHEN rate_limit_counters.reset_at <= NOW() THEN EXCLUDED.reset_at
+                         ELSE rate_limit_counters.reset_at END
+       RETURNING count, reset_at`,
+      [key, windowMs, amount]
+    );
+    const row = result.rows[0];
+    return { count: row.count, resetAt: new Date(row.reset_at) };
+  }
+
+  async get(key) {
+    const result = await pool.query(
+      'SELECT count, reset_at FROM rate_limit_counters WHERE key = $1 AND reset_at > NOW()',
+      [key]
+    );
+    const row = result.rows[0];
+    return row ? { count: row.count, resetAt: new Date(row.reset_at) } : null;
+  }
+
+  async reset(key) {
+    await pool.query('DELETE FROM rate_limit_counters WHERE key = $1', [key]);
+  }
+
+  cleanupIfDue() {
+    if (Date.now() - this.lastCleanup < CLEANUP_INTERVAL_MS) return;
+    this.lastCleanup = Date.now();
+
+    pool.query('DELETE FROM rate_limit_counters WHERE reset_at <= NOW()')
+      .catch(error => console.error('❌ Rate limit cleanup failed:', error.message));
+  }
+}
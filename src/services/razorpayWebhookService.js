@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+import { getPaymentGateway } from './paymentGateways/index.js';
+import { Payment } from '../models/Payment.js';
+import { PaymentWebhookEvent } from '../models/PaymentWebhookEvent.js';
+import { paymentService } from './paymentService.js';
+
+/**
+ * Razorpay Webhook Service
+ * Verifies webhook deliveries and applies them to payments exactly once per event id.
+ * Handlers only move a payment forward (see paymentService), so events may arrive in any order.
+ */
+class RazorpayWebhookService {
+  constructor() {
+    this.handlers = {
+      'payment.authorized': (payload) => this.handlePaymentAuthorized(payload),
+      'payment.captured': (payload) => this.handlePaymentCaptured(payload),
+      'payment.failed': (payload) => this.handlePaymentFailed(payload),
+      'order.paid': (payload) => this.handleOrderPaid(payload),
+      'refund.processed': (payload) => this.handleRefundProcessed(payload)
+    };
+  }
+
+  /**
+   * Check X-Razorpay-Signature (HMAC-SHA256 of the raw body with the webhook secret)
+   */
+  verifySignature(rawBody, signature) {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!secret) {
+      throw new Error('RAZORPAY_WEBHOOK_SECRET is not configured');
+    }
+    if (!rawBody || !signature) {
+      return false;
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(String(signature));
+
+    return expectedBuffer.length === signatureBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+  }
+
+  /**
+   * Process a verified webhook event
+   * @param {string} eventId - X-Razorpay-Event-Id (or a hash of the body)
+   * @param {Object} event - Parsed webhook body
+   * @returns {Promise<string>} 'processed', 'ignored', 'duplicate' or 'in_progress'
+   *   (another delivery of the event is being processed right now)
+   */
+  async processEvent(eventId, event) {
+    const claimed = await PaymentWebhookEvent.claim({
+      eventId,
+      eventType: event.event,
+      payload: event
+    });
+
+    if (!claimed) {
+      // Razorpay retries until it gets a 2xx: an event still being processed is not acknowledged
+      const existing = await PaymentWebhookEvent.findById(eventId);
+      if (existing?.status === 'processing') {
+        console.log(`⏳ Razorpay webhook ${eventId} (${event.event}) is being processed`);
+        return 'in_progress';
+      }
+
+      console.log(`🔁 Razorpay webhook ${eventId} (${event.event}) already handled`);
+      return 'duplicate';
+    }
+
+    const handler = this.handlers[event.event];
+    if (!handler) {
+      await PaymentWebhookEvent.finish(eventId, 'ignored', `Unhandled event type ${event.event}`);
+      return 'ignored';
+    }
+
+    try {
+      const handled = await handler(event.payload || {});
+      const status = handled ? 'processed' : 'ignored';
+      await PaymentWebhookEvent.finish(eventId, status, handled ? null : 'No matching payment');
+      console.log(`💳 Razorpay webhook ${eventId} (${event.event}): ${status}`);
+      return status;
+    } catch (error) {
+      await PaymentWebhookEvent.finish(eventId, 'failed', error.message);
+      throw error;
+    }
+  }
+
+  // ==================== EVENT HANDLERS ====================
+
+  async handlePaymentAuthorized(payload) {
+    const entity = payload.payment?.entity;
+    const payment = await this.resolvePayment(entity?.order_id);
+    if (!payment) return false;
+
+    await paymentService.markAttempted(payment, { razorpay_payment_id: entity.id });
+    return true;
+  }
+
+  async handlePaymentCaptured(payload) {
+    const entity = payload.payment?.entity;
+    const payment = await this.resolvePayment(entity?.order_id);
+    if (!payment) return false;
+
+    await paymentService.markCompleted(payment, { razorpay_payment_id: entity.id });
+    return true;
+  }
+
+  async handleOrderPaid(payload) {
+    const order = payload.order?.entity;
+    const payment = await this.resolvePayment(order?.id, order);
+    if (!payment) return false;
+
+    await paymentService.markCompleted(payment, { razorpay_payment_id: payload.payment?.entity?.id });
+    return true;
+  }
+
+  async handlePaymentFailed(payload) {
+    const entity = payload.payment?.entity;
+    const payment = await this.resolvePayment(entity?.order_id);
+    if (!payment) return false;
+
+    await paymentService.markFailed(payment, {
+      razorpay_payment_id: entity.id,
+      error_description: entity.error_description
+    });
+    return true;
+  }
+
+  async handleRefundProcessed(payload) {
+    const refund = payload.refund?.entity;
+    const entity = payload.payment?.entity;
+    const razorpayPaymentId = refund?.payment_id || entity?.id;
+    if (!razorpayPaymentId) return false;
+
+    const [byPaymentId] = await Payment.find({ razorpay_payment_id: razorpayPaymentId });
+    const payment = byPaymentId || await this.resolvePayment(entity?.order_id);
+    if (!payment) return false;
+
+    // amount_refunded is cumulative, so the largest figure seen wins whatever the delivery order
+    const amountRefunded = Math.max(entity?.amount_refunded || 0, refund?.amount || 0);
+
+    if (refund?.id) {
+      await paymentService.recordRazorpayRefund(payment, refund, { amountRefunded });
+    } else {
+      await paymentService.syncRefunds(payment, amountRefunded / 100);
+    }
+    return true;
+  }
+
+  // ==================== HELPER FUNCTIONS ====================
+
+  /**
+   * Find the local payment of an order, recreating it from the Razorpay order if it is missing
+   */
+  async resolvePayment(orderId, order = null) {
+    if (!orderId) return null;
+
+    const payment = await paymentService.findByOrderId(orderId);
+    if (payment) return payment;
+
+    const razorpayOrder = order?.notes ? order : await getPaymentGateway().fetchOrder(orderId);
+    if (!razorpayOrder?.notes?.user_id) {
+      // Not one of our orders
+      return null;
+    }
+
+    return paymentService.createFromOrder(razorpayOrder);
+  }
+}
+
+export const razorpayWebhookService = new RazorpayWebhookService();
@@ -0,0 +1,155 @@
+import { Payment } from '../models/Payment.js';
+import { paymentService } from './paymentService.js';
+import { getPaymentGateway } from './paymentGateways/index.js';
+
+// Mismatch types, in report order
+export const MISMATCH_TYPES = {
+  captured_not_completed: 'Captured at the provider, not completed locally',
+  failed_not_recorded: 'Failed at the provider, still open locally',
+  refund_not_recorded: 'Refunded at the provider, not (fully) recorded locally',
+  completed_without_capture: 'Completed locally, no captured payment at the provider',
+  amount_mismatch: 'Order amount differs from the local amount',
+  orphan_order: 'Order at the provider has no local payment record',
+  missing_at_provider: 'Local payment has no order at the provider'
+};
+
+/**
+ * Reconciliation Service
+ * Compares the provider's orders and payments for a date range with our payment
+ * records, fixes statuses the provider is authoritative for and reports the rest.
+ */
+class ReconciliationService {
+  /**
+   * Reconcile orders created in [from, to)
+   * @param {Object} params
+   * @param {Date} params.from
+   * @param {Date} params.to
+   * @param {boolean} [params.dryRun] - Report only, change nothing
+   * @returns {Promise<Object>} Summary with totals, counts per mismatch type and every mismatch
+   */
+  async reconcile({ from, to, dryRun = false }) {
+    const gateway = getPaymentGateway();
+    const orders = await gateway.listOrders({ from, to: new Date(to.getTime() - 1) });
+    const localPayments = await Payment.find({ created_from: from, created_to: to });
+    const localByOrder = new Map(localPayments.map(payment => [payment.razorpay_order_id, payment]));
+
+    const mismatches = [];
+    const totals = { provider_captured: 0, provider_refunded: 0, local_completed: 0, local_refunded: 0 };
+
+    const report = (type, details, fixed = false) => {
+      mismatches.push({ type, description: MISMATCH_TYPES[type], ...details, fixed });
+    };
+
+    for (const order of orders) {
+      const providerPayments = await gateway.fetchOrderPayments(order.id);
+      const captured = providerPayments.find(payment => payment.status === 'captured' || payment.status === 'refunded');
+      const failed = providerPayments.filter(payment => payment.status === 'failed');
+
+      if (captured) {
+        totals.provider_captured += captured.amount / 100;
+        totals.provider_refunded += (captured.amount_refunded || 0) / 100;
+      }
+
+      // The local record can have been created just outside the range
+      let local = localByOrder.get(order.id) || await paymentService.findByOrderId(order.id);
+      localByOrder.delete(order.id);
+
+      const details = {
+        razorpay_order_id: order.id,
+        razorpay_payment_id: captured?.id || null,
+        payment_id: local?.id || null,
+        local_status: local?.payment_status || null,
+        provider_amount: order.amount / 100,
+        local_amount: local?.amount ?? null
+      };
+
+      if (!local) {
+        // Our own orders carry the buyer; those that were paid can be recreated
+        const recoverable = !!captured && !!order.notes?.user_id;
+        if (recoverable && !dryRun) {
+          const payment = await paymentService.createFromOrder(order);
+          await paymentService.markCompleted(payment, { razorpay_payment_id: captured.id });
+        }
+        report('orphan_order', details, recoverable && !dryRun);
+        continue;
+      }
+
+      if (Math.abs(order.amount / 100 - local.amount) >= 0.01) {
+        report('amount_mismatch', details);
+      }
+
+      if (captured && !['completed', 'refunded'].includes(local.payment_status)) {
+        if (!dryRun) {
+          local = await paymentService.markCompleted(local, { razorpay_payment_id: captured.id });
+        }
+        report('captured_not_completed', details, !dryRun);
+      } else if (!captured && failed.length > 0 && ['created', 'attempted'].includes(local.payment_status)) {
+        if (!dryRun) {
+          local = await paymentService.markFailed(local, {
+            razorpay_payment_id: failed[failed.length - 1].id,
+            error_description: failed[failed.length - 1].error_description
+          });
+        }
+        report('failed_not_recorded', { ...details, razorpay_payment_id: failed[failed.length - 1].id }, !dryRun);
+      } else if (!captured && ['completed', 'refunded'].includes(local.payment_status)) {
+        report('completed_without_capture', details);
+      }
+
+      const providerRefunded = (captured?.amount_refunded || 0) / 100;
+      if (providerRefunded - (local.refunded_amount || 0) >= 0.01) {
+        if (!dryRun) {
+          local = await paymentService.syncRefunds(local, providerRefunded);
+        }
+        report('refund_not_recorded', { ...details, provider_refunded: providerRefunded, local_refunded: local.refunded_amount }, !dryRun);
+      }
+
+      if (['completed', 'refunded'].includes(local.payment_status)) {
+        totals.local_completed += local.amount;
+      }
+      totals.local_refunded += local.refunded_amount || 0;
+    }
+
+    // Local records whose order the provider did not return
+    for (const local of localByOrder.values()) {
+      if (['completed', 'refunded'].includes(local.payment_status)) {
+        totals.local_completed += local.amount;
+      }
+      totals.local_refunded += local.refunded_amount || 0;
+
+      report('missing_at_provider', {
+        razorpay_order_id: local.razorpay_order_id,
+        razorpay_payment_id: local.razorpay_payment_id,
+        payment_id: local.id,
+        local_status: local.payment_status,
+        provider_amount: null,
+        local_amount: local.amount
+      });
+    }
+
+    const counts = Object.fromEntries(Object.keys(MISMATCH_TYPES).map(type => [type, 0]));
+    mismatches.forEach(mismatch => {
+      counts[mismatch.type] += 1;
+    });
+
+    return {
+      gateway: gateway.name,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      dry_run: dryRun,
+      orders_checked: orders.length,
+      local_payments_checked: localPayments.length,
+      totals: Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, roundRupees(value)])),
+      counts,
+      fixed: mismatches.filter(mismatch => mismatch.fixed).length,
+      mismatches
+    };
+  }
+}
+
+export const reconciliationService = new ReconciliationService();
+
+// ==================== HELPER FUNCTIONS ====================
+
+function roundRupees(value) {
+  return Math.round(value * 100) / 100;
+}
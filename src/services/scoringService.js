@@ -0,0 +1,76 @@
+import { SCORING_PROFILES, DEFAULT_SCORING_PROFILE_ID } from '../config/scoringProfiles.js';
+
+/**
+ * Scoring Service
+ * Resolves versioned scoring profiles and calculates the development score with them.
+ */
+class ScoringService {
+  /**
+   * All profile versions, flagging the latest version of each profile
+   */
+  listProfiles() {
+    return SCORING_PROFILES.map(profile => ({
+      ...profile,
+      latest: profile.version === this.getLatestVersion(profile.id)
+    }));
+  }
+
+  getLatestVersion(id) {
+    return Math.max(...SCORING_PROFILES.filter(p => p.id === id).map(p => p.version));
+  }
+
+  /**
+   * Get a profile version
+   * @param {string} [id] - Profile id (defaults to the default profile)
+   * @param {number} [version] - Profile version (defaults to the latest)
+   * @returns {Object|null} Profile, or null if it does not exist
+   */
+  getProfile(id = DEFAULT_SCORING_PROFILE_ID, version) {
+    const versions = SCORING_PROFILES.filter(p => p.id === id);
+    if (versions.length === 0) return null;
+
+    if (version === undefined || version === null) {
+      return versions.find(p => p.version === this.getLatestVersion(id));
+    }
+    return versions.find(p => p.version === Number(version)) || null;
+  }
+
+  /**
+   * Calculate Development Score with a profile
+   * The default profile reproduces the original formulas exactly.
+   */
+  calculateScore(profile, { totalPois, categoryCount, supportiveTotal, ftlPercentage, policeData, hospitalData, roadData }) {
+    const { poi, amenity, ftl, business, accessibility } = profile.components;
+
+    const poiScore = Math.min(poi.max, (totalPois / poi.saturation) * poi.max);
+
+    const amenityScore = (() => {
+      let score = 0;
+      if (policeData) score += Math.max(0, amenity.police - (policeData.distance_m / 1000) * amenity.per_km);
+      if (hospitalData) score += Math.max(0, amenity.hospital - (hospitalData.distance_m / 1000) * amenity.per_km);
+      if (roadData) score += Math.max(0, amenity.road - (roadData.distance_m / 1000) * amenity.per_km);
+      return Math.min(amenity.max, score);
+    })();
+
+    const ftlScore = ftlPercentage === 0 ? ftl.max : Math.max(0, ftl.max - (ftlPercentage / ftl.penalty_divisor)); // Decreases with FTL risk
+
+    const businessScore = Math.min(business.max, (supportiveTotal / business.saturation) * business.max);
+
+    const accessibilityScore = Math.min(accessibility.max, (categoryCount / accessibility.saturation) * accessibility.max); // Based on POI diversity
+
+    const developmentScore = Math.round(poiScore + amenityScore + ftlScore + businessScore + accessibilityScore);
+
+    // Ensure scores don't exceed their maximums (safety check)
+    const scoreBreakdown = {
+      poi_score: Math.min(poi.max, parseFloat(poiScore.toFixed(1))),
+      amenity_score: Math.min(amenity.max, parseFloat(amenityScore.toFixed(1))),
+      ftl_score: Math.min(ftl.max, parseFloat(ftlScore.toFixed(1))),
+      business_score: Math.min(business.max, parseFloat(businessScore.toFixed(1))),
+      accessibility_score: Math.min(accessibility.max, parseFloat(accessibilityScore.toFixed(1)))
+    };
+
+    return { developmentScore, scoreBreakdown };
+  }
+}
+
+export const scoringService = new ScoringService();
@@ -0,0 +1,119 @@
+import { randomUUID } from 'crypto';
+import pool from '../config/database.js';
+import {
+  generateToken,
+  generateRefreshToken,
+  hashToken,
+  JWT_EXPIRES_IN,
+  REFRESH_TOKEN_TTL_DAYS
+} from '../config/jwt.js';
+import { RefreshToken } from '../models/RefreshToken.js';
+import { User } from '../models/User.js';
+import { roleOf } from '../config/roles.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Session Service
+ * A login starts a session: a short-lived access token (JWT with the session id as `sid`
+ * and the user's `role`) plus a refresh token that is rotated on every use. Revoking the session revokes both.
+ */
+class SessionService {
+  /**
+   * Start a session for a user who just logged in or registered
+   * @param {Object} meta - { userAgent, ipAddress }
+   * @returns {Promise<Object>} { token, refresh_token, expires_in, session_id }
+   */
+  async startSession(user, meta = {}) {
+    const familyId = randomUUID();
+    const refreshToken = generateRefreshToken();
+
+    await RefreshToken.create({
+      userId: user.id,
+      familyId,
+      tokenHash: hashToken(refreshToken),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+      ...meta
+    });
+
+    return this.toTokens(user, familyId, refreshToken);
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * Presenting a token that was already exchanged revokes the session: either the
+   * client or an attacker holds a stolen copy.
+   * @returns {Promise<{ tokens?: Object, error?: string }>}
+   */
+  async refresh(refreshToken, meta = {}) {
+    const tokenHash = hashToken(refreshToken);
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const current = await RefreshToken.markUsed(tokenHash, client);
+      if (!current) {
+        await client.query('ROLLBACK');
+
+        const known = await RefreshToken.findByHash(tokenHash);
+        if (known && known.used_at && !known.revoked_at) {
+          await RefreshToken.revokeFamily(known.family_id, 'reuse');
+          console.warn(`⚠️  Refresh token reuse for user ${known.user_id}; session ${known.family_id} revoked`);
+        }
+        return { error: 'Invalid or expired refresh token' };
+      }
+
+      // Deactivated accounts cannot keep a session alive
+      const user = await User.findById(current.user_id);
+      if (!user || !user.is_active) {
+        await client.query('ROLLBACK');
+        return { error: 'Invalid or expired refresh token' };
+      }
+
+      const nextToken = generateRefreshToken();
+      await RefreshToken.create({
+        userId: user.id,
+        familyId: current.family_id,
+        tokenHash: hashToken(nextToken),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+        ...meta
+      }, client);
+
+      await client.query('COMMIT');
+      return { tokens: this.toTokens(user, current.family_id, nextToken) };
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Whether the session of an access token is still active
+   */
+  async isSessionActive(sessionId) {
+    if (!sessionId) return false;
+    return RefreshToken.isFamilyActive(sessionId);
+  }
+
+  async revokeSession(sessionId, reason = 'logout') {
+    return RefreshToken.revokeFamily(sessionId, reason);
+  }
+
+  async revokeAllSessions(userId, reason = 'logout_all') {
+    return RefreshToken.revokeAllForUser(userId, reason);
+  }
+
+  toTokens(user, sessionId, refreshToken) {
+    return {
+      token: generateToken({ id: user.id, email: user.email, role: roleOf(user), sid: sessionId }),
+      refresh_token: refreshToken,
+      expires_in: JWT_EXPIRES_IN,
+      session_id: sessionId
+    };
+  }
+}
+
+export const sessionService = new SessionService();
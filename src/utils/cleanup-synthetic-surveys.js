@@ -0,0 +1,112 @@
+import pool from '../config/database.js';
+
+/**
+ * Find and remove the synthetic 100m circles that SurveyResult.create used to insert
+ * into ts_warangal_survey on every analysis.
+ *
+ * A row is treated as synthetic when its geometry is a single polygon that
+ * - has the area of a 100m circle (within AREA_TOLERANCE),
+ * - is circular (4πA/P² close to 1, real parcels are far from that), and
+ * - is centred on the survey centroid of the same village and survey number.
+ *
+ * Analyses that still point at a synthetic row are re-linked to the original parcel first.
+ *
+ * Usage:
+ *   node src/utils/cleanup-synthetic-surveys.js          # dry run, report only
+ *   node src/utils/cleanup-synthetic-surveys.js --apply  # delete the synthetic rows
+ */
+
+const BUFFER_RADIUS_M = 100;
+const AREA_TOLERANCE = 0.02;
+const MIN_CIRCULARITY = 0.98;
+const MAX_CENTRE_OFFSET_M = 5;
+
+const SYNTHETIC_ROWS_SQL = `
+  SELECT s.gid, s.village, s.surveyno
+  FROM ts_warangal_survey s
+  WHERE ST_NumGeometries(s.geom) = 1
+    AND ABS(ST_Area(s.geom::geography) - $1) <= $1 * $2
+    AND 4 * PI() * ST_Area(s.geom::geography) / POWER(ST_Perimeter(s.geom::geography), 2) >= $3
+    AND EXISTS (
+      SELECT 1
+      FROM ts_warangal_survey_centroids c
+      WHERE c.village = s.village
+        AND c.surveyno = s.surveyno
+        AND ST_DWithin(ST_Centroid(s.geom)::geography, c.geom::geography, $4)
+    )
+`;
+
+async function cleanupSyntheticSurveys() {
+  const apply = process.argv.includes('--apply');
+  const params = [Math.PI * BUFFER_RADIUS_M * BUFFER_RADIUS_M, AREA_TOLERANCE, MIN_CIRCULARITY, MAX_CENTRE_OFFSET_M];
+  const client = await pool.connect();
+
+  try {
+    console.log(`🔍 Looking for synthetic ${BUFFER_RADIUS_M}m circles in ts_warangal_survey...\n`);
+
+    const synthetic = await client.query(SYNTHETIC_ROWS_SQL, params);
+
+    if (synthetic.rows.length === 0) {
+      console.log('✅ No synthetic survey geometries found');
+      return;
+    }
+
+    const byVillage = {};
+    synthetic.rows.forEach(row => {
+      byVillage[row.village] = (byVillage[row.village] || 0) + 1;
+    });
+
+    console.log(`⚠️  Found ${synthetic.rows.length} synthetic rows:`);
+    Object.entries(byVillage)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([village, count]) => console.log(`   - ${village}: ${count}`));
+
+    if (!apply) {
+      console.log('\nℹ️  Dry run. Re-run with --apply to delete these rows.');
+      return;
+    }
+
+    await client.query('BEGIN');
+
+    // Re-link analyses to the oldest remaining (real) parcel, or to nothing
+    const relinked = await client.query(
+      `WITH synthetic AS (${SYNTHETIC_ROWS_SQL})
+      UPDATE analysis_results a
+      SET survey_gid = (
+        SELECT s.gid
+        FROM ts_warangal_survey s
+        WHERE s.village = a.village
+          AND s.surveyno = a.survey_number
+          AND s.gid NOT IN (SELECT gid FROM synthetic)
+        ORDER BY s.gid ASC
+        LIMIT 1
+      )
+      WHERE a.survey_gid IN (SELECT gid FROM synthetic)`,
+      params
+    );
+
+    const deleted = await client.query(
+      `WITH synthetic AS (${SYNTHETIC_ROWS_SQL})
+      DELETE FROM ts_warangal_survey
+      WHERE gid IN (SELECT gid FROM synthetic)`,
+      params
+    );
+
+    await client.query('COMMIT');
+
+    console.log(`\n🔗 Re-linked ${relinked.rowCount} analyses`);
+    console.log(`🗑️  Deleted ${deleted.rowCount} synthetic rows`);
+    console.log('\n✅ Cleanup complete!');
+  } catch (error) {
+    if (apply) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+    console.error('\n❌ Cleanup failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+cleanupSyntheticSurveys();
@@ -0,0 +1,68 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pool from '../config/database.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const MIGRATIONS_DIR = path.resolve(__dirname, '../migrations');
+
+/**
+ * Apply pending SQL migrations from src/migrations in filename order.
+ * Applied versions are tracked in schema_migrations; each file runs in its own transaction.
+ *
+ * Usage: npm run migrate
+ */
+async function migrate() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(255) PRIMARY KEY,
+        applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    const applied = await pool.query('SELECT version FROM schema_migrations');
+    const appliedVersions = new Set(applied.rows.map(row => row.version));
+
+    const files = fs.readdirSync(MIGRATIONS_DIR)
+      .filter(file => file.endsWith('.sql'))
+      .sort();
+
+    const pending = files.filter(file => !appliedVersions.has(file));
+    if (pending.length === 0) {
+      console.log('✅ Database is up to date');
+      await pool.end();
+      process.exit(0);
+    }
+
+    for (const file of pending) {
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      const client = await pool.connect();
+
+      try {
+        console.log(`⏳ Applying ${file}...`);
+        await client.query('BEGIN');
+        await client.query(sql);
+        await client.query('INSERT INTO schema_migrations (version) VALUES ($1)', [file]);
+        await client.query('COMMIT');
+        console.log(`✅ Applied ${file}`);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`${file}: ${error.message}`);
+      } finally {
+        client.release();
+      }
+    }
+
+    await pool.end();
+    console.log(`\n✅ ${pending.length} migration(s) applied`);
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    await pool.end();
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,135 @@
+import fs from 'fs';
+import path from 'path';
+import pool from '../config/database.js';
+import { reconciliationService, MISMATCH_TYPES } from '../services/reconciliationService.js';
+
+/**
+ * Reconcile our payment records with the payment provider for a date range.
+ *
+ * Fixes what the provider is authoritative for (captured, failed and refunded payments,
+ * paid orders we have no record of) and reports every mismatch for the finance team.
+ * Dates are calendar days in India Standard Time; --to is inclusive.
+ *
+ * Usage:
+ *   node src/utils/reconcile-payments.js                                   # yesterday
+ *   node src/utils/reconcile-payments.js --from 2026-10-01 --to 2026-10-18
+ *   node src/utils/reconcile-payments.js --dry-run                         # report only
+ *   node src/utils/reconcile-payments.js --out reports/recon.csv           # also write .csv or .json
+ */
+
+const IST_OFFSET = '+05:30';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CSV_COLUMNS = [
+  'type',
+  'fixed',
+  'razorpay_order_id',
+  'razorpay_payment_id',
+  'payment_id',
+  'local_status',
+  'provider_amount',
+  'local_amount',
+  'provider_refunded',
+  'local_refunded',
+  'description'
+];
+
+async function reconcilePayments() {
+  try {
+    const { from, to, dryRun, out } = parseArgs(process.argv.slice(2));
+
+    console.log(`🔍 Reconciling payments from ${from.toISOString()} to ${to.toISOString()}${dryRun ? ' (dry run)' : ''}...\n`);
+
+    const summary = await reconciliationService.reconcile({ from, to, dryRun });
+
+    console.log(`Gateway:          ${summary.gateway}`);
+    console.log(`Orders checked:   ${summary.orders_checked}`);
+    console.log(`Local payments:   ${summary.local_payments_checked}`);
+    console.log(`Captured (INR):   provider ${summary.totals.provider_captured}, local ${summary.totals.local_completed}`);
+    console.log(`Refunded (INR):   provider ${summary.totals.provider_refunded}, local ${summary.totals.local_refunded}`);
+
+    if (summary.mismatches.length === 0) {
+      console.log('\n✅ No mismatches');
+    } else {
+      console.log(`\n⚠️  ${summary.mismatches.length} mismatch(es), ${summary.fixed} fixed:`);
+      Object.entries(summary.counts)
+        .filter(([, count]) => count > 0)
+        .forEach(([type, count]) => console.log(`   - ${MISMATCH_TYPES[type]}: ${count}`));
+
+      summary.mismatches.forEach(mismatch => {
+        console.log(`   ${mismatch.fixed ? '🔧' : '❗'} ${mismatch.type} order=${mismatch.razorpay_order_id || '-'} payment=${mismatch.payment_id || '-'}`);
+      });
+    }
+
+    if (out) {
+      writeReport(out, summary);
+      console.log(`\n📝 Report written to ${out}`);
+    }
+  } catch (error) {
+    console.error('\n❌ Reconciliation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Parse --from, --to (YYYY-MM-DD, IST, inclusive), --dry-run and --out
+ * @returns {{ from: Date, to: Date, dryRun: boolean, out: string|null }} to is exclusive
+ */
+function parseArgs(args) {
+  const valueOf = (flag) => {
+    const index = args.indexOf(flag);
+    return index >= 0 ? args[index + 1] : null;
+  };
+
+  // Yesterday in IST by default
+  const todayIst = new Date(Date.now() + 5.5 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const yesterdayIst = new Date(Date.parse(todayIst) - DAY_MS).toISOString().slice(0, 10);
+
+  const fromDay = valueOf('--from') || yesterdayIst;
+  const toDay = valueOf('--to') || fromDay;
+
+  const from = parseDay(fromDay);
+  const to = new Date(parseDay(toDay).getTime() + DAY_MS);
+
+  if (to <= from) {
+    throw new Error('--to must not be before --from');
+  }
+
+  return { from, to, dryRun: args.includes('--dry-run'), out: valueOf('--out') };
+}
+
+function parseDay(day) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day || '') || Number.isNaN(Date.parse(`${day}T00:00:00${IST_OFFSET}`))) {
+    throw new Error(`Invalid date: ${day} (expected YYYY-MM-DD)`);
+  }
+  return new Date(`${day}T00:00:00${IST_OFFSET}`);
+}
+
+/**
+ * Write the summary as JSON, or the mismatches as CSV for a .csv path
+ */
+function writeReport(file, summary) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+
+  if (file.endsWith('.csv')) {
+    const rows = summary.mismatches.map(mismatch =>
+      CSV_COLUMNS.map(column => toCsvValue(mismatch[column])).join(',')
+    );
+    fs.writeFileSync(file, [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n');
+    return;
+  }
+
+  fs.writeFileSync(file, JSON.stringify(summary, null, 2) + '\n');
+}
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+reconcilePayments();
@@ -0,0 +1,73 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { requireRole, requireStaff } from '../../src/middleware/auth.js';
+import { User } from '../../src/models/User.js';
+
+const USER_ID = '5b0c8f38-3f6e-4f43-9d8e-2f4b7c1e6a10';
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+/**
+ * Run a middleware and report whether it called next
+ */
+async function run(middleware, req) {
+  const res = fakeResponse();
+  let nextCalled = false;
+  await middleware(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+describe('requireRole', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('refuses a caller demoted from staff whose token still says staff', async () => {
+    mock.method(User, 'findById', async () => ({ id: USER_ID, is_staff: false, is_superuser: false, is_active: true }));
+
+    const { res, nextCalled } = await run(requireStaff, { user: { id: USER_ID, role: 'staff' } });
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('lets a caller promoted to staff in without a new token', async () => {
+    mock.method(User, 'findById', async () => ({ id: USER_ID, is_staff: true, is_superuser: false, is_active: true }));
+    const req = { user: { id: USER_ID, role: 'user' } };
+
+    const { nextCalled } = await run(requireStaff, req);
+
+    assert.equal(nextCalled, true);
+    assert.equal(req.user.role, 'staff');
+  });
+
+  it('requires a superuser for superuser routes', async () => {
+    mock.method(User, 'findById', async () => ({ id: USER_ID, is_staff: true, is_superuser: false, is_active: true }));
+
+    const { res } = await run(requireRole('superuser'), { user: { id: USER_ID, role: 'superuser' } });
+
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('never gives staff rights to an API key', async () => {
+    const findById = mock.method(User, 'findById', async () => ({ id: USER_ID, is_staff: true, is_active: true }));
+
+    const { res } = await run(requireStaff, { user: { id: USER_ID, role: 'user', api_key_id: '3', scopes: ['read'] } });
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(findById.mock.callCount(), 0);
+  });
+});
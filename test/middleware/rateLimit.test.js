@@ -0,0 +1,53 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { consumeRateLimit } from '../../src/middleware/rateLimit.js';
+import { setRateLimitStore } from '../../src/services/rateLimit/index.js';
+import { MemoryRateLimitStore } from '../../src/services/rateLimit/memoryStore.js';
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(headers, value) {
+      Object.assign(this.headers, typeof headers === 'string' ? { [headers]: value } : headers);
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+describe('consumeRateLimit for batch items', () => {
+  const req = { user: { id: 'user-1' }, ip: '203.0.113.7' };
+
+  beforeEach(() => {
+    setRateLimitStore(new MemoryRateLimitStore());
+  });
+
+  it('counts every item of a batch', async () => {
+    const res = fakeResponse();
+
+    assert.equal(await consumeRateLimit(req, res, 'batch_items', 400), true);
+    assert.equal(res.headers['RateLimit-Remaining'], '600');
+  });
+
+  it('refuses a batch that does not fit and counts none of it', async () => {
+    await consumeRateLimit(req, fakeResponse(), 'batch_items', 500);
+    await consumeRateLimit(req, fakeResponse(), 'batch_items', 400);
+
+    const res = fakeResponse();
+    assert.equal(await consumeRateLimit(req, res, 'batch_items', 200), false);
+    assert.equal(res.statusCode, 429);
+    assert.ok(res.headers['Retry-After']);
+
+    // The 100 items still left can be used
+    assert.equal(await consumeRateLimit(req, fakeResponse(), 'batch_items', 100), true);
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcrypt';
+import pool from '../../src/config/database.js';
+import { User } from '../../src/models/User.js';
+
+/**
+ * Password checks against fixed hashes, including accounts migrated from Django.
+ */
+
+// Django's own test vector: make_password('lètmein', 'seasalt', 'pbkdf2_sha256') at 10000 iterations
+const DJANGO_PASSWORD = 'lètmein';
+const DJANGO_HASH = 'pbkdf2_sha256$10000$seasalt$CWWFdHOWwPnki7HvkcqN9iA2T3KLW1cf2uZ5kvArtVY=';
+
+const USER_ID = '5b0c8f38-3f6e-4f43-9d8e-2f4b7c1e6a10';
+
+function withStoredPassword(password) {
+  mock.method(User, 'findByEmail', async () => ({
+    id: USER_ID,
+    email: 'user@example.com',
+    first_name: 'Asha',
+    last_name: 'Rao',
+    password
+  }));
+}
+
+describe('User.verifyPassword', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('accepts the right password for a Django pbkdf2_sha256 hash', async () => {
+    withStoredPassword(DJANGO_HASH);
+
+    const user = await User.verifyPassword('user@example.com', DJANGO_PASSWORD);
+
+    assert.equal(user.id, USER_ID);
+    assert.equal(user.password, undefined);
+    assert.equal(user.full_name, 'Asha Rao');
+  });
+
+  it('rejects a wrong password for a Django hash', async () => {
+    withStoredPassword(DJANGO_HASH);
+
+    assert.equal(await User.verifyPassword('user@example.com', 'letmein'), null);
+  });
+
+  it('accepts and rejects passwords for a bcrypt hash', async () => {
+    withStoredPassword(await bcrypt.hash('correct horse', 4));
+
+    assert.ok(await User.verifyPassword('user@example.com', 'correct horse'));
+    assert.equal(await User.verifyPassword('user@example.com', 'battery staple'), null);
+  });
+
+  it('returns null for malformed hashes instead of throwing', async () => {
+    const malformed = [
+      'pbkdf2_sha256$',
+      'pbkdf2_sha256$10000$seasalt$',
+      'pbkdf2_sha256$ten$seasalt$CWWFdHOWwPnki7HvkcqN9iA2T3KLW1cf2uZ5kvArtVY=',
+      'pbkdf2_sha256$0$seasalt$CWWFdHOWwPnki7HvkcqN9iA2T3KLW1cf2uZ5kvArtVY=',
+      'pbkdf2_sha256$10000$$CWWFdHOWwPnki7HvkcqN9iA2T3KLW1cf2uZ5kvArtVY=',
+      'pbkdf2_sha256$10000$seasalt$AAAA',
+      'md5$seasalt$0123456789abcdef',
+      '$2b$12$tooshort'
+    ];
+
+    for (const hash of malformed) {
+      withStoredPassword(hash);
+      assert.equal(await User.verifyPassword('user@example.com', DJANGO_PASSWORD), null, hash);
+    }
+  });
+});
+
+describe('User.recordLogin', () => {
+  let updates;
+
+  function withDatabasePassword(password) {
+    updates = [];
+    mock.method(pool, 'query', async (sql, params) => {
+      if (/SET last_login = NOW\(\)/.test(sql)) {
+        return { rows: [{ password }] };
+      }
+      if (/SET password = \$2/.test(sql)) {
+        updates.push(params[1]);
+        return { rows: [] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    });
+  }
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('upgrades a Django hash to bcrypt', async () => {
+    withDatabasePassword(DJANGO_HASH);
+
+    await User.recordLogin(USER_ID, DJANGO_PASSWORD);
+
+    assert.equal(updates.length, 1);
+    assert.equal(bcrypt.getRounds(updates[0]), 12);
+    assert.equal(await bcrypt.compare(DJANGO_PASSWORD, updates[0]), true);
+  });
+
+  it('upgrades a bcrypt hash with too few rounds', async () => {
+    withDatabasePassword(await bcrypt.hash('correct horse', 4));
+
+    await User.recordLogin(USER_ID, 'correct horse');
+
+    assert.equal(updates.length, 1);
+    assert.equal(bcrypt.getRounds(updates[0]), 12);
+  });
+
+  it('keeps a current bcrypt hash', async () => {
+    withDatabasePassword('$2b$12$C6UzMDM.H6dfI/f/IKxGhu0QhOvPbwMCi3YWb1aPoMb4bmS5Kp7a6');
+
+    await User.recordLogin(USER_ID, 'correct horse');
+
+    assert.equal(updates.length, 0);
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../../src/config/database.js';
+import { generateActionToken } from '../../src/config/jwt.js';
+import { User } from '../../src/models/User.js';
+import { accountService } from '../../src/services/accountService.js';
+import { sessionService } from '../../src/services/sessionService.js';
+import { setMailer } from '../../src/services/mailer/index.js';
+
+/**
+ * Password reset and email verification links: signed, expiring and single-use.
+ * The auth_action_tokens table is replaced by an in-memory fake and mails are captured.
+ */
+
+const USER = { id: '5b0c8f38-3f6e-4f43-9d8e-2f4b7c1e6a10', email: 'user@example.com', is_active: true, email_verified_at: null };
+const INVALID_TOKEN = 'This link is invalid or has expired';
+
+function fakeActionTokens() {
+  const tokens = new Map();
+
+  mock.method(pool, 'query', async (sql, params) => {
+    if (/INSERT INTO auth_action_tokens/.test(sql)) {
+      const [jti, userId, purpose, expiresAt] = params;
+      const token = { jti, user_id: userId, purpose, expires_at: expiresAt, used_at: null };
+      tokens.set(jti, token);
+      return { rows: [token] };
+    }
+    if (/UPDATE auth_action_tokens[\s\S]*WHERE user_id = \$1 AND purpose = \$2/.test(sql)) {
+      const [userId, purpose] = params;
+      tokens.forEach((token) => {
+        if (token.user_id === userId && token.purpose === purpose && !token.used_at) token.used_at = new Date();
+      });
+      return { rows: [] };
+    }
+    if (/UPDATE auth_action_tokens[\s\S]*WHERE jti = \$1/.test(sql)) {
+      const [jti, userId, purpose] = params;
+      const token = tokens.get(jti);
+      if (!token || token.user_id !== userId || token.purpose !== purpose || token.used_at || token.expires_at <= new Date()) {
+        return { rows: [] };
+      }
+      token.used_at = new Date();
+      return { rows: [token] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+
+  return tokens;
+}
+
+/**
+ * Token from the link of the last captured mail
+ */
+function tokenFrom(mails) {
+  const link = mails[mails.length - 1].text.match(/token=([^\s]+)/)[1];
+  return decodeURIComponent(link);
+}
+
+describe('accountService', () => {
+  let tokens;
+  let mails;
+  let setPassword;
+  let revokeAllSessions;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    tokens = fakeActionTokens();
+    mails = [];
+    setMailer({ send: async mail => { mails.push(mail); } });
+
+    mock.method(User, 'findByEmail', async email => (email === USER.email ? USER : null));
+    setPassword = mock.method(User, 'setPassword', async () => {});
+    mock.method(User, 'markEmailVerified', async () => {});
+    revokeAllSessions = mock.method(sessionService, 'revokeAllSessions', async () => 2);
+  });
+
+  afterEach(() => {
+    setMailer(null);
+    mock.restoreAll();
+  });
+
+  it('resets the password once per link and logs out every session', async () => {
+    await accountService.requestPasswordReset(USER.email);
+    const token = tokenFrom(mails);
+
+    assert.deepEqual(await accountService.resetPassword(token, 'new password 1'), { userId: USER.id });
+    assert.equal(setPassword.mock.calls[0].arguments[1], 'new password 1');
+    assert.deepEqual(revokeAllSessions.mock.calls[0].arguments, [USER.id, 'password_reset']);
+
+    assert.deepEqual(await accountService.resetPassword(token, 'new password 2'), { error: INVALID_TOKEN });
+    assert.equal(setPassword.mock.callCount(), 1);
+  });
+
+  it('sends no link for an unknown address', async () => {
+    await accountService.requestPasswordReset('nobody@example.com');
+
+    assert.equal(mails.length, 0);
+  });
+
+  it('invalidates an earlier reset link when a new one is requested', async () => {
+    await accountService.requestPasswordReset(USER.email);
+    const first = tokenFrom(mails);
+    await accountService.requestPasswordReset(USER.email);
+    const second = tokenFrom(mails);
+
+    assert.deepEqual(await accountService.resetPassword(first, 'new password'), { error: INVALID_TOKEN });
+    assert.deepEqual(await accountService.resetPassword(second, 'new password'), { userId: USER.id });
+  });
+
+  it('rejects a reset link past its expiry', async () => {
+    await accountService.requestPasswordReset(USER.email);
+    const token = tokenFrom(mails);
+    tokens.forEach((row) => { row.expires_at = new Date(Date.now() - 1000); });
+
+    assert.deepEqual(await accountService.resetPassword(token, 'new password'), { error: INVALID_TOKEN });
+    assert.equal(revokeAllSessions.mock.callCount(), 0);
+  });
+
+  it('rejects a link whose signed expiry has passed', async () => {
+    const token = generateActionToken({ userId: USER.id, purpose: 'password_reset', jti: '1c6a3f4e-0d5b-4f8e-9a7d-2b3c4d5e6f70' }, -60);
+    tokens.set('1c6a3f4e-0d5b-4f8e-9a7d-2b3c4d5e6f70', {
+      jti: '1c6a3f4e-0d5b-4f8e-9a7d-2b3c4d5e6f70',
+      user_id: USER.id,
+      purpose: 'password_reset',
+      expires_at: new Date(Date.now() + 60 * 60 * 1000),
+      used_at: null
+    });
+
+    assert.deepEqual(await accountService.resetPassword(token, 'new password'), { error: INVALID_TOKEN });
+  });
+
+  it('does not accept a verification link as a reset link', async () => {
+    await accountService.sendVerificationEmail(USER);
+    const token = tokenFrom(mails);
+
+    assert.deepEqual(await accountService.resetPassword(token, 'new password'), { error: INVALID_TOKEN });
+    assert.equal(setPassword.mock.callCount(), 0);
+  });
+
+  it('verifies an email address once per link', async () => {
+    await accountService.sendVerificationEmail(USER);
+    const token = tokenFrom(mails);
+
+    assert.deepEqual(await accountService.verifyEmail(token), { userId: USER.id });
+    assert.equal(User.markEmailVerified.mock.calls[0].arguments[0], USER.id);
+    assert.deepEqual(await accountService.verifyEmail(token), { error: INVALID_TOKEN });
+  });
+
+  it('rejects a tampered link', async () => {
+    await accountService.sendVerificationEmail(USER);
+    const token = tokenFrom(mails);
+
+    assert.deepEqual(await accountService.verifyEmail(`${token.slice(0, -2)}xx`), { error: INVALID_TOKEN });
+  });
+});
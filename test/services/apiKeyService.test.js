@@ -0,0 +1,220 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { hashToken } from '../../src/config/jwt.js';
+import { ApiKey } from '../../src/models/ApiKey.js';
+import { User } from '../../src/models/User.js';
+import { apiKeyService } from '../../src/services/apiKeyService.js';
+import { authMiddleware, requireScope, requireUserSession } from '../../src/middleware/auth.js';
+
+/**
+ * API key authentication: IP allow-lists, scopes, and revoked or expired keys.
+ * ApiKey.findActiveByHash stands in for the active-key lookup (revoked_at IS NULL,
+ * expires_at in the future), so a revoked or expired key is simply not found.
+ */
+
+const KEY = 'gsk_0123456789abcdefghijklmnopqrstuvwxyzABCDEFG';
+const OWNER = { id: '5b0c8f38-3f6e-4f43-9d8e-2f4b7c1e6a10', email: 'partner@example.com', is_active: true };
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+/**
+ * Run middlewares in order, stopping at the first that responds
+ */
+async function run(middlewares, req) {
+  const res = fakeResponse();
+  for (const middleware of middlewares) {
+    let nextCalled = false;
+    await middleware(req, res, (error) => { nextCalled = !error; });
+    if (!nextCalled) return { res, passed: false };
+  }
+  return { res, passed: true };
+}
+
+describe('apiKeyService.authenticate', () => {
+  let apiKey;
+  let touch;
+
+  beforeEach(() => {
+    apiKey = { id: 7, user_id: OWNER.id, scopes: ['read'], allowed_ips: null };
+    mock.method(ApiKey, 'findActiveByHash', async keyHash => (keyHash === hashToken(KEY) ? apiKey : null));
+    mock.method(User, 'findById', async () => OWNER);
+    touch = mock.method(ApiKey, 'touch', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('acts as the owner with the key scopes and never with staff rights', async () => {
+    mock.method(User, 'findById', async () => ({ ...OWNER, is_staff: true, is_superuser: true }));
+
+    const { user } = await apiKeyService.authenticate(KEY, '203.0.113.7');
+
+    assert.deepEqual(user, { id: OWNER.id, email: OWNER.email, role: 'user', api_key_id: 7, scopes: ['read'] });
+    assert.deepEqual(touch.mock.calls[0].arguments, [7, '203.0.113.7']);
+  });
+
+  it('rejects an unknown, revoked or expired key', async () => {
+    mock.method(ApiKey, 'findActiveByHash', async () => null);
+
+    const result = await apiKeyService.authenticate(KEY, '203.0.113.7');
+
+    assert.equal(result.statusCode, 401);
+    assert.equal(result.user, undefined);
+    assert.equal(touch.mock.callCount(), 0);
+  });
+
+  it('does not look up keys without the gsk_ prefix', async () => {
+    const result = await apiKeyService.authenticate('sk_live_0123456789', '203.0.113.7');
+
+    assert.equal(result.statusCode, 401);
+    assert.equal(ApiKey.findActiveByHash.mock.callCount(), 0);
+  });
+
+  it('rejects the key of a deactivated owner', async () => {
+    mock.method(User, 'findById', async () => ({ ...OWNER, is_active: false }));
+
+    assert.equal((await apiKeyService.authenticate(KEY, '203.0.113.7')).statusCode, 401);
+  });
+
+  it('refuses addresses outside the allow-list', async () => {
+    apiKey.allowed_ips = ['203.0.113.0/24'];
+
+    assert.ok((await apiKeyService.authenticate(KEY, '203.0.113.200')).user);
+
+    const result = await apiKeyService.authenticate(KEY, '198.51.100.1');
+    assert.equal(result.statusCode, 403);
+    assert.equal(touch.mock.callCount(), 1);
+  });
+});
+
+describe('apiKeyService.isIpAllowed', () => {
+  it('matches single IPv4 addresses and CIDR ranges', () => {
+    const allowed = ['198.51.100.7', '203.0.113.0/24', '10.0.0.0/8'];
+
+    assert.equal(apiKeyService.isIpAllowed(allowed, '198.51.100.7'), true);
+    assert.equal(apiKeyService.isIpAllowed(allowed, '198.51.100.8'), false);
+    assert.equal(apiKeyService.isIpAllowed(allowed, '203.0.113.255'), true);
+    assert.equal(apiKeyService.isIpAllowed(allowed, '203.0.114.0'), false);
+    assert.equal(apiKeyService.isIpAllowed(allowed, '10.255.0.1'), true);
+  });
+
+  it('matches single IPv6 addresses and CIDR ranges', () => {
+    const allowed = ['2001:db8::1', '2001:db8:abcd::/48'];
+
+    assert.equal(apiKeyService.isIpAllowed(allowed, '2001:db8::1'), true);
+    assert.equal(apiKeyService.isIpAllowed(allowed, '2001:0db8:0000:0000:0000:0000:0000:0001'), true);
+    assert.equal(apiKeyService.isIpAllowed(allowed, '2001:db8::2'), false);
+    assert.equal(apiKeyService.isIpAllowed(allowed, '2001:db8:abcd:ffff::1'), true);
+    assert.equal(apiKeyService.isIpAllowed(allowed, '2001:db8:abce::1'), false);
+  });
+
+  it('treats an IPv4-mapped IPv6 address as its IPv4 address', () => {
+    const allowed = ['1.2.3.0/24'];
+
+    assert.equal(apiKeyService.isIpAllowed(allowed, '::ffff:1.2.3.4'), true);
+    assert.equal(apiKeyService.isIpAllowed(allowed, '::ffff:1.2.4.4'), false);
+    assert.equal(apiKeyService.isIpAllowed(['1.2.3.4'], '::ffff:1.2.3.4'), true);
+  });
+
+  it('refuses a missing or malformed address', () => {
+    assert.equal(apiKeyService.isIpAllowed(['0.0.0.0/0'], undefined), false);
+    assert.equal(apiKeyService.isIpAllowed(['0.0.0.0/0'], 'localhost'), false);
+  });
+});
+
+describe('apiKeyService.createKey', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(ApiKey, 'findByUser', async () => []);
+    mock.method(ApiKey, 'create', async fields => ({ id: 1, key_prefix: fields.keyPrefix, ...fields }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('rejects malformed allow-list entries', async () => {
+    for (const entry of ['203.0.113.0/33', '2001:db8::/129', '203.0.113.0/24/1', '203.0.113', 'example.com', '10.0.0.0/-1']) {
+      const result = await apiKeyService.createKey(OWNER.id, { name: 'ci', scopes: ['read'], allowedIps: [entry] });
+      assert.equal(result.error, `Invalid IP address or CIDR range: ${entry}`);
+    }
+    assert.equal(ApiKey.create.mock.callCount(), 0);
+  });
+
+  it('stores only the hash of the key it returns', async () => {
+    const { key } = await apiKeyService.createKey(OWNER.id, { name: 'ci', scopes: ['read', 'read'], allowedIps: ['2001:db8::/32'] });
+
+    const stored = ApiKey.create.mock.calls[0].arguments[0];
+    assert.match(key, /^gsk_/);
+    assert.equal(stored.keyHash, hashToken(key));
+    assert.deepEqual(stored.scopes, ['read']);
+    assert.deepEqual(stored.allowedIps, ['2001:db8::/32']);
+  });
+});
+
+describe('API key requests through authMiddleware', () => {
+  beforeEach(() => {
+    mock.method(ApiKey, 'findActiveByHash', async () => ({
+      id: 7,
+      user_id: OWNER.id,
+      scopes: ['read'],
+      allowed_ips: ['1.2.3.0/24']
+    }));
+    mock.method(User, 'findById', async () => OWNER);
+    mock.method(ApiKey, 'touch', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('allows a scope the key has from an allowed dual-stack address', async () => {
+    const req = { headers: { 'x-api-key': KEY }, ip: '::ffff:1.2.3.4' };
+
+    const { passed } = await run([authMiddleware, requireScope('read')], req);
+
+    assert.equal(passed, true);
+  });
+
+  it('refuses a scope the key does not have', async () => {
+    const req = { headers: { 'x-api-key': KEY }, ip: '1.2.3.4' };
+
+    const { res, passed } = await run([authMiddleware, requireScope('analyze')], req);
+
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.data.error, "This API key does not have the 'analyze' scope.");
+  });
+
+  it('refuses a request from outside the allow-list', async () => {
+    const req = { headers: { 'x-api-key': KEY }, ip: '::ffff:5.6.7.8' };
+
+    const { res, passed } = await run([authMiddleware, requireScope('read')], req);
+
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('keeps keys out of session-only routes', async () => {
+    const req = { headers: { 'x-api-key': KEY }, ip: '1.2.3.4' };
+
+    const { res, passed } = await run([authMiddleware, requireUserSession], req);
+
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 403);
+  });
+});
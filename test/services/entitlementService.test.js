@@ -0,0 +1,81 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReportEntitlement } from '../../src/models/ReportEntitlement.js';
+import { Payment } from '../../src/models/Payment.js';
+import { User } from '../../src/models/User.js';
+import { creditService } from '../../src/services/creditService.js';
+import { entitlementService } from '../../src/services/entitlementService.js';
+
+const USER = { id: '5b0c8f38-3f6e-4f43-9d8e-2f4b7c1e6a10', role: 'user' };
+const ORGANIZATION = { id: '0f3d2a6e-8c1b-4a57-9e0d-6b2c4f8a1d33', role: 'member' };
+
+describe('entitlementService.authorizeExport for a request made for an organisation', () => {
+  let redeem;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(entitlementService, 'checkReportAccess', async () => ({ entitled: false }));
+    mock.method(ReportEntitlement, 'grantTrial', async () => null);
+    redeem = mock.method(creditService, 'redeemForExport', async (account, surveyResultId, source) => source === 'credit');
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('pays for the organisation\'s own analyses from its account', async () => {
+    const access = await entitlementService.authorizeExport(
+      USER,
+      { id: '12', organization_id: ORGANIZATION.id },
+      ORGANIZATION
+    );
+
+    assert.equal(access.source, 'credit');
+    assert.equal(redeem.mock.calls[0].arguments[0].organizationId, ORGANIZATION.id);
+    assert.equal(ReportEntitlement.grantTrial.mock.callCount(), 0);
+  });
+
+  it('pays for a member\'s own analyses from the member\'s account', async () => {
+    await entitlementService.authorizeExport(USER, { id: '13', organization_id: null }, ORGANIZATION);
+
+    assert.ok(redeem.mock.calls.length > 0);
+    redeem.mock.calls.forEach(call => assert.equal(call.arguments[0].organizationId, null));
+    assert.equal(ReportEntitlement.grantTrial.mock.callCount(), 1);
+  });
+});
+
+describe('entitlementService.checkReportAccess for a member removed from the organisation', () => {
+  let grant;
+
+  beforeEach(() => {
+    mock.method(User, 'isStaff', async () => false);
+    mock.method(ReportEntitlement, 'findActive', async () => null);
+    grant = mock.method(ReportEntitlement, 'grant', async () => ({ created: true }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('does not unlock a report the organisation paid for through the member\'s payment', async () => {
+    mock.method(Payment, 'find', async () => [
+      { id: '42', user_id: USER.id, organization_id: ORGANIZATION.id, survey_result_id: '12', payment_status: 'completed' }
+    ]);
+
+    const access = await entitlementService.checkReportAccess(USER, '12');
+
+    assert.equal(access.entitled, false);
+    assert.equal(grant.mock.callCount(), 0);
+  });
+
+  it('still unlocks a report the member paid for personally', async () => {
+    mock.method(Payment, 'find', async () => [
+      { id: '43', user_id: USER.id, organization_id: null, survey_result_id: '12', payment_status: 'completed' }
+    ]);
+
+    const access = await entitlementService.checkReportAccess(USER, '12');
+
+    assert.equal(access.entitled, true);
+    assert.equal(grant.mock.callCount(), 1);
+  });
+});
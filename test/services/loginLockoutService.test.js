@@ -0,0 +1,75 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { loginLockoutService } from '../../src/services/loginLockoutService.js';
+import { setRateLimitStore } from '../../src/services/rateLimit/index.js';
+import { MemoryRateLimitStore } from '../../src/services/rateLimit/memoryStore.js';
+
+const IP = '203.0.113.7';
+const OTHER_IP = '198.51.100.23';
+
+describe('loginLockoutService', () => {
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('keys counters by a fixed-length hash of the normalised email and the IP', () => {
+    const email = `${'a'.repeat(300)}@example.com`;
+
+    assert.equal(loginLockoutService.lockKey(email, IP).length, 'login_lock:'.length + 64);
+    assert.equal(loginLockoutService.lockKey(` ${email.toUpperCase()} `, IP), loginLockoutService.lockKey(email, IP));
+    assert.notEqual(loginLockoutService.lockKey(email, IP), loginLockoutService.lockKey(email, OTHER_IP));
+  });
+
+  it('locks an email from an IP after too many failures from it', async () => {
+    setRateLimitStore(new MemoryRateLimitStore());
+
+    let failure;
+    for (let i = 0; i < 5; i++) {
+      failure = await loginLockoutService.recordFailure('user@example.com', IP);
+    }
+
+    assert.equal(failure.locked, true);
+    assert.equal((await loginLockoutService.getLock('USER@example.com', IP)).locked, true);
+  });
+
+  it('does not lock the account out for its owner on another IP', async () => {
+    setRateLimitStore(new MemoryRateLimitStore());
+
+    for (let i = 0; i < 5; i++) {
+      await loginLockoutService.recordFailure('user@example.com', IP);
+    }
+
+    assert.equal((await loginLockoutService.getLock('user@example.com', OTHER_IP)).locked, false);
+  });
+
+  it('keeps the email out of the log', async () => {
+    setRateLimitStore(new MemoryRateLimitStore());
+
+    for (let i = 0; i < 5; i++) {
+      await loginLockoutService.recordFailure('user@example.com', IP);
+    }
+
+    const logged = console.warn.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+    assert.ok(logged.includes('login_lock:'));
+    assert.ok(!logged.includes('user@example.com'));
+  });
+
+  it('lets logins through when the store fails', async () => {
+    const broken = new Error('value too long for type character varying(255)');
+    setRateLimitStore({
+      name: 'broken',
+      increment: async () => { throw broken; },
+      get: async () => { throw broken; },
+      reset: async () => { throw broken; }
+    });
+
+    assert.deepEqual(await loginLockoutService.getLock('user@example.com', IP), { locked: false });
+    assert.deepEqual(await loginLockoutService.recordFailure('user@example.com', IP), { locked: false });
+    await loginLockoutService.recordSuccess('user@example.com', IP);
+  });
+});
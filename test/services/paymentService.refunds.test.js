@@ -0,0 +1,176 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../../src/config/database.js';
+import { Payment } from '../../src/models/Payment.js';
+import { PaymentRefund } from '../../src/models/PaymentRefund.js';
+import { ReportEntitlement } from '../../src/models/ReportEntitlement.js';
+import { paymentService } from '../../src/services/paymentService.js';
+
+/**
+ * Full refunds take back what the payment bought, per product type.
+ * The database is replaced by a fake that answers the credit and subscription
+ * queries from in-memory rows.
+ */
+
+const USER_ID = '5b0c8f38-3f6e-4f43-9d8e-2f4b7c1e6a10';
+
+function fakeDatabase({ purchase = null, balance = 0, subscription = null }) {
+  const state = { balance, ledger: [], subscription, queries: [] };
+
+  const query = async (sql, params = []) => {
+    state.queries.push(sql);
+
+    if (/^(BEGIN|COMMIT|ROLLBACK)/.test(sql)) {
+      return { rows: [], rowCount: 0 };
+    }
+    if (/FROM credit_ledger\s+WHERE payment_id = \$1 AND reason = 'purchase'/.test(sql)) {
+      return { rows: purchase ? [purchase] : [] };
+    }
+    if (/SELECT balance FROM credit_balances/.test(sql)) {
+      return { rows: [{ balance: state.balance }] };
+    }
+    if (/INSERT INTO credit_ledger/.test(sql)) {
+      if (state.ledger.some(entry => entry.reason === 'adjustment' && entry.payment_id === params[3])) {
+        return { rows: [] };
+      }
+      const entry = { id: String(state.ledger.length + 1), user_id: params[0], organization_id: params[1], delta: params[2], reason: 'adjustment', payment_id: params[3], survey_result_id: null };
+      state.ledger.push(entry);
+      return { rows: [{ id: entry.id }] };
+    }
+    if (/UPDATE credit_balances\s+SET balance = balance - \$2/.test(sql)) {
+      state.balance -= params[1];
+      return { rows: [{ balance: state.balance }] };
+    }
+    if (/UPDATE credit_ledger SET balance_after/.test(sql)) {
+      const entry = state.ledger.find(row => row.id === params[0]);
+      entry.balance_after = params[1];
+      return { rows: [entry] };
+    }
+    if (/UPDATE subscriptions\s+SET ends_at/.test(sql)) {
+      if (!state.subscription || state.subscription.ended) {
+        return { rows: [] };
+      }
+      state.subscription.ended = true;
+      return { rows: [{ ...state.subscription, exports_used: 0, export_quota: 50 }] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  mock.method(pool, 'query', query);
+  mock.method(pool, 'connect', async () => ({ query, release: () => {} }));
+  return state;
+}
+
+function completedPayment(productId) {
+  return {
+    id: '42',
+    user_id: USER_ID,
+    organization_id: null,
+    product_id: productId,
+    amount: 2990,
+    refunded_amount: 0,
+    payment_status: 'completed'
+  };
+}
+
+describe('paymentService.syncRefunds on a full refund', () => {
+  let revokeEntitlements;
+  let stored;
+
+  // Payment.update returns the stored row with the changed fields
+  const syncRefunds = (payment, reportedTotal) => {
+    stored = payment;
+    return paymentService.syncRefunds(payment, reportedTotal);
+  };
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(Payment, 'update', async (id, fields) => {
+      stored = { ...stored, ...fields };
+      return stored;
+    });
+    mock.method(PaymentRefund, 'sumProcessed', async () => 0);
+    revokeEntitlements = mock.method(ReportEntitlement, 'revokeByPayment', async () => 1);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('revokes the report unlocked by a survey_report payment', async () => {
+    const db = fakeDatabase({});
+    const payment = { ...completedPayment('survey_report'), amount: 349 };
+
+    const updated = await syncRefunds(payment, 349);
+
+    assert.equal(updated.payment_status, 'refunded');
+    assert.equal(revokeEntitlements.mock.callCount(), 1);
+    assert.equal(db.queries.length, 0);
+  });
+
+  it('takes back the credits of a credits_10 payment, capped at the remaining balance', async () => {
+    const db = fakeDatabase({
+      purchase: { user_id: USER_ID, organization_id: null, delta: 10 },
+      balance: 4
+    });
+
+    await syncRefunds(completedPayment('credits_10'), 2990);
+
+    assert.equal(db.balance, 0);
+    assert.equal(db.ledger.length, 1);
+    assert.equal(db.ledger[0].delta, -4);
+    assert.equal(db.ledger[0].balance_after, 0);
+    assert.equal(db.ledger[0].payment_id, '42');
+  });
+
+  it('takes back all credits of a credits_25 payment once, however often the refund is synced', async () => {
+    const db = fakeDatabase({
+      purchase: { user_id: USER_ID, organization_id: null, delta: 25 },
+      balance: 30
+    });
+    const payment = { ...completedPayment('credits_25'), amount: 6490 };
+
+    await syncRefunds(payment, 6490);
+    await syncRefunds(payment, 6490);
+
+    assert.equal(db.balance, 5);
+    assert.equal(db.ledger.length, 1);
+    assert.equal(db.ledger[0].delta, -25);
+  });
+
+  it('writes no adjustment when the credits are all spent', async () => {
+    const db = fakeDatabase({
+      purchase: { user_id: USER_ID, organization_id: null, delta: 10 },
+      balance: 0
+    });
+
+    await syncRefunds(completedPayment('credits_10'), 2990);
+
+    assert.equal(db.ledger.length, 0);
+  });
+
+  it('ends the subscription of a plan_pro_monthly payment', async () => {
+    const db = fakeDatabase({
+      subscription: { id: '7', payment_id: '42', user_id: USER_ID }
+    });
+    const payment = { ...completedPayment('plan_pro_monthly'), amount: 9990 };
+
+    await syncRefunds(payment, 9990);
+
+    assert.equal(db.subscription.ended, true);
+    assert.equal(db.ledger.length, 0);
+  });
+
+  it('keeps what a partial refund bought', async () => {
+    const db = fakeDatabase({
+      purchase: { user_id: USER_ID, organization_id: null, delta: 10 },
+      balance: 10
+    });
+
+    const updated = await syncRefunds(completedPayment('credits_10'), 1000);
+
+    assert.equal(updated.payment_status, 'completed');
+    assert.equal(db.balance, 10);
+    assert.equal(revokeEntitlements.mock.callCount(), 0);
+  });
+});
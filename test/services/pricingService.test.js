@@ -0,0 +1,236 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../../src/config/database.js';
+import { Payment } from '../../src/models/Payment.js';
+import { PromoCode } from '../../src/models/PromoCode.js';
+import { pricingService } from '../../src/services/pricingService.js';
+import { paymentService } from '../../src/services/paymentService.js';
+
+/**
+ * Promo code pricing, limits and reservations. The promo_codes and promo_redemptions
+ * tables are replaced by a fake that counts redemptions the way PromoCode does:
+ * redeemed uses and reservations younger than an hour.
+ */
+
+const USER_ID = '5b0c8f38-3f6e-4f43-9d8e-2f4b7c1e6a10';
+const OTHER_USER_ID = '9e1d2c3b-4a5f-4e6d-8c7b-1a2b3c4d5e6f';
+const HOUR_MS = 60 * 60 * 1000;
+
+// survey_report costs ₹349
+const REPORT_PRICE = 349;
+
+function fakePromoStore() {
+  const codes = new Map();
+  const redemptions = [];
+  const counted = row => row.status === 'redeemed'
+    || (row.status === 'reserved' && row.reserved_at > new Date(Date.now() - HOUR_MS));
+
+  const query = async (sql, params = []) => {
+    if (/^(BEGIN|COMMIT|ROLLBACK)$/.test(sql)) {
+      return { rows: [] };
+    }
+    if (/FROM promo_codes WHERE code = UPPER\(\$1\)/.test(sql)) {
+      const promo = codes.get(params[0].toUpperCase());
+      return { rows: promo ? [promo] : [] };
+    }
+    if (/SELECT COUNT\(\*\)::int AS count\s+FROM promo_redemptions/.test(sql)) {
+      const [code, userId] = params;
+      const count = redemptions.filter(row => row.promo_code === code.toUpperCase()
+        && (userId === null || row.user_id === userId) && counted(row)).length;
+      return { rows: [{ count }] };
+    }
+    if (/INSERT INTO promo_redemptions/.test(sql)) {
+      const [code, userId, orderId, discountAmount] = params;
+      redemptions.push({
+        promo_code: code.toUpperCase(),
+        user_id: userId,
+        razorpay_order_id: orderId,
+        discount_amount: discountAmount,
+        status: 'reserved',
+        reserved_at: new Date()
+      });
+      return { rows: [] };
+    }
+    if (/UPDATE promo_redemptions SET razorpay_order_id = \$2/.test(sql)) {
+      redemptions.filter(row => row.razorpay_order_id === params[0])
+        .forEach((row) => { row.razorpay_order_id = params[1]; });
+      return { rows: [] };
+    }
+    if (/UPDATE promo_redemptions SET status = 'released'/.test(sql)) {
+      const released = redemptions.filter(row => row.razorpay_order_id === params[0] && row.status === 'reserved');
+      released.forEach((row) => { row.status = 'released'; });
+      return { rows: [], rowCount: released.length };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  mock.method(pool, 'query', query);
+  mock.method(pool, 'connect', async () => ({ query, release: () => {} }));
+
+  return {
+    redemptions,
+    addCode(fields) {
+      codes.set(fields.code, {
+        discount_type: 'percent',
+        discount_value: 10,
+        product_ids: null,
+        starts_at: null,
+        expires_at: null,
+        max_uses: null,
+        max_uses_per_user: null,
+        is_active: true,
+        ...fields
+      });
+    },
+    addRedemption(fields) {
+      redemptions.push({ user_id: OTHER_USER_ID, status: 'redeemed', reserved_at: new Date(), ...fields });
+    }
+  };
+}
+
+describe('pricingService.quote', () => {
+  let store;
+
+  beforeEach(() => {
+    store = fakePromoStore();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('prices a product without a promo code', async () => {
+    const { quote } = await pricingService.quote({ userId: USER_ID });
+
+    assert.equal(quote.product_id, 'survey_report');
+    assert.equal(quote.amount, REPORT_PRICE);
+    assert.equal(quote.discount_amount, 0);
+    assert.equal(quote.promo_code, null);
+  });
+
+  it('applies percent and flat discounts', async () => {
+    store.addCode({ code: 'TWENTY', discount_type: 'percent', discount_value: 20 });
+    store.addCode({ code: 'FLAT100', discount_type: 'flat', discount_value: 100 });
+
+    const percent = (await pricingService.quote({ promoCode: ' twenty ', userId: USER_ID })).quote;
+    const flat = (await pricingService.quote({ promoCode: 'FLAT100', userId: USER_ID })).quote;
+
+    assert.equal(percent.discount_amount, 69.8);
+    assert.equal(percent.amount, 279.2);
+    assert.equal(percent.promo_code, 'TWENTY');
+    assert.equal(flat.discount_amount, 100);
+    assert.equal(flat.amount, 249);
+  });
+
+  it('never discounts below the ₹1 gateway minimum', async () => {
+    store.addCode({ code: 'FREE', discount_type: 'percent', discount_value: 100 });
+    store.addCode({ code: 'HUGE', discount_type: 'flat', discount_value: 5000 });
+
+    assert.equal((await pricingService.quote({ promoCode: 'FREE', userId: USER_ID })).quote.amount, 1);
+    assert.equal((await pricingService.quote({ promoCode: 'HUGE', userId: USER_ID })).quote.amount, 1);
+  });
+
+  it('rejects unknown, inactive, expired and not yet active codes', async () => {
+    store.addCode({ code: 'OFF', is_active: false });
+    store.addCode({ code: 'OLD', expires_at: new Date(Date.now() - 1000) });
+    store.addCode({ code: 'SOON', starts_at: new Date(Date.now() + HOUR_MS) });
+    store.addCode({ code: 'NOW', starts_at: new Date(Date.now() - HOUR_MS), expires_at: new Date(Date.now() + HOUR_MS) });
+
+    assert.equal((await pricingService.quote({ promoCode: 'NOPE', userId: USER_ID })).error, 'Invalid promo code');
+    assert.equal((await pricingService.quote({ promoCode: 'OFF', userId: USER_ID })).error, 'Invalid promo code');
+    assert.equal((await pricingService.quote({ promoCode: 'OLD', userId: USER_ID })).error, 'Promo code has expired');
+    assert.equal((await pricingService.quote({ promoCode: 'SOON', userId: USER_ID })).error, 'Promo code is not active yet');
+    assert.ok((await pricingService.quote({ promoCode: 'NOW', userId: USER_ID })).quote);
+  });
+
+  it('rejects a code restricted to other products', async () => {
+    store.addCode({ code: 'PACKS', product_ids: ['credits_10', 'credits_25'] });
+
+    assert.equal((await pricingService.quote({ promoCode: 'PACKS', userId: USER_ID })).error, 'Promo code is not valid for this product');
+    assert.ok((await pricingService.quote({ productId: 'credits_10', promoCode: 'PACKS', userId: USER_ID })).quote);
+  });
+
+  it('counts redemptions and open reservations against the global limit', async () => {
+    store.addCode({ code: 'LAUNCH', max_uses: 2 });
+    store.addRedemption({ promo_code: 'LAUNCH', status: 'redeemed' });
+    store.addRedemption({ promo_code: 'LAUNCH', status: 'released' });
+    store.addRedemption({ promo_code: 'LAUNCH', status: 'reserved', reserved_at: new Date(Date.now() - 2 * HOUR_MS) });
+
+    assert.ok((await pricingService.quote({ promoCode: 'LAUNCH', userId: USER_ID })).quote);
+
+    store.addRedemption({ promo_code: 'LAUNCH', status: 'reserved' });
+
+    assert.equal((await pricingService.quote({ promoCode: 'LAUNCH', userId: USER_ID })).error, 'Promo code usage limit reached');
+  });
+
+  it('enforces the per-user limit for that user only', async () => {
+    store.addCode({ code: 'ONCE', max_uses_per_user: 1 });
+    store.addRedemption({ promo_code: 'ONCE', user_id: USER_ID });
+
+    assert.equal((await pricingService.quote({ promoCode: 'ONCE', userId: USER_ID })).error, 'You have already used this promo code');
+    assert.ok((await pricingService.quote({ promoCode: 'ONCE', userId: OTHER_USER_ID })).quote);
+  });
+});
+
+describe('pricingService.reservePromoCode', () => {
+  let store;
+
+  beforeEach(() => {
+    store = fakePromoStore();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('reserves nothing for an order without a promo code', async () => {
+    const { quote } = await pricingService.quote({ userId: USER_ID });
+
+    assert.deepEqual(await pricingService.reservePromoCode(quote, USER_ID, 'order_A'), { reserved: false });
+    assert.equal(store.redemptions.length, 0);
+  });
+
+  it('refuses a reservation once the last use is taken by another order', async () => {
+    store.addCode({ code: 'LAST', max_uses: 1 });
+    const { quote } = await pricingService.quote({ promoCode: 'LAST', userId: USER_ID });
+    const { quote: otherQuote } = await pricingService.quote({ promoCode: 'LAST', userId: OTHER_USER_ID });
+
+    assert.deepEqual(await pricingService.reservePromoCode(quote, USER_ID, 'order_A'), { reserved: true });
+    assert.deepEqual(await pricingService.reservePromoCode(otherQuote, OTHER_USER_ID, 'order_B'), { error: 'Promo code usage limit reached' });
+    assert.equal(store.redemptions.length, 1);
+  });
+
+  it('refuses a second reservation by the same user', async () => {
+    store.addCode({ code: 'ONCE', max_uses_per_user: 1 });
+    const { quote } = await pricingService.quote({ promoCode: 'ONCE', userId: USER_ID });
+
+    await pricingService.reservePromoCode(quote, USER_ID, 'order_A');
+
+    assert.deepEqual(await pricingService.reservePromoCode(quote, USER_ID, 'order_B'), { error: 'You have already used this promo code' });
+  });
+
+  it('gives the use back when the payment of the order fails', async () => {
+    store.addCode({ code: 'LAST', max_uses: 1 });
+    const { quote } = await pricingService.quote({ promoCode: 'LAST', userId: USER_ID });
+    await pricingService.reservePromoCode(quote, USER_ID, 'pending_1');
+    await PromoCode.assignOrder('pending_1', 'order_A');
+    mock.method(Payment, 'update', async (id, fields) => ({ id, ...fields }));
+
+    await paymentService.markFailed(
+      { id: '42', payment_status: 'created', promo_code: 'LAST', razorpay_order_id: 'order_A' },
+      { error_description: 'Card declined' }
+    );
+
+    assert.equal(store.redemptions[0].status, 'released');
+    assert.ok((await pricingService.quote({ promoCode: 'LAST', userId: OTHER_USER_ID })).quote);
+  });
+
+  it('gives the use back when the gateway order could not be created', async () => {
+    store.addCode({ code: 'LAST', max_uses: 1 });
+    const { quote } = await pricingService.quote({ promoCode: 'LAST', userId: USER_ID });
+    await pricingService.reservePromoCode(quote, USER_ID, 'pending_2');
+
+    assert.equal(await PromoCode.release('pending_2'), true);
+    assert.ok((await pricingService.quote({ promoCode: 'LAST', userId: USER_ID })).quote);
+  });
+});
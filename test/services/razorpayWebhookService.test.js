@@ -0,0 +1,176 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import pool from '../../src/config/database.js';
+import { Payment } from '../../src/models/Payment.js';
+import { paymentService } from '../../src/services/paymentService.js';
+import { razorpayWebhookService } from '../../src/services/razorpayWebhookService.js';
+
+/**
+ * Webhook deliveries are verified and applied once per event id. The
+ * payment_webhook_events table is replaced by a fake that follows the claim rules
+ * of PaymentWebhookEvent (new, failed, or stuck in processing past the timeout).
+ */
+
+const SECRET = 'whsec_test';
+const ORDER_ID = 'order_TEST123';
+
+function fakeEventStore() {
+  const events = new Map();
+
+  mock.method(pool, 'query', async (sql, params = []) => {
+    if (/INSERT INTO payment_webhook_events/.test(sql)) {
+      const [eventId, eventType, payload, timeoutMinutes] = params;
+      const existing = events.get(eventId);
+      const stuck = existing?.status === 'processing' &&
+        existing.received_at < new Date(Date.now() - timeoutMinutes * 60 * 1000);
+
+      if (existing && existing.status !== 'failed' && !stuck) {
+        return { rows: [] };
+      }
+
+      const event = {
+        event_id: eventId,
+        event_type: eventType,
+        payload: JSON.parse(payload),
+        status: 'processing',
+        attempts: existing ? existing.attempts + 1 : 1,
+        received_at: new Date()
+      };
+      events.set(eventId, event);
+      return { rows: [event] };
+    }
+    if (/SELECT \* FROM payment_webhook_events/.test(sql)) {
+      return { rows: events.has(params[0]) ? [events.get(params[0])] : [] };
+    }
+    if (/UPDATE payment_webhook_events/.test(sql)) {
+      Object.assign(events.get(params[0]), { status: params[1], error: params[2] });
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+
+  return events;
+}
+
+function paymentEvent(type, status = 'captured') {
+  return {
+    event: type,
+    payload: {
+      payment: {
+        entity: { id: 'pay_TEST123', order_id: ORDER_ID, status, error_description: status === 'failed' ? 'Card declined' : undefined }
+      }
+    }
+  };
+}
+
+describe('razorpayWebhookService.verifySignature', () => {
+  beforeEach(() => {
+    process.env.RAZORPAY_WEBHOOK_SECRET = SECRET;
+  });
+
+  afterEach(() => {
+    delete process.env.RAZORPAY_WEBHOOK_SECRET;
+  });
+
+  it('accepts the HMAC-SHA256 of the raw body', () => {
+    const rawBody = Buffer.from(JSON.stringify(paymentEvent('payment.captured')));
+    const signature = crypto.createHmac('sha256', SECRET).update(rawBody).digest('hex');
+
+    assert.equal(razorpayWebhookService.verifySignature(rawBody, signature), true);
+  });
+
+  it('rejects a tampered body, a wrong secret and a missing signature', () => {
+    const rawBody = Buffer.from(JSON.stringify(paymentEvent('payment.captured')));
+    const signature = crypto.createHmac('sha256', SECRET).update(rawBody).digest('hex');
+    const otherSecret = crypto.createHmac('sha256', 'other').update(rawBody).digest('hex');
+
+    assert.equal(razorpayWebhookService.verifySignature(Buffer.from(`${rawBody} `), signature), false);
+    assert.equal(razorpayWebhookService.verifySignature(rawBody, otherSecret), false);
+    assert.equal(razorpayWebhookService.verifySignature(rawBody, signature.slice(0, 10)), false);
+    assert.equal(razorpayWebhookService.verifySignature(rawBody, undefined), false);
+  });
+
+  it('refuses to verify anything without a configured secret', () => {
+    delete process.env.RAZORPAY_WEBHOOK_SECRET;
+
+    assert.throws(() => razorpayWebhookService.verifySignature(Buffer.from('{}'), 'x'), /RAZORPAY_WEBHOOK_SECRET/);
+  });
+});
+
+describe('razorpayWebhookService.processEvent', () => {
+  let events;
+  let payment;
+  let onCompleted;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    events = fakeEventStore();
+    payment = { id: '42', razorpay_order_id: ORDER_ID, payment_status: 'created', promo_code: null };
+
+    mock.method(paymentService, 'findByOrderId', async () => payment);
+    mock.method(Payment, 'update', async (id, fields) => {
+      payment = { ...payment, ...fields };
+      return payment;
+    });
+    onCompleted = mock.method(paymentService, 'onCompleted', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('applies a delivery once and acknowledges its duplicates', async () => {
+    const event = paymentEvent('payment.captured');
+
+    assert.equal(await razorpayWebhookService.processEvent('evt_1', event), 'processed');
+    assert.equal(await razorpayWebhookService.processEvent('evt_1', event), 'duplicate');
+
+    assert.equal(payment.payment_status, 'completed');
+    assert.equal(onCompleted.mock.callCount(), 1);
+    assert.equal(events.get('evt_1').status, 'processed');
+  });
+
+  it('keeps a captured payment completed when payment.failed arrives after it', async () => {
+    await razorpayWebhookService.processEvent('evt_captured', paymentEvent('payment.captured'));
+    const status = await razorpayWebhookService.processEvent('evt_failed', paymentEvent('payment.failed', 'failed'));
+
+    assert.equal(status, 'processed');
+    assert.equal(payment.payment_status, 'completed');
+    assert.equal(Payment.update.mock.callCount(), 1);
+  });
+
+  it('asks for a retry while another delivery of the event is processing', async () => {
+    events.set('evt_2', { event_id: 'evt_2', status: 'processing', attempts: 1, received_at: new Date() });
+
+    assert.equal(await razorpayWebhookService.processEvent('evt_2', paymentEvent('payment.captured')), 'in_progress');
+    assert.equal(payment.payment_status, 'created');
+  });
+
+  it('reclaims an event left in processing by a process that died', async () => {
+    events.set('evt_3', {
+      event_id: 'evt_3',
+      status: 'processing',
+      attempts: 1,
+      received_at: new Date(Date.now() - 6 * 60 * 1000)
+    });
+
+    assert.equal(await razorpayWebhookService.processEvent('evt_3', paymentEvent('payment.captured')), 'processed');
+    assert.equal(payment.payment_status, 'completed');
+    assert.equal(events.get('evt_3').attempts, 2);
+  });
+
+  it('retries an event whose processing failed', async () => {
+    mock.method(Payment, 'update', async () => { throw new Error('connection reset'); });
+
+    await assert.rejects(razorpayWebhookService.processEvent('evt_4', paymentEvent('payment.captured')), /connection reset/);
+    assert.equal(events.get('evt_4').status, 'failed');
+
+    mock.method(Payment, 'update', async (id, fields) => {
+      payment = { ...payment, ...fields };
+      return payment;
+    });
+    assert.equal(await razorpayWebhookService.processEvent('evt_4', paymentEvent('payment.captured')), 'processed');
+    assert.equal(payment.payment_status, 'completed');
+  });
+});
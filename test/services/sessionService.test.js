@@ -0,0 +1,164 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../../src/config/database.js';
+import { RefreshToken } from '../../src/models/RefreshToken.js';
+import { User } from '../../src/models/User.js';
+import { sessionService } from '../../src/services/sessionService.js';
+import { authMiddleware } from '../../src/middleware/auth.js';
+
+/**
+ * Refresh token rotation, reuse detection and logout. The refresh_tokens table is
+ * replaced by an in-memory fake of the RefreshToken model.
+ */
+
+const USER = { id: '5b0c8f38-3f6e-4f43-9d8e-2f4b7c1e6a10', email: 'user@example.com', is_active: true };
+
+function fakeRefreshTokens() {
+  const tokens = [];
+  const usable = token => !token.used_at && !token.revoked_at && token.expires_at > new Date();
+  const revoke = (matches, reason) => {
+    const revoked = tokens.filter(token => matches(token) && !token.revoked_at);
+    revoked.forEach(token => Object.assign(token, { revoked_at: new Date(), revoked_reason: reason }));
+    return revoked.length;
+  };
+
+  mock.method(pool, 'connect', async () => ({ query: async () => ({ rows: [] }), release: () => {} }));
+  mock.method(RefreshToken, 'create', async ({ userId, familyId, tokenHash, expiresAt }) => {
+    const token = { user_id: userId, family_id: familyId, token_hash: tokenHash, expires_at: expiresAt, used_at: null, revoked_at: null };
+    tokens.push(token);
+    return token;
+  });
+  mock.method(RefreshToken, 'markUsed', async (tokenHash) => {
+    const token = tokens.find(row => row.token_hash === tokenHash);
+    if (!token || !usable(token)) return null;
+    token.used_at = new Date();
+    return token;
+  });
+  mock.method(RefreshToken, 'findByHash', async tokenHash => tokens.find(row => row.token_hash === tokenHash) || null);
+  mock.method(RefreshToken, 'isFamilyActive', async familyId => tokens.some(row => row.family_id === familyId && usable(row)));
+  mock.method(RefreshToken, 'revokeFamily', async (familyId, reason) => revoke(row => row.family_id === familyId, reason));
+  mock.method(RefreshToken, 'revokeAllForUser', async (userId, reason) => revoke(row => row.user_id === userId, reason));
+
+  return tokens;
+}
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+/**
+ * Run authMiddleware for a Bearer token and report whether the request got through
+ */
+async function authenticate(accessToken) {
+  const req = { headers: { authorization: `Bearer ${accessToken}` } };
+  const res = fakeResponse();
+  let nextCalled = false;
+  await authMiddleware(req, res, (error) => { nextCalled = !error; });
+  return { res, nextCalled };
+}
+
+describe('sessionService', () => {
+  let tokens;
+
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+    tokens = fakeRefreshTokens();
+    mock.method(User, 'findById', async () => USER);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('rotates the refresh token on every use', async () => {
+    const session = await sessionService.startSession(USER);
+
+    const { tokens: rotated } = await sessionService.refresh(session.refresh_token);
+
+    assert.notEqual(rotated.refresh_token, session.refresh_token);
+    assert.equal(rotated.session_id, session.session_id);
+    assert.ok((await sessionService.refresh(rotated.refresh_token)).tokens);
+  });
+
+  it('revokes the whole session when a rotated refresh token is used again', async () => {
+    const session = await sessionService.startSession(USER);
+    const { tokens: rotated } = await sessionService.refresh(session.refresh_token);
+
+    const reuse = await sessionService.refresh(session.refresh_token);
+
+    assert.equal(reuse.error, 'Invalid or expired refresh token');
+    assert.ok(tokens.every(token => token.revoked_reason === 'reuse'));
+    assert.equal((await sessionService.refresh(rotated.refresh_token)).error, 'Invalid or expired refresh token');
+    assert.equal(await sessionService.isSessionActive(session.session_id), false);
+  });
+
+  it('does not renew the session of a deactivated account', async () => {
+    const session = await sessionService.startSession(USER);
+    mock.method(User, 'findById', async () => ({ ...USER, is_active: false }));
+
+    assert.equal((await sessionService.refresh(session.refresh_token)).error, 'Invalid or expired refresh token');
+  });
+
+  it('ends only the logged-out session, and every session on logout-all', async () => {
+    const first = await sessionService.startSession(USER);
+    const second = await sessionService.startSession(USER);
+
+    await sessionService.revokeSession(first.session_id);
+    assert.equal(await sessionService.isSessionActive(first.session_id), false);
+    assert.equal(await sessionService.isSessionActive(second.session_id), true);
+
+    await sessionService.revokeAllSessions(USER.id);
+    assert.equal(await sessionService.isSessionActive(second.session_id), false);
+  });
+});
+
+describe('authMiddleware with session access tokens', () => {
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+    fakeRefreshTokens();
+    mock.method(User, 'findById', async () => USER);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('accepts the access token of an active session', async () => {
+    const session = await sessionService.startSession(USER);
+
+    const { nextCalled } = await authenticate(session.token);
+
+    assert.equal(nextCalled, true);
+  });
+
+  it('rejects the access token of a logged-out session before it expires', async () => {
+    const session = await sessionService.startSession(USER);
+    await sessionService.revokeSession(session.session_id);
+
+    const { res, nextCalled } = await authenticate(session.token);
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('rejects the access token of a session revoked for refresh token reuse', async () => {
+    const session = await sessionService.startSession(USER);
+    const { tokens: rotated } = await sessionService.refresh(session.refresh_token);
+    await sessionService.refresh(session.refresh_token);
+
+    const { res } = await authenticate(rotated.token);
+
+    assert.equal(res.statusCode, 401);
+  });
+});